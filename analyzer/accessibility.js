@@ -0,0 +1,286 @@
+// Accessibility audit. Every rule maps to the WCAG 2.1 success criterion it
+// tests, so applicants can look up the reasoning behind each finding.
+const postcss = require('postcss');
+const { elementHit, runRules } = require('./rules');
+const { parseColor, backgroundColor, contrastRatio } = require('./color');
+const { locateInSource, excerptAt } = require('./files');
+
+const VALID_ROLES = new Set([
+    'alert', 'alertdialog', 'application', 'article', 'banner', 'blockquote', 'button', 'caption',
+    'cell', 'checkbox', 'code', 'columnheader', 'combobox', 'complementary', 'contentinfo',
+    'definition', 'deletion', 'dialog', 'directory', 'document', 'emphasis', 'feed', 'figure',
+    'form', 'generic', 'grid', 'gridcell', 'group', 'heading', 'img', 'insertion', 'link', 'list',
+    'listbox', 'listitem', 'log', 'main', 'marquee', 'math', 'menu', 'menubar', 'menuitem',
+    'menuitemcheckbox', 'menuitemradio', 'meter', 'navigation', 'none', 'note', 'option',
+    'paragraph', 'presentation', 'progressbar', 'radio', 'radiogroup', 'region', 'row',
+    'rowgroup', 'rowheader', 'scrollbar', 'search', 'searchbox', 'separator', 'slider',
+    'spinbutton', 'status', 'strong', 'subscript', 'superscript', 'switch', 'tab', 'table',
+    'tablist', 'tabpanel', 'term', 'textbox', 'time', 'timer', 'toolbar', 'tooltip', 'tree',
+    'treegrid', 'treeitem'
+]);
+
+const VALID_ARIA_ATTRIBUTES = new Set([
+    'activedescendant', 'atomic', 'autocomplete', 'busy', 'checked', 'colcount', 'colindex',
+    'colspan', 'controls', 'current', 'describedby', 'description', 'details', 'disabled',
+    'dropeffect', 'errormessage', 'expanded', 'flowto', 'grabbed', 'haspopup', 'hidden',
+    'invalid', 'keyshortcuts', 'label', 'labelledby', 'level', 'live', 'modal', 'multiline',
+    'multiselectable', 'orientation', 'owns', 'placeholder', 'posinset', 'pressed', 'readonly',
+    'relevant', 'required', 'roledescription', 'rowcount', 'rowindex', 'rowspan', 'selected',
+    'setsize', 'sort', 'valuemax', 'valuemin', 'valuenow', 'valuetext'
+]);
+
+const GENERIC_LINK_TEXT = new Set(['click here', 'here', 'read more', 'more', 'link', 'this link', 'learn more', 'click']);
+
+const FOCUSABLE = 'a[href], button, input:not([type="hidden"]), select, textarea, [tabindex]:not([tabindex="-1"])';
+
+// Elements matching `selector` whose `name` attribute is exactly `value`.
+// Compared directly rather than through an attribute selector, which throws on
+// ids containing quotes or backslashes.
+const withAttribute = ($, selector, name, value) => $(selector).filter((_, el) => el.attribs[name] === value);
+
+// Accessible name from aria-label / aria-labelledby / text / img alt / title
+const accessibleName = ($, el) => {
+    const node = $(el);
+    const ariaLabel = (node.attr('aria-label') || '').trim();
+    if (ariaLabel) return ariaLabel;
+
+    const labelledBy = (node.attr('aria-labelledby') || '').split(/\s+/).filter(Boolean);
+    const fromIds = labelledBy.map(id => withAttribute($, '[id]', 'id', id).text().trim()).join(' ').trim();
+    if (fromIds) return fromIds;
+
+    const text = node.text().replace(/\s+/g, ' ').trim();
+    if (text) return text;
+
+    const altText = node.find('img[alt]').map((_, img) => $(img).attr('alt')).get().join(' ').trim();
+    if (altText) return altText;
+
+    return (node.attr('title') || '').trim();
+};
+
+const isLabelled = ($, el) => {
+    const node = $(el);
+    if ((node.attr('aria-label') || '').trim() || node.attr('aria-labelledby') || (node.attr('title') || '').trim()) {
+        return true;
+    }
+    if (node.closest('label').length > 0) return true;
+    const id = node.attr('id');
+    return Boolean(id && withAttribute($, 'label[for]', 'for', id).length > 0);
+};
+
+// Large text (>= 24px, or >= 18.66px bold) only needs 3:1
+const requiredContrast = (fontSize, fontWeight) => {
+    const px = fontSize && /px$/.test(fontSize.trim()) ? parseFloat(fontSize) : null;
+    const bold = fontWeight && (/bold/.test(fontWeight) || parseInt(fontWeight, 10) >= 700);
+    if (px && (px >= 24 || (bold && px >= 18.66))) return 3;
+    return 4.5;
+};
+
+const contrastHit = (declarations) => {
+    const foreground = parseColor(declarations.color);
+    const background = backgroundColor(declarations['background-color'] || declarations.background);
+    if (!foreground || !background || foreground[3] < 1 || background[3] < 1) return null;
+
+    const ratio = contrastRatio(foreground, background);
+    const required = requiredContrast(declarations['font-size'], declarations['font-weight']);
+    if (ratio >= required) return null;
+    return `Text colour ${declarations.color.trim()} on ${(declarations['background-color'] || declarations.background).trim()} has a contrast ratio of ${ratio.toFixed(2)}:1 (needs ${required}:1).`;
+};
+
+const parseInlineStyle = (style) => {
+    const declarations = {};
+    (style || '').split(';').forEach(part => {
+        const index = part.indexOf(':');
+        if (index > 0) {
+            declarations[part.slice(0, index).trim().toLowerCase()] = part.slice(index + 1).trim();
+        }
+    });
+    return declarations;
+};
+
+const accessibilityRules = [
+    {
+        id: 'html-lang',
+        wcag: '3.1.1',
+        severity: 'error',
+        points: 10,
+        description: 'The <html> element must declare the page language.',
+        check: ({ $ }) => {
+            const root = $('html').first();
+            if ((root.attr('lang') || '').trim()) return [];
+            return [root.length ? elementHit($, root.get(0), '<html> is missing a lang attribute.')
+                : { message: '<html> is missing a lang attribute.' }];
+        }
+    },
+    {
+        id: 'form-label',
+        wcag: '1.3.1',
+        severity: 'error',
+        points: 5,
+        maxPoints: 20,
+        description: 'Form controls need a programmatic label.',
+        check: ({ $ }) => $('input, select, textarea').toArray()
+            .filter(el => !['hidden', 'submit', 'button', 'reset', 'image'].includes(($(el).attr('type') || '').toLowerCase()))
+            .filter(el => !isLabelled($, el))
+            .map(el => elementHit($, el, `Form control <${el.name}> has no associated <label> or aria-label.`))
+    },
+    {
+        id: 'heading-order',
+        wcag: '1.3.1',
+        severity: 'warning',
+        points: 5,
+        maxPoints: 15,
+        description: 'Heading levels should only increase one step at a time.',
+        check: ({ $ }) => {
+            const hits = [];
+            let previous = 0;
+            $('h1, h2, h3, h4, h5, h6').each((_, el) => {
+                const level = parseInt(el.name.substring(1), 10);
+                if (previous && level > previous + 1) {
+                    hits.push(elementHit($, el, `Heading level skips from <h${previous}> to <h${level}>.`));
+                }
+                previous = level;
+            });
+            if ($('h1').length === 0 && $('h2, h3, h4, h5, h6').length > 0) {
+                hits.push({ message: 'Page has headings but no <h1>.' });
+            }
+            return hits;
+        }
+    },
+    {
+        id: 'landmark-main',
+        wcag: '1.3.1',
+        severity: 'warning',
+        points: 10,
+        description: 'Page content should be inside exactly one main landmark.',
+        check: ({ $ }) => {
+            const mains = $('main, [role="main"]');
+            if (mains.length === 0) return [{ message: 'Page has no main landmark (<main> or role="main").' }];
+            if (mains.length > 1) {
+                return mains.toArray().slice(1).map(el => elementHit($, el, 'Page has more than one main landmark.'));
+            }
+            return [];
+        }
+    },
+    {
+        id: 'link-name',
+        wcag: '2.4.4',
+        severity: 'error',
+        points: 5,
+        maxPoints: 15,
+        description: 'Links need text that describes their destination.',
+        check: ({ $ }) => $('a[href]').toArray().map(el => {
+            const name = accessibleName($, el);
+            if (!name) return elementHit($, el, 'Link has no accessible text.');
+            if (GENERIC_LINK_TEXT.has(name.toLowerCase())) {
+                return elementHit($, el, `Link text "${name}" does not describe its destination.`);
+            }
+            return null;
+        }).filter(Boolean)
+    },
+    {
+        id: 'aria-valid-role',
+        wcag: '4.1.2',
+        severity: 'error',
+        points: 5,
+        maxPoints: 15,
+        description: 'role attributes must use valid ARIA roles.',
+        check: ({ $ }) => $('[role]').toArray()
+            .filter(el => !($(el).attr('role') || '').trim().split(/\s+/).some(role => VALID_ROLES.has(role.toLowerCase())))
+            .map(el => elementHit($, el, `Invalid ARIA role "${$(el).attr('role')}".`))
+    },
+    {
+        id: 'aria-valid-attr',
+        wcag: '4.1.2',
+        severity: 'error',
+        points: 5,
+        maxPoints: 15,
+        description: 'aria-* attributes must exist in the ARIA specification and reference real ids.',
+        check: ({ $ }) => {
+            const hits = [];
+            $('*').each((_, el) => {
+                Object.keys(el.attribs || {}).filter(name => name.startsWith('aria-')).forEach(name => {
+                    const attribute = name.substring(5);
+                    if (!VALID_ARIA_ATTRIBUTES.has(attribute)) {
+                        hits.push(elementHit($, el, `Unknown ARIA attribute ${name}.`));
+                    } else if (['labelledby', 'describedby', 'controls'].includes(attribute)) {
+                        const missing = el.attribs[name].split(/\s+/).filter(Boolean)
+                            .filter(id => withAttribute($, '[id]', 'id', id).length === 0);
+                        if (missing.length) {
+                            hits.push(elementHit($, el, `${name} references missing id(s): ${missing.join(', ')}.`));
+                        }
+                    }
+                });
+            });
+            return hits;
+        }
+    },
+    {
+        id: 'aria-hidden-focus',
+        wcag: '4.1.2',
+        severity: 'error',
+        points: 5,
+        maxPoints: 10,
+        description: 'Focusable elements must not be hidden from assistive technology.',
+        check: ({ $ }) => $('[aria-hidden="true"]').toArray()
+            .filter(el => $(el).is(FOCUSABLE) || $(el).find(FOCUSABLE).length > 0)
+            .map(el => elementHit($, el, 'aria-hidden="true" is set on (or around) a focusable element.'))
+    },
+    {
+        id: 'color-contrast',
+        wcag: '1.4.3',
+        severity: 'warning',
+        points: 5,
+        maxPoints: 20,
+        description: 'Text must have sufficient contrast against its background.',
+        check: ({ $, cssSources }) => {
+            const hits = [];
+
+            $('[style]').each((_, el) => {
+                const message = contrastHit(parseInlineStyle($(el).attr('style')));
+                if (message) hits.push(elementHit($, el, message));
+            });
+
+            cssSources.forEach(source => {
+                let root;
+                try {
+                    root = postcss.parse(source.content);
+                } catch (error) {
+                    return;
+                }
+                root.walkRules(rule => {
+                    const declarations = {};
+                    rule.each(node => {
+                        if (node.type === 'decl') declarations[node.prop.toLowerCase()] = node.value;
+                    });
+                    const message = contrastHit(declarations);
+                    if (message) {
+                        const start = rule.source && rule.source.start;
+                        const position = { line: start ? start.line : null, column: start ? start.column : null };
+                        const excerpt = excerptAt(source.content, position, source.lineOffset);
+                        hits.push(locateInSource({
+                            message: `${source.label}: ${rule.selector}: ${message}`,
+                            ...position,
+                            ...(excerpt ? { excerpt } : {}),
+                            file: source.id
+                        }, source));
+                    }
+                });
+            });
+
+            return hits;
+        }
+    }
+];
+
+// Accessibility evaluation over the page DOM and every scored stylesheet
+// (the same per-file sources evaluateCSS receives)
+const evaluateAccessibility = ($, cssSources, profile) => runRules(profile.resolveRules(accessibilityRules), {
+    $,
+    cssSources,
+    thresholds: profile.thresholds
+});
+
+module.exports = {
+    accessibilityRules,
+    evaluateAccessibility
+};
@@ -0,0 +1,32 @@
+// Run with `npm run test:server`
+const { test } = require('node:test');
+const assert = require('node:assert');
+const cheerio = require('cheerio');
+const { evaluateAccessibility } = require('./accessibility');
+const { getProfile } = require('./profiles');
+
+const evaluate = (body) => {
+    const $ = cheerio.load(`<!DOCTYPE html><html lang="en"><body><main>${body}</main></body></html>`, { sourceCodeLocationInfo: true });
+    return evaluateAccessibility($, [], getProfile()).findings;
+};
+
+const rulesHit = (findings) => findings.map(finding => finding.rule);
+
+test('matches ids containing quotes and backslashes', () => {
+    const findings = evaluate(`
+        <span id='say"hi'>Say hi</span><span id="back\\slash">Back</span>
+        <a href="/hi" aria-labelledby='say"hi'></a>
+        <button aria-describedby="back\\slash">Go</button>
+        <label for='name"input'>Name</label><input id='name"input'>
+    `);
+    assert.deepStrictEqual(findings, []);
+});
+
+test('still reports missing ids and unlabelled fields when ids hold quotes', () => {
+    const findings = evaluate(`
+        <a href="/hi" aria-labelledby='gone"id'>Hi</a>
+        <input id='no"label'>
+    `);
+    assert.deepStrictEqual(rulesHit(findings).sort(), ['aria-valid-attr', 'form-label']);
+    assert.match(findings.find(finding => finding.rule === 'aria-valid-attr').message, /missing id\(s\): gone"id/);
+});
@@ -0,0 +1,317 @@
+// The /analyze pipeline: fetch a live page and its assets, then score every category
+const cheerio = require('cheerio');
+const { resolveAssetUrl, fetchExternalFiles, pickHeaders, probeAssets } = require('./fetch');
+const { evaluateHTML } = require('./html');
+const { evaluateCSS } = require('./css');
+const { isExecutableScript, evaluateJavaScript } = require('./javascript');
+const { evaluateAccessibility } = require('./accessibility');
+const { collectMediaUrls, evaluatePerformance } = require('./performance');
+const { discoverSiteFiles, evaluateSEO } = require('./seo');
+const { evaluateSecurity } = require('./security');
+const { summarizeCategories, describeVendorFiles, describeInputs } = require('./report');
+const { contentHash } = require('./cache');
+const { partitionVendorFiles } = require('./vendor');
+const { collectInlineBlocks, externalSources, withExcerpts } = require('./files');
+const { UrlPolicyError, defaultUrlPolicy } = require('./urlPolicy');
+const { renderPage } = require('./render');
+
+// Phases reported through `onPhase(name, status)`, in the order they run
+const PHASES = ['fetch', 'html', 'css', 'javascript', 'accessibility', 'performance', 'seo', 'security'];
+
+// Images and fonts we HEAD for their size and caching headers
+const MAX_MEDIA_PROBES = parseInt(process.env.MAX_MEDIA_PROBES, 10) || 40;
+
+// `static` scores the HTML the server sends; `rendered` scores the DOM after
+// the page's own scripts ran in a headless browser (for React/Vue/Angular apps)
+const ANALYSIS_MODES = ['static', 'rendered'];
+
+const describeAssets = ({ files, skipped }, vendorFiles) => ({
+    fetched: files.map(({ url, bytes, hash }) => ({ url, bytes, hash })),
+    vendor: vendorFiles.map(({ url, bytes, hash, reason, library }) => ({ url, bytes, hash, reason, library })),
+    skipped
+});
+
+const fetchStaticHTML = async (targetUrl, policy) => {
+    // First check if the URL is accessible
+    try {
+        await policy.head(targetUrl, { timeout: 8000 });
+    } catch (headError) {
+        if (headError instanceof UrlPolicyError) throw headError;
+        // If HEAD request fails, try GET instead
+        console.log(`HEAD request failed, trying GET: ${headError.message}`);
+        await policy.get(targetUrl, { timeout: 8000 });
+    }
+
+    // Fetch the HTML content
+    const htmlResponse = await policy.get(targetUrl, {
+        timeout: 15000,
+        headers: {
+            'User-Agent': 'Mozilla/5.0 SkifolioAnalyzer',
+            'Accept': 'text/html,application/xhtml+xml'
+        },
+        responseType: 'text',
+        transformResponse: [data => data]
+    });
+    return { html: htmlResponse.data, finalUrl: htmlResponse.finalUrl, headers: pickHeaders(htmlResponse.headersAsSent) };
+};
+
+// Stylesheet links plus @import URLs found in <style> blocks
+const stylesheetLinks = ($) => {
+    const cssLinks = [];
+    $('link[rel="stylesheet"]').each((_, el) => {
+        const href = $(el).attr('href');
+        if (href) cssLinks.push(href);
+    });
+    
+    // Handle additional CSS imports that might be in the HTML
+    $('style').each((_, el) => {
+        const styleContent = $(el).html();
+        if (styleContent) {
+            // Extract @import URLs from style tags
+            const importMatches = styleContent.match(/@import\s+(?:url\()?["']?([^"')]+)["']?\)?/g);
+            if (importMatches) {
+                importMatches.forEach(match => {
+                    const importUrl = match.replace(/@import\s+(?:url\()?["']?([^"')]+)["']?\)?/, '$1');
+                    cssLinks.push(importUrl);
+                });
+            }
+        }
+    });
+    return cssLinks;
+};
+
+// Executable external scripts. type="module" changes how a script parses, so
+// each tag's type is kept by resolved URL.
+const scriptLinks = ($, pageUrl) => {
+    const links = [];
+    const scriptTypes = new Map();
+    $('script[src]').each((_, el) => {
+        const src = $(el).attr('src');
+        if (!src) return;
+        const scriptType = ($(el).attr('type') || '').trim().toLowerCase();
+        if (!isExecutableScript({ scriptType })) return;
+        links.push(src);
+        scriptTypes.set(resolveAssetUrl(src, pageUrl), scriptType);
+    });
+    return { links, scriptTypes };
+};
+
+const describeRuntime = ({ timing, consoleErrors, exceptions, blockedRequests }) => ({
+    ...timing,
+    consoleErrors,
+    exceptions,
+    blockedRequests
+});
+
+// Every outbound request goes through `policy` (see urlPolicy.js)
+const analyzeUrl = async (targetUrl, profile, {
+    onPhase = () => {},
+    vendorOverrides = {},
+    mode = 'static',
+    policy = defaultUrlPolicy,
+    render = renderPage
+} = {}) => {
+    onPhase('fetch', 'running');
+
+    const page = mode === 'rendered'
+        ? await render(targetUrl, { policy })
+        : await fetchStaticHTML(targetUrl, policy);
+    const htmlData = page.html;
+    // Relative asset links resolve against where redirects actually landed
+    const pageUrl = page.finalUrl;
+    if (mode === 'rendered') {
+        console.log(`Rendered ${pageUrl} in ${page.timing.renderTimeMs}ms (${page.consoleErrors.length} console errors, ${page.exceptions.length} exceptions)`);
+    }
+    
+    onPhase('fetch', 'done');
+    onPhase('html', 'running');
+
+    // Keep source locations so HTML findings can point at the exact line (of
+    // the serialized DOM in rendered mode)
+    const $ = cheerio.load(htmlData, { sourceCodeLocationInfo: true });
+
+    // HTML Analysis
+    const { score: htmlScore, feedback: htmlFeedback, findings: htmlFindings } = withExcerpts(evaluateHTML($, htmlData, profile), htmlData);
+    
+    onPhase('html', 'done');
+    onPhase('css', 'running');
+
+    // CSS Analysis - Improved to handle more cases
+    const cssLinks = stylesheetLinks($);
+    
+    console.log(`Found ${cssLinks.length} CSS link(s)`);
+    cssLinks.forEach((link, i) => console.log(`CSS link ${i+1}: ${link}`));
+    
+    // Get inline CSS, one source per <style> block
+    const inlineCSS = collectInlineBlocks($, 'style', 'css', pageUrl);
+    console.log(`Inline CSS blocks: ${inlineCSS.length}`);
+    
+    // Fetch and combine all CSS
+    const externalCSS = await fetchExternalFiles(cssLinks, pageUrl, { policy });
+    // Third-party stylesheets (Bootstrap, Google Fonts...) are listed but not scored
+    const cssFiles = partitionVendorFiles(externalCSS.files, vendorOverrides);
+    const cssSources = [...inlineCSS, ...externalSources(cssFiles.firstParty, 'css')];
+    const cssSize = cssSources.reduce((total, source) => total + source.bytes, 0);
+    console.log(`Total CSS content length: ${cssSize} bytes`);
+    
+    // Evaluate CSS, file by file
+    const {
+        score: cssScore,
+        feedback: cssFeedback,
+        findings: cssFindings,
+        files: cssFileResults,
+        coverage: cssCoverage
+    } = await evaluateCSS(cssSources, profile, { documents: [$], suggestRendering: mode === 'static' });
+
+    onPhase('css', 'done');
+    onPhase('javascript', 'running');
+
+    // JavaScript Analysis - Improved to handle more cases
+    const { links: jsLinks, scriptTypes } = scriptLinks($, pageUrl);
+    
+    console.log(`Found ${jsLinks.length} JavaScript link(s)`);
+    jsLinks.forEach((link, i) => console.log(`JS link ${i+1}: ${link}`));
+    
+    // Get inline JavaScript, one source per <script> block
+    const inlineJS = collectInlineBlocks($, 'script:not([src])', 'javascript', pageUrl).filter(isExecutableScript);
+    console.log(`Inline JS blocks: ${inlineJS.length}`);
+    
+    // Fetch and combine all JavaScript
+    const externalJS = await fetchExternalFiles(jsLinks, pageUrl, { policy });
+    // Libraries are listed but not scored; the applicant's own bundles are, minified or not
+    const jsFiles = partitionVendorFiles(
+        externalJS.files.map(file => ({ ...file, scriptType: scriptTypes.get(file.url) || '' })),
+        vendorOverrides
+    );
+    const jsSources = [...inlineJS, ...externalSources(jsFiles.firstParty, 'javascript')];
+    const jsSize = jsSources.reduce((total, source) => total + source.bytes, 0);
+    console.log(`Total JavaScript content length: ${jsSize} bytes`);
+    
+    // Evaluate JavaScript, file by file
+    const {
+        score: jsScore,
+        feedback: jsFeedback,
+        findings: jsFindings,
+        files: jsFileResults
+    } = await evaluateJavaScript(jsSources, profile);
+
+    onPhase('javascript', 'done');
+    onPhase('accessibility', 'running');
+
+    // Accessibility audit over the DOM plus every stylesheet we fetched
+    const {
+        score: a11yScore,
+        feedback: a11yFeedback,
+        findings: a11yFindings
+    } = withExcerpts(evaluateAccessibility($, cssSources, profile), htmlData);
+
+    onPhase('accessibility', 'done');
+    onPhase('performance', 'running');
+
+    // Page weight counts every file the browser downloads, vendor ones included
+    const tagged = (files, type) => files.map(file => ({ ...file, type }));
+    const downloaded = [
+        ...tagged(cssFiles.firstParty, 'css'),
+        ...tagged(cssFiles.vendor, 'css'),
+        ...tagged(jsFiles.firstParty, 'javascript'),
+        ...tagged(jsFiles.vendor, 'javascript')
+    ];
+    const media = collectMediaUrls($, externalCSS.files, inlineCSS.map(source => source.content), pageUrl);
+    const imageUrls = [...new Set(media.images)].slice(0, MAX_MEDIA_PROBES);
+    const fontUrls = [...new Set(media.fonts)].slice(0, Math.max(MAX_MEDIA_PROBES - imageUrls.length, 0));
+    const [imageProbes, fontProbes] = await Promise.all([
+        probeAssets(imageUrls, { policy }),
+        probeAssets(fontUrls, { policy })
+    ]);
+
+    const {
+        score: performanceScore,
+        feedback: performanceFeedback,
+        findings: performanceFindings,
+        metrics: performanceMetrics
+    } = evaluatePerformance(
+        $,
+        { url: pageUrl, html: htmlData, headers: page.headers },
+        downloaded,
+        [...tagged(imageProbes, 'image'), ...tagged(fontProbes, 'font')],
+        profile
+    );
+
+    onPhase('performance', 'done');
+    onPhase('seo', 'running');
+
+    const site = await discoverSiteFiles(pageUrl, { policy });
+    const { score: seoScore, feedback: seoFeedback, findings: seoFindings } = withExcerpts(evaluateSEO($, site, profile), htmlData);
+
+    onPhase('seo', 'done');
+    onPhase('security', 'running');
+
+    // Vendor bundles are only scanned for leaked secrets
+    const scripts = [
+        ...jsSources,
+        ...externalSources(jsFiles.vendor, 'javascript', 'vendor').map(source => ({ ...source, vendor: true }))
+    ];
+    const {
+        score: securityScore,
+        feedback: securityFeedback,
+        findings: securityFindings
+    } = withExcerpts(evaluateSecurity($, { url: pageUrl, headers: page.headers }, scripts, profile), htmlData);
+
+    onPhase('security', 'done');
+
+    return {
+        source: { type: 'url', url: targetUrl, finalUrl: pageUrl, mode },
+        ...summarizeCategories(profile, {
+            html: { score: htmlScore, feedback: htmlFeedback, findings: htmlFindings },
+            css: { score: cssScore, feedback: cssFeedback, findings: cssFindings },
+            javascript: { score: jsScore, feedback: jsFeedback, findings: jsFindings },
+            accessibility: { score: a11yScore, feedback: a11yFeedback, findings: a11yFindings },
+            performance: { score: performanceScore, feedback: performanceFeedback, findings: performanceFindings },
+            seo: { score: seoScore, feedback: seoFeedback, findings: seoFindings },
+            security: { score: securityScore, feedback: securityFeedback, findings: securityFindings }
+        }),
+        // Transfer sizes by type, render-blocking count and critical-path estimate
+        performance: performanceMetrics,
+        // What the SEO audit found on the host
+        site,
+        // Share of first-party CSS that matches nothing on the page
+        cssCoverage,
+        fileStats: {
+            htmlSize: htmlData.length,
+            cssSize,
+            jsSize,
+            cssLinks: cssLinks.length,
+            jsLinks: jsLinks.length,
+            skippedAssets: externalCSS.skipped.length + externalJS.skipped.length,
+            // Third-party files excluded from cssSize/jsSize and from scoring
+            vendor: describeVendorFiles([...cssFiles.vendor, ...jsFiles.vendor])
+        },
+        // Per-file scores and findings; lines point into the real file, or into
+        // the HTML page for inline blocks
+        files: [...cssFileResults, ...jsFileResults],
+        // Content hashes of the page and every scored block and file
+        ...describeInputs([
+            { id: 'page', category: 'html', url: pageUrl, label: new URL(pageUrl).pathname, hash: contentHash(htmlData), bytes: Buffer.byteLength(htmlData) },
+            ...cssSources,
+            ...jsSources
+        ]),
+        // What was fetched for each category and what was left out (and why)
+        assets: {
+            css: describeAssets({ ...externalCSS, files: cssFiles.firstParty }, cssFiles.vendor),
+            javascript: describeAssets({ ...externalJS, files: jsFiles.firstParty }, jsFiles.vendor)
+        },
+        // Rendered mode only: render time and what the page logged or threw
+        ...(mode === 'rendered' ? { runtime: describeRuntime(page) } : {})
+    };
+};
+
+module.exports = {
+    PHASES,
+    ANALYSIS_MODES,
+    MAX_MEDIA_PROBES,
+    describeAssets,
+    stylesheetLinks,
+    scriptLinks,
+    fetchStaticHTML,
+    analyzeUrl
+};
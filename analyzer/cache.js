@@ -0,0 +1,52 @@
+// Small LRU cache keyed by content hash, used to reuse lint results for
+// files we have already seen (CDN bundles, shared stylesheets) across analyses.
+const crypto = require('crypto');
+
+const contentHash = (content) => crypto.createHash('sha256').update(content).digest('hex');
+
+const createLruCache = (maxEntries = 500) => {
+    const entries = new Map();
+
+    const get = (key) => {
+        if (!entries.has(key)) return undefined;
+        // Re-insert to mark as most recently used
+        const value = entries.get(key);
+        entries.delete(key);
+        entries.set(key, value);
+        return value;
+    };
+
+    const set = (key, value) => {
+        entries.delete(key);
+        entries.set(key, value);
+        if (entries.size > maxEntries) {
+            entries.delete(entries.keys().next().value);
+        }
+        return value;
+    };
+
+    const remove = (key) => entries.delete(key);
+
+    return { get, set, delete: remove, get size() { return entries.size; } };
+};
+
+// Wrap a (possibly async) function of file content so identical content is only
+// processed once; concurrent callers share the same pending promise
+const memoizeByContent = (fn, cache = createLruCache()) => (content) => {
+    const key = contentHash(content);
+    const hit = cache.get(key);
+    if (hit !== undefined) return hit;
+
+    const result = fn(content);
+    if (result && typeof result.then === 'function') {
+        // Don't keep failed lint runs around
+        result.catch(() => cache.delete(key));
+    }
+    return cache.set(key, result);
+};
+
+module.exports = {
+    contentHash,
+    createLruCache,
+    memoizeByContent
+};
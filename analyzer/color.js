@@ -0,0 +1,104 @@
+// Minimal CSS colour parsing and WCAG contrast maths.
+// Only handles what can be resolved statically: hex, rgb()/rgba() and
+// common named colours. Anything else (var(), gradients, currentColor)
+// returns null and is skipped by callers.
+
+const NAMED_COLORS = {
+    black: [0, 0, 0],
+    white: [255, 255, 255],
+    red: [255, 0, 0],
+    green: [0, 128, 0],
+    blue: [0, 0, 255],
+    yellow: [255, 255, 0],
+    orange: [255, 165, 0],
+    purple: [128, 0, 128],
+    gray: [128, 128, 128],
+    grey: [128, 128, 128],
+    silver: [192, 192, 192],
+    lightgray: [211, 211, 211],
+    lightgrey: [211, 211, 211],
+    darkgray: [169, 169, 169],
+    darkgrey: [169, 169, 169],
+    navy: [0, 0, 128],
+    teal: [0, 128, 128],
+    maroon: [128, 0, 0],
+    olive: [128, 128, 0],
+    lime: [0, 255, 0],
+    aqua: [0, 255, 255],
+    cyan: [0, 255, 255],
+    fuchsia: [255, 0, 255],
+    magenta: [255, 0, 255],
+    pink: [255, 192, 203],
+    brown: [165, 42, 42],
+    beige: [245, 245, 220],
+    gold: [255, 215, 0],
+    khaki: [240, 230, 140],
+    whitesmoke: [245, 245, 245],
+    gainsboro: [220, 220, 220]
+};
+
+// Returns [r, g, b, a] or null
+const parseColor = (value) => {
+    if (!value) return null;
+    const color = value.trim().toLowerCase().replace(/\s*!important$/, '');
+
+    if (NAMED_COLORS[color]) return [...NAMED_COLORS[color], 1];
+
+    const hex = color.match(/^#([0-9a-f]{3,8})$/);
+    if (hex) {
+        let digits = hex[1];
+        if (digits.length === 3 || digits.length === 4) {
+            digits = digits.split('').map(d => d + d).join('');
+        }
+        if (digits.length !== 6 && digits.length !== 8) return null;
+        const channels = digits.match(/../g).map(pair => parseInt(pair, 16));
+        return [channels[0], channels[1], channels[2], channels.length === 4 ? channels[3] / 255 : 1];
+    }
+
+    const rgb = color.match(/^rgba?\(([^)]+)\)$/);
+    if (rgb) {
+        const parts = rgb[1].split(/[\s,/]+/).filter(Boolean);
+        if (parts.length < 3) return null;
+        const channel = (part) => (part.endsWith('%') ? parseFloat(part) * 2.55 : parseFloat(part));
+        const alpha = parts[3] === undefined ? 1
+            : parts[3].endsWith('%') ? parseFloat(parts[3]) / 100 : parseFloat(parts[3]);
+        const values = [channel(parts[0]), channel(parts[1]), channel(parts[2]), alpha];
+        return values.some(Number.isNaN) ? null : values;
+    }
+
+    return null;
+};
+
+// Extract the colour part of a `background` shorthand, if it is a plain colour
+const backgroundColor = (value) => {
+    if (!value) return null;
+    const direct = parseColor(value);
+    if (direct) return direct;
+    const token = value.match(/#[0-9a-f]{3,8}\b|rgba?\([^)]+\)|\b[a-z]+\b/gi) || [];
+    for (const candidate of token) {
+        const parsed = parseColor(candidate);
+        if (parsed) return parsed;
+    }
+    return null;
+};
+
+const relativeLuminance = ([r, g, b]) => {
+    const [lr, lg, lb] = [r, g, b].map(channel => {
+        const c = channel / 255;
+        return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    });
+    return 0.2126 * lr + 0.7152 * lg + 0.0722 * lb;
+};
+
+const contrastRatio = (foreground, background) => {
+    const l1 = relativeLuminance(foreground);
+    const l2 = relativeLuminance(background);
+    const [lighter, darker] = l1 > l2 ? [l1, l2] : [l2, l1];
+    return (lighter + 0.05) / (darker + 0.05);
+};
+
+module.exports = {
+    parseColor,
+    backgroundColor,
+    contrastRatio
+};
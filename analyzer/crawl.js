@@ -0,0 +1,384 @@
+// Crawl mode: follow same-origin links from the submitted page and score the
+// whole site. Stylesheets and scripts shared between pages are fetched and
+// scored once; HTML, accessibility, performance, SEO and security are scored
+// per page and averaged, like pages in a repository analysis.
+const cheerio = require('cheerio');
+const { resolveAssetUrl, fetchExternalFiles, probeAssets } = require('./fetch');
+const {
+    MAX_MEDIA_PROBES,
+    describeAssets,
+    stylesheetLinks,
+    scriptLinks,
+    fetchStaticHTML
+} = require('./analyze');
+const { evaluateHTML } = require('./html');
+const { evaluateCSS } = require('./css');
+const { isExecutableScript, evaluateJavaScript } = require('./javascript');
+const { evaluateAccessibility } = require('./accessibility');
+const { collectMediaUrls, evaluatePerformance } = require('./performance');
+const { robotsAllows, discoverSiteFiles, evaluateSEO, evaluateSiteSEO } = require('./seo');
+const { evaluateSecurity } = require('./security');
+const { summarizeCategories, describeVendorFiles, describeInputs } = require('./report');
+const { partitionVendorFiles } = require('./vendor');
+const { collectInlineBlocks, externalSources, fileResult, combineFileResults, addSiteResult } = require('./files');
+const { defaultUrlPolicy } = require('./urlPolicy');
+const { contentHash } = require('./cache');
+
+// Upper bounds a request can ask for; also the defaults for `crawl: true`
+const CRAWL_LIMITS = {
+    maxDepth: parseInt(process.env.CRAWL_MAX_DEPTH, 10) || 2,
+    maxPages: parseInt(process.env.CRAWL_MAX_PAGES, 10) || 10
+};
+
+// Links to these are downloads, not pages
+const NON_PAGE_EXTENSIONS = /\.(pdf|zip|gz|rar|7z|png|jpe?g|gif|svg|webp|avif|ico|mp[34]|webm|mov|wav|ogg|woff2?|ttf|otf|css|js|json|xml|txt|docx?|xlsx?|pptx?)$/i;
+
+// Validate the optional `crawl` field of a request: `true` or
+// { depth, maxPages }. Returns false when crawling wasn't asked for and null
+// when the value is invalid.
+const readCrawlOptions = (value, limits = CRAWL_LIMITS) => {
+    if (value === undefined || value === null || value === false) return false;
+    if (value === true) return { maxDepth: limits.maxDepth, maxPages: limits.maxPages };
+    if (typeof value !== 'object') return null;
+
+    const inRange = (number, min, max) => Number.isInteger(number) && number >= min && number <= max;
+    const maxDepth = value.depth === undefined ? limits.maxDepth : value.depth;
+    const maxPages = value.maxPages === undefined ? limits.maxPages : value.maxPages;
+    if (!inRange(maxDepth, 0, limits.maxDepth) || !inRange(maxPages, 1, limits.maxPages)) return null;
+    return { maxDepth, maxPages };
+};
+
+// Page identity for de-duplication: fragments never change the document
+const pageKey = (url) => {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    return parsed.href;
+};
+
+// Same-origin page links in document order
+const discoverLinks = ($, pageUrl) => {
+    const origin = new URL(pageUrl).origin;
+    const links = [];
+    $('a[href], area[href]').each((_, el) => {
+        if (/\bnofollow\b/i.test($(el).attr('rel') || '') || $(el).attr('download') !== undefined) return;
+        let url;
+        try {
+            url = new URL($(el).attr('href').trim(), pageUrl);
+        } catch (e) {
+            return;
+        }
+        if (url.origin !== origin || NON_PAGE_EXTENSIONS.test(url.pathname)) return;
+        links.push(pageKey(url.href));
+    });
+    return links;
+};
+
+// Breadth-first crawl from `startUrl`. Followed links must be allowed by
+// robots.txt; the submitted page itself was asked for explicitly.
+// `discoverSite(finalUrl)` looks up robots.txt and friends once the submitted
+// page has loaded, so they come from the origin it redirected to. Returns the
+// fetched pages in crawl order, what `discoverSite` found, and every page that
+// was left out, with the reason: robots-txt, page-limit, not-html,
+// redirect-off-site, fetch-failed.
+const crawlSite = async (startUrl, { policy, maxDepth, maxPages, discoverSite = async () => ({ robotsTxt: null }), fetchPage = fetchStaticHTML }) => {
+    const pages = [];
+    const skipped = [];
+    const seen = new Set([pageKey(startUrl)]);
+    let origin = null;
+    let site = null;
+    let frontier = [{ url: startUrl, depth: 0 }];
+
+    while (frontier.length > 0) {
+        const next = [];
+        for (const { url, depth } of frontier) {
+            if (pages.length >= maxPages) {
+                skipped.push({ url, reason: 'page-limit', detail: `Only ${maxPages} pages are analysed` });
+                continue;
+            }
+            const { pathname, search } = new URL(url);
+            if (depth > 0 && !robotsAllows(site.robotsTxt, pathname + search)) {
+                skipped.push({ url, reason: 'robots-txt' });
+                continue;
+            }
+
+            let page;
+            try {
+                page = await fetchPage(url, policy);
+            } catch (error) {
+                // Without the submitted page there is nothing to analyse
+                if (depth === 0) throw error;
+                skipped.push({ url, reason: 'fetch-failed', detail: error.message });
+                continue;
+            }
+
+            const contentType = page.headers['content-type'];
+            if (depth > 0 && contentType && !/html/i.test(contentType)) {
+                skipped.push({ url, reason: 'not-html', detail: contentType });
+                continue;
+            }
+            // Links are followed from where the submitted page landed
+            if (!origin) {
+                origin = new URL(page.finalUrl).origin;
+                site = await discoverSite(page.finalUrl);
+            }
+            const finalKey = pageKey(page.finalUrl);
+            if (depth > 0 && new URL(finalKey).origin !== origin) {
+                skipped.push({ url, reason: 'redirect-off-site', detail: page.finalUrl });
+                continue;
+            }
+            // Two links that redirect to the same page
+            if (finalKey !== pageKey(url) && seen.has(finalKey)) continue;
+            seen.add(finalKey);
+
+            const index = pages.length;
+            const $ = cheerio.load(page.html, { sourceCodeLocationInfo: true });
+            pages.push({
+                id: `page-${index + 1}`,
+                category: 'html',
+                source: 'page',
+                url: page.finalUrl,
+                label: new URL(page.finalUrl).pathname,
+                content: page.html,
+                bytes: Buffer.byteLength(page.html),
+                hash: contentHash(page.html),
+                headers: page.headers,
+                depth,
+                lineOffset: 0,
+                columnOffset: 0,
+                $
+            });
+
+            if (depth < maxDepth) {
+                discoverLinks($, page.finalUrl).forEach(link => {
+                    if (seen.has(link)) return;
+                    seen.add(link);
+                    next.push({ url: link, depth: depth + 1 });
+                });
+            }
+        }
+        frontier = next;
+    }
+
+    return { pages, skipped, site };
+};
+
+// Score of the subset of `files` whose ids are in `ids`, or null if none
+const subsetScore = (files, ids) => {
+    const subset = files.filter(file => ids.has(file.id));
+    return subset.length ? combineFileResults(subset).score : null;
+};
+
+const analyzeSite = async (targetUrl, profile, {
+    onPhase = () => {},
+    vendorOverrides = {},
+    crawl = CRAWL_LIMITS,
+    policy = defaultUrlPolicy,
+    fetchPage = fetchStaticHTML
+} = {}) => {
+    onPhase('fetch', 'running');
+
+    // robots.txt decides which links we may follow; the SEO audit reuses it
+    const { pages, skipped: skippedPages, site } = await crawlSite(targetUrl, {
+        policy,
+        maxDepth: crawl.maxDepth,
+        maxPages: crawl.maxPages,
+        discoverSite: pageUrl => discoverSiteFiles(pageUrl, { policy }),
+        fetchPage
+    });
+    const startUrl = pages[0].url;
+    console.log(`Crawled ${pages.length} page(s) from ${startUrl} (${skippedPages.length} left out)`);
+
+    // Each page's assets, resolved so shared files are fetched once
+    pages.forEach(page => {
+        page.cssLinks = stylesheetLinks(page.$).map(link => resolveAssetUrl(link, page.url));
+        const scripts = scriptLinks(page.$, page.url);
+        page.jsLinks = scripts.links.map(link => resolveAssetUrl(link, page.url));
+        page.scriptTypes = scripts.scriptTypes;
+    });
+    const scriptTypes = new Map(pages.flatMap(page => [...page.scriptTypes]));
+    const [externalCSS, externalJS] = await Promise.all([
+        fetchExternalFiles(pages.flatMap(page => page.cssLinks), startUrl, { policy }),
+        fetchExternalFiles(pages.flatMap(page => page.jsLinks), startUrl, { policy })
+    ]);
+    // The same file linked from several pages isn't a problem worth listing
+    const withoutDuplicates = ({ files, skipped }) => ({ files, skipped: skipped.filter(asset => asset.reason !== 'duplicate') });
+
+    onPhase('fetch', 'done');
+    onPhase('html', 'running');
+
+    const htmlResult = combineFileResults(pages.map(page => fileResult(page, evaluateHTML(page.$, page.content, profile))));
+
+    onPhase('html', 'done');
+    onPhase('css', 'running');
+
+    const cssFiles = partitionVendorFiles(externalCSS.files, vendorOverrides);
+    const cssFileSources = externalSources(cssFiles.firstParty, 'css');
+    const inlineCSS = pages.flatMap(page => collectInlineBlocks(page.$, 'style', 'css', page.url, page));
+    const cssSources = [...inlineCSS, ...cssFileSources];
+    const cssResult = await evaluateCSS(cssSources, profile, { documents: pages.map(page => page.$), suggestRendering: true });
+
+    onPhase('css', 'done');
+    onPhase('javascript', 'running');
+
+    const jsFiles = partitionVendorFiles(
+        externalJS.files.map(file => ({ ...file, scriptType: scriptTypes.get(file.url) || '' })),
+        vendorOverrides
+    );
+    const jsFileSources = externalSources(jsFiles.firstParty, 'javascript');
+    const inlineJS = pages.flatMap(page => collectInlineBlocks(page.$, 'script:not([src])', 'javascript', page.url, page)
+        .filter(isExecutableScript));
+    const jsSources = [...inlineJS, ...jsFileSources];
+    const jsResult = await evaluateJavaScript(jsSources, profile);
+
+    onPhase('javascript', 'done');
+    onPhase('accessibility', 'running');
+
+    // Source ids each page uses: its own inline blocks plus the files it links
+    const sourceIds = (page, inline, fileSources, links) => {
+        const linked = new Set(links);
+        return new Set([
+            ...inline.filter(source => source.url === page.url).map(source => source.id),
+            ...fileSources.filter(source => linked.has(source.url)).map(source => source.id)
+        ]);
+    };
+    pages.forEach(page => {
+        page.cssIds = sourceIds(page, inlineCSS, cssFileSources, page.cssLinks);
+        page.jsIds = sourceIds(page, inlineJS, jsFileSources, page.jsLinks);
+    });
+
+    const a11yResult = combineFileResults(pages.map(page => fileResult(page,
+        evaluateAccessibility(page.$, cssSources.filter(source => page.cssIds.has(source.id)), profile))));
+
+    onPhase('accessibility', 'done');
+    onPhase('performance', 'running');
+
+    // Images and fonts are probed once for the whole site, within the usual budget
+    const linkedFiles = (files, links) => files.filter(file => links.includes(file.url));
+    pages.forEach(page => {
+        const inlineStyles = inlineCSS.filter(source => source.url === page.url).map(source => source.content);
+        page.media = collectMediaUrls(page.$, linkedFiles(externalCSS.files, page.cssLinks), inlineStyles, page.url);
+    });
+    const imageUrls = [...new Set(pages.flatMap(page => page.media.images))].slice(0, MAX_MEDIA_PROBES);
+    const fontUrls = [...new Set(pages.flatMap(page => page.media.fonts))].slice(0, Math.max(MAX_MEDIA_PROBES - imageUrls.length, 0));
+    const [imageProbes, fontProbes] = await Promise.all([
+        probeAssets(imageUrls, { policy }),
+        probeAssets(fontUrls, { policy })
+    ]);
+    const tagged = (files, type) => files.map(file => ({ ...file, type }));
+    const probes = [...tagged(imageProbes, 'image'), ...tagged(fontProbes, 'font')];
+
+    const performanceByPage = pages.map(page => {
+        const downloaded = [
+            ...tagged(linkedFiles([...cssFiles.firstParty, ...cssFiles.vendor], page.cssLinks), 'css'),
+            ...tagged(linkedFiles([...jsFiles.firstParty, ...jsFiles.vendor], page.jsLinks), 'javascript')
+        ];
+        const media = new Set([...page.media.images, ...page.media.fonts]);
+        return evaluatePerformance(
+            page.$,
+            { url: page.url, html: page.content, headers: page.headers },
+            downloaded,
+            probes.filter(probe => media.has(probe.url)),
+            profile
+        );
+    });
+    const performanceResult = combineFileResults(pages.map((page, index) => fileResult(page, performanceByPage[index])));
+
+    onPhase('performance', 'done');
+    onPhase('seo', 'running');
+
+    const seoByPage = pages.map(page => evaluateSEO(page.$, site, profile, { includeSiteRules: false }));
+    const seoResult = addSiteResult(
+        combineFileResults(pages.map((page, index) => fileResult(page, seoByPage[index]))),
+        evaluateSiteSEO(site, profile)
+    );
+
+    onPhase('seo', 'done');
+    onPhase('security', 'running');
+
+    // Headers and markup per page, scripts once (vendor bundles only for secrets)
+    const securityByPage = pages.map(page => evaluateSecurity(page.$, { url: page.url, headers: page.headers }, [], profile));
+    const scripts = [
+        ...jsSources,
+        ...externalSources(jsFiles.vendor, 'javascript', 'vendor').map(source => ({ ...source, vendor: true }))
+    ];
+    const securityResult = addSiteResult(
+        combineFileResults(pages.map((page, index) => fileResult(page, securityByPage[index]))),
+        evaluateSecurity(null, null, scripts, profile)
+    );
+
+    onPhase('security', 'done');
+
+    // Per-page scores: page-level audits as they are, CSS and JavaScript from
+    // the files the page uses
+    const pageSummaries = pages.map((page, index) => {
+        const rawScores = {
+            html: htmlResult.files[index].score,
+            css: subsetScore(cssResult.files, page.cssIds),
+            javascript: subsetScore(jsResult.files, page.jsIds),
+            accessibility: a11yResult.files[index].score,
+            performance: performanceByPage[index].score,
+            seo: seoByPage[index].score,
+            security: securityByPage[index].score
+        };
+        Object.keys(rawScores).forEach(category => {
+            if (rawScores[category] === null) delete rawScores[category];
+        });
+        const scores = {};
+        Object.entries(rawScores).forEach(([category, score]) => { scores[category] = Math.round(score); });
+        scores.overall = Math.round(profile.overall(rawScores));
+        return {
+            id: page.id,
+            url: page.url,
+            depth: page.depth,
+            bytes: page.bytes,
+            scores,
+            metrics: performanceByPage[index].metrics
+        };
+    });
+    const worstPage = pageSummaries.reduce((worst, page) => (page.scores.overall < worst.scores.overall ? page : worst));
+
+    const sumBytes = (sources) => sources.reduce((total, source) => total + source.bytes, 0);
+
+    return {
+        source: { type: 'url', url: targetUrl, finalUrl: startUrl, mode: 'static', crawl },
+        ...summarizeCategories(profile, {
+            html: htmlResult,
+            css: cssResult,
+            javascript: jsResult,
+            accessibility: a11yResult,
+            performance: performanceResult,
+            seo: seoResult,
+            security: securityResult
+        }),
+        // Per-page scores in crawl order, and what the crawl left out
+        pages: pageSummaries,
+        worstPage: { id: worstPage.id, url: worstPage.url, overall: worstPage.scores.overall },
+        crawl: { ...crawl, pages: pages.length, skipped: skippedPages },
+        site,
+        cssCoverage: cssResult.coverage,
+        fileStats: {
+            htmlSize: sumBytes(pages),
+            cssSize: sumBytes(cssSources),
+            jsSize: sumBytes(jsSources),
+            pages: pages.length,
+            cssLinks: new Set(pages.flatMap(page => page.cssLinks)).size,
+            jsLinks: new Set(pages.flatMap(page => page.jsLinks)).size,
+            skippedAssets: withoutDuplicates(externalCSS).skipped.length + withoutDuplicates(externalJS).skipped.length,
+            vendor: describeVendorFiles([...cssFiles.vendor, ...jsFiles.vendor])
+        },
+        files: [...htmlResult.files, ...cssResult.files, ...jsResult.files],
+        ...describeInputs([...pages, ...cssSources, ...jsSources]),
+        assets: {
+            css: describeAssets({ ...withoutDuplicates(externalCSS), files: cssFiles.firstParty }, cssFiles.vendor),
+            javascript: describeAssets({ ...withoutDuplicates(externalJS), files: jsFiles.firstParty }, jsFiles.vendor)
+        }
+    };
+};
+
+module.exports = {
+    CRAWL_LIMITS,
+    readCrawlOptions,
+    discoverLinks,
+    crawlSite,
+    analyzeSite
+};
@@ -0,0 +1,147 @@
+// Run with `npm run test:server`. Serves a small portfolio site on 127.0.0.1.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { readCrawlOptions, crawlSite, analyzeSite } = require('./crawl');
+const { analyzeUrl } = require('./analyze');
+const { createUrlPolicy } = require('./urlPolicy');
+const { getProfile } = require('./profiles');
+const { parseRobotsTxt, robotsAllows } = require('./seo');
+
+const page = (title, body, head = '') => `<!DOCTYPE html>\n<html lang="en"><head><title>${title}</title>\n<link rel="stylesheet" href="/css/site.css">${head}</head>\n<body>${body}</body></html>\n`;
+
+// path -> [content type, body]
+const SITE = {
+    '/': ['text/html', page('Home page of the demo',
+        '<nav><a href="about.html">About</a> <a href="/projects.html#top">Projects</a> <a href="private/notes.html">Notes</a> <a href="cv.pdf">CV</a> <a href="https://example.com/">Elsewhere</a></nav><h1 class="title">Home</h1>')],
+    '/about.html': ['text/html', page('About me and this demo',
+        '<main><h1>About</h1><img src="me.png"><a href="/">Home</a> <a href="deep.html">Deeper</a></main>')],
+    '/projects.html': ['text/html', page('Projects', '<main><h1>Projects</h1><div class="card">One</div></main>')],
+    '/deep.html': ['text/html', page('Deep page', '<p>Deep</p>')],
+    // A single-page app before its scripts ran
+    '/app.html': ['text/html', page('App', '<noscript>You need to enable JavaScript to run this app.</noscript><div id="root"></div><script src="/js/app.js"></script>')],
+    '/private/notes.html': ['text/html', page('Notes', '<p>Private</p>')],
+    '/css/site.css': ['text/css', '.title { color: #333; }\n.card { padding: 1rem; }\n.never-used { margin: 0; }\n'],
+    '/robots.txt': ['text/plain', 'User-agent: *\nDisallow: /private/\n']
+};
+
+let server;
+let siteUrl;
+const requests = [];
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        requests.push(`${req.method} ${req.url}`);
+        const entry = SITE[new URL(req.url, 'http://localhost').pathname];
+        if (!entry) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            return res.end('Not found');
+        }
+        res.writeHead(200, { 'Content-Type': entry[0] });
+        res.end(req.method === 'HEAD' ? undefined : entry[1]);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    siteUrl = `http://localhost:${server.address().port}/`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+const policy = createUrlPolicy({ allowHosts: ['localhost'] });
+
+test('reads crawl options within the configured limits', () => {
+    const limits = { maxDepth: 2, maxPages: 10 };
+    assert.strictEqual(readCrawlOptions(undefined, limits), false);
+    assert.strictEqual(readCrawlOptions(false, limits), false);
+    assert.deepStrictEqual(readCrawlOptions(true, limits), { maxDepth: 2, maxPages: 10 });
+    assert.deepStrictEqual(readCrawlOptions({ depth: 0 }, limits), { maxDepth: 0, maxPages: 10 });
+    [{ depth: 3 }, { maxPages: 0 }, { maxPages: 2.5 }, 'yes'].forEach(value => {
+        assert.strictEqual(readCrawlOptions(value, limits), null, JSON.stringify(value));
+    });
+});
+
+test('matches robots.txt wildcards and end anchors', () => {
+    const robots = parseRobotsTxt([
+        'User-agent: *',
+        'Disallow: /*.pdf$',
+        'Disallow: /drafts/*/edit',
+        'Disallow: /search',
+        'Allow: /search/about$',
+        'Disallow: /*a*a*a*a*a*a*a*a*a*a*a*a*b'
+    ].join('\n'), 'https://example.com/robots.txt');
+
+    assert.strictEqual(robotsAllows(robots, '/cv.pdf'), false);
+    assert.strictEqual(robotsAllows(robots, '/cv.pdf?download=1'), true);
+    assert.strictEqual(robotsAllows(robots, '/drafts/one/edit'), false);
+    assert.strictEqual(robotsAllows(robots, '/drafts/one'), true);
+    assert.strictEqual(robotsAllows(robots, '/search?q=x'), false);
+    assert.strictEqual(robotsAllows(robots, '/search/about'), true);
+    assert.strictEqual(robotsAllows(robots, '/search/about/more'), false);
+
+    // Would take the regex-based matcher minutes
+    const started = Date.now();
+    assert.strictEqual(robotsAllows(robots, `/${'a'.repeat(5000)}`), true);
+    assert.strictEqual(robotsAllows(robots, `/${'a'.repeat(5000)}b`), false);
+    assert.ok(Date.now() - started < 1000);
+});
+
+test('follows same-origin links within depth, honours robots.txt and scores each page', async () => {
+    const report = await analyzeSite(siteUrl, getProfile(), { policy, crawl: { maxDepth: 1, maxPages: 10 } });
+
+    assert.deepStrictEqual(report.pages.map(p => new URL(p.url).pathname), ['/', '/about.html', '/projects.html']);
+    assert.deepStrictEqual(report.crawl.skipped.map(p => [new URL(p.url).pathname, p.reason]), [['/private/notes.html', 'robots-txt']]);
+    assert.ok(!requests.includes('GET /private/notes.html'), 'disallowed pages are never fetched');
+    assert.ok(!requests.some(line => line.includes('cv.pdf') || line.includes('deep.html')), 'downloads and deeper pages are not crawled');
+
+    // The shared stylesheet is fetched and scored once, against every page's DOM
+    assert.strictEqual(requests.filter(line => line === 'GET /css/site.css').length, 1);
+    assert.strictEqual(report.files.filter(file => file.category === 'css').length, 1);
+    assert.strictEqual(report.cssCoverage.pages, 3);
+    assert.strictEqual(report.cssCoverage.unusedRules, 1);
+
+    // Per-page scores point findings at their page; the worst page is the lowest overall
+    const lowest = Math.min(...report.pages.map(p => p.scores.overall));
+    assert.strictEqual(report.worstPage.overall, lowest);
+    const missingAlt = report.findings.html.find(finding => finding.rule === 'img-alt');
+    assert.strictEqual(missingAlt.file, report.pages[1].id);
+
+    // Host-level SEO findings are counted once, page-level ones per page
+    assert.strictEqual(report.findings.seo.filter(finding => finding.rule === 'sitemap').length, 1);
+    assert.strictEqual(report.findings.seo.filter(finding => finding.rule === 'canonical-link').length, 3);
+});
+
+test('reads robots.txt from the origin the submitted page redirected to', async () => {
+    const fetched = [];
+    const fetchPage = async (url) => {
+        fetched.push(url);
+        const finalUrl = url === 'http://example.com/' ? 'https://www.example.com/' : url;
+        return { html: '<a href="/private/a.html">A</a> <a href="/b.html">B</a>', finalUrl, headers: { 'content-type': 'text/html' } };
+    };
+    const discovered = [];
+    const discoverSite = async (pageUrl) => {
+        discovered.push(pageUrl);
+        return { robotsTxt: parseRobotsTxt('User-agent: *\nDisallow: /private/', `${new URL(pageUrl).origin}/robots.txt`) };
+    };
+
+    const { pages, skipped, site } = await crawlSite('http://example.com/', { policy, maxDepth: 1, maxPages: 10, discoverSite, fetchPage });
+
+    assert.deepStrictEqual(discovered, ['https://www.example.com/']);
+    assert.strictEqual(site.robotsTxt.url, 'https://www.example.com/robots.txt');
+    assert.deepStrictEqual(pages.map(page => page.url), ['https://www.example.com/', 'https://www.example.com/b.html']);
+    assert.deepStrictEqual(skipped.map(page => [page.url, page.reason]), [['https://www.example.com/private/a.html', 'robots-txt']]);
+    assert.ok(!fetched.includes('https://www.example.com/private/a.html'));
+});
+
+test('skips unused-rule coverage on an app shell and points at rendered mode', async () => {
+    const report = await analyzeUrl(`${siteUrl}app.html`, getProfile(), { policy });
+
+    assert.deepStrictEqual(report.cssCoverage, { skipped: 'app-shell' });
+    assert.ok(!report.findings.css.some(finding => finding.rule === 'css-unused-rules'));
+    assert.ok(report.feedback.css.some(line => /app shell.*rendered mode/.test(line)));
+});
+
+test('stops at the page limit', async () => {
+    const report = await analyzeSite(siteUrl, getProfile(), { policy, crawl: { maxDepth: 2, maxPages: 2 } });
+
+    assert.strictEqual(report.pages.length, 2);
+    assert.ok(report.crawl.skipped.some(p => p.reason === 'page-limit'));
+});
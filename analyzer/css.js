@@ -0,0 +1,427 @@
+// CSS rules. Stylelint parses each stylesheet (custom properties, nesting,
+// @layer, modern colour functions are all fine) and its warnings are mapped
+// onto stable `css-*` rule ids so profiles can weight them like any other.
+// Checks that need every stylesheet on the page at once (unused @keyframes,
+// media-query consistency) run on postcss trees, as does the unused-rule
+// coverage check, which matches each selector against the page's DOM.
+const postcss = require('postcss');
+const { runRules } = require('./rules');
+const { memoizeByContent } = require('./cache');
+const { fileResult, combineFileResults, locateInSource } = require('./files');
+
+// Stylelint is ESM-only; load it on first use
+let stylelintPromise = null;
+const loadStylelint = () => {
+    stylelintPromise = stylelintPromise || import('stylelint').then(module => module.default);
+    return stylelintPromise;
+};
+
+// Stylelint rule -> our rule id. Only these stylelint rules are enabled.
+const STYLELINT_RULES = {
+    'no-duplicate-selectors': 'css-duplicate-selector',
+    'declaration-block-no-duplicate-properties': 'css-duplicate-property',
+    'selector-max-specificity': 'css-specificity',
+    'property-no-vendor-prefix': 'css-vendor-prefix',
+    'value-no-vendor-prefix': 'css-vendor-prefix',
+    'selector-no-vendor-prefix': 'css-vendor-prefix',
+    'at-rule-no-vendor-prefix': 'css-vendor-prefix',
+    'media-feature-name-no-vendor-prefix': 'css-vendor-prefix',
+    'property-no-unknown': 'css-unknown-property',
+    'declaration-property-value-no-unknown': 'css-invalid-value',
+    'selector-pseudo-class-no-unknown': 'css-invalid-selector',
+    'selector-pseudo-element-no-unknown': 'css-invalid-selector',
+    'at-rule-no-unknown': 'css-unknown-at-rule',
+    'media-feature-name-no-unknown': 'css-invalid-media-query',
+    'media-query-no-invalid': 'css-invalid-media-query',
+    CssSyntaxError: 'css-syntax-error'
+};
+
+const STYLELINT_CONFIG = {
+    rules: {
+        'no-duplicate-selectors': true,
+        // Repeating a property with a different value is a common fallback pattern
+        'declaration-block-no-duplicate-properties': [true, { ignore: ['consecutive-duplicates-with-different-values'] }],
+        // Two ids, or an id plus four classes, is where overrides start to hurt
+        'selector-max-specificity': '1,3,0',
+        'property-no-vendor-prefix': true,
+        'value-no-vendor-prefix': true,
+        'selector-no-vendor-prefix': true,
+        'at-rule-no-vendor-prefix': true,
+        'media-feature-name-no-vendor-prefix': true,
+        'property-no-unknown': true,
+        // Also catches bad hex colours and unknown units
+        'declaration-property-value-no-unknown': true,
+        'selector-pseudo-class-no-unknown': true,
+        'selector-pseudo-element-no-unknown': true,
+        'at-rule-no-unknown': true,
+        'media-feature-name-no-unknown': true,
+        'media-query-no-invalid': true
+    }
+};
+
+// Stylelint results for identical stylesheets are reused across analyses
+const lintCSS = memoizeByContent(async content => {
+    const stylelint = await loadStylelint();
+    // computeEditInfo: report fixes as edits instead of applying them
+    const { results: [result] } = await stylelint.lint({ code: content, config: STYLELINT_CONFIG, computeEditInfo: true });
+    return result.warnings.map(warning => ({
+        rule: STYLELINT_RULES[warning.rule] || null,
+        // Stylelint appends "(rule-name)"; our rule id already says that
+        message: warning.text.replace(/\s*\([\w-]+\)$/, ''),
+        linterRule: warning.rule,
+        line: warning.line,
+        column: warning.column,
+        endLine: warning.endLine,
+        endColumn: warning.endColumn,
+        fix: warning.fix
+    }));
+});
+
+const lintHits = (ruleId) => ({ lintMessages }) => lintMessages
+    .filter(msg => msg.rule === ruleId)
+    .map(({ rule, ...hit }) => hit);
+
+const lintRule = (id, severity, points, maxPoints, description) => ({
+    id,
+    severity,
+    points,
+    maxPoints,
+    description,
+    check: lintHits(id)
+});
+
+const parseCSS = (content) => {
+    try {
+        return postcss.parse(content);
+    } catch (error) {
+        // Reported by stylelint as css-syntax-error
+        return null;
+    }
+};
+
+const ANIMATION_PROPERTY = /^(-\w+-)?animation(-name)?$/i;
+
+// Every identifier used in animation/animation-name across the page
+const usedAnimationNames = (roots) => {
+    const names = new Set();
+    roots.forEach(root => root && root.walkDecls(ANIMATION_PROPERTY, decl => {
+        decl.value.split(/[\s,]+/).forEach(token => names.add(token));
+    }));
+    return names;
+};
+
+// Width breakpoints in one @media prelude: [{ direction: 'min'|'max', unit }]
+const widthBreakpoints = (params) => {
+    const breakpoints = [];
+    const prefixed = /\b(min|max)-width\s*:\s*[\d.]+([a-z%]*)/gi;
+    let match;
+    while ((match = prefixed.exec(params)) !== null) {
+        breakpoints.push({ direction: match[1].toLowerCase(), unit: match[2].toLowerCase() || 'px' });
+    }
+    // Range syntax: (width >= 600px), (width < 40em)
+    const range = /\bwidth\s*(>=|>|<=|<)\s*[\d.]+([a-z%]*)/gi;
+    while ((match = range.exec(params)) !== null) {
+        breakpoints.push({ direction: match[1].startsWith('>') ? 'min' : 'max', unit: match[2].toLowerCase() || 'px' });
+    }
+    return breakpoints;
+};
+
+const mostCommon = (values) => {
+    const counts = new Map();
+    values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+    return [...counts.entries()].sort((a, b) => b[1] - a[1])[0][0];
+};
+
+// Page-wide conventions for width media queries: the dominant direction
+// (mobile-first min-width vs desktop-first max-width) and unit. Null when the
+// page has fewer than two breakpoints.
+const mediaConventions = (roots) => {
+    const all = [];
+    roots.forEach(root => root && root.walkAtRules('media', rule => all.push(...widthBreakpoints(rule.params))));
+    if (all.length < 2) return null;
+    return {
+        direction: mostCommon(all.map(breakpoint => breakpoint.direction)),
+        unit: mostCommon(all.map(breakpoint => breakpoint.unit))
+    };
+};
+
+// Pseudo-elements, and pseudo-classes that depend on interaction or browser
+// state, can't be matched against a static DOM; they are dropped so that
+// `a:hover` counts as used whenever there is an <a>
+const UNMATCHABLE_PSEUDO = new RegExp('::?(?:-[\\w-]+|before|after|first-line|first-letter|placeholder|selection|marker|backdrop|'
+    + 'file-selector-button|hover|focus|focus-within|focus-visible|active|visited|link|any-link|target|checked|'
+    + 'indeterminate|default|valid|invalid|user-valid|user-invalid|required|optional|in-range|out-of-range|disabled|'
+    + 'enabled|read-only|read-write|placeholder-shown|autofill|open|popover-open|modal|fullscreen|playing|paused)'
+    + '(?![\\w-])(?:\\([^)]*\\))?', 'gi');
+
+const MAX_COVERAGE_OFFENDERS = 10;
+
+const isInsideKeyframes = (node) => {
+    for (let parent = node.parent; parent; parent = parent.parent) {
+        if (parent.type === 'atrule' && /keyframes$/i.test(parent.name)) return true;
+    }
+    return false;
+};
+
+const percentOf = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : 0);
+
+// Whether a page has markup of its own for stylesheets to match, as opposed
+// to an app shell: an empty mount point (<div id="root">) that scripts fill in
+// at runtime. Matching selectors against a shell would flag every rule unused.
+const hasStaticContent = ($) => {
+    const body = $('body').clone();
+    body.find('script, noscript, template, style').remove();
+    return body.text().trim().length > 0
+        || body.find('img, svg, picture, video, canvas, iframe, input, button, select, textarea').length > 0;
+};
+
+// Returns selector => whether it matches an element in any of `documents`.
+// Selectors cheerio can't evaluate count as used: we'd rather miss dead CSS
+// than flag live CSS.
+const selectorMatcher = (documents) => {
+    const cache = new Map();
+    return (selector) => {
+        if (!cache.has(selector)) {
+            let matchable = selector.replace(UNMATCHABLE_PSEUDO, '').trim();
+            if (!matchable || /[>+~]$/.test(matchable)) matchable += '*';
+            let used;
+            try {
+                used = documents.some($ => $(matchable).length > 0);
+            } catch (error) {
+                used = true;
+            }
+            cache.set(selector, used);
+        }
+        return cache.get(selector);
+    };
+};
+
+// Share of one stylesheet's rules (and bytes) that match nothing on the page.
+// Nested rules are counted as part of their parent.
+const ruleCoverage = (root, matches) => {
+    const coverage = { rules: 0, unusedRules: 0, bytes: 0, unusedBytes: 0 };
+    const unused = [];
+    root.walkRules(rule => {
+        if (rule.parent.type === 'rule' || isInsideKeyframes(rule)) return;
+        const bytes = Buffer.byteLength(rule.toString());
+        coverage.rules++;
+        coverage.bytes += bytes;
+        if (rule.selector.includes('&') || rule.selectors.some(matches)) return;
+        coverage.unusedRules++;
+        coverage.unusedBytes += bytes;
+        unused.push({ selector: rule.selector, bytes, line: rule.source.start.line, column: rule.source.start.column });
+    });
+    return {
+        ...coverage,
+        unusedPercent: percentOf(coverage.unusedBytes, coverage.bytes),
+        offenders: unused.sort((a, b) => b.bytes - a.bytes).slice(0, MAX_COVERAGE_OFFENDERS)
+    };
+};
+
+// Page-wide totals; offenders carry the file id and document positions
+const combineCoverage = (files, pages) => {
+    const covered = files.filter(file => file.coverage);
+    const sum = key => covered.reduce((total, file) => total + file.coverage[key], 0);
+    const bytes = sum('bytes');
+    const unusedBytes = sum('unusedBytes');
+    return {
+        pages,
+        rules: sum('rules'),
+        unusedRules: sum('unusedRules'),
+        bytes,
+        unusedBytes,
+        unusedPercent: percentOf(unusedBytes, bytes),
+        offenders: covered
+            .flatMap(file => file.coverage.offenders)
+            .sort((a, b) => b.bytes - a.bytes)
+            .slice(0, MAX_COVERAGE_OFFENDERS)
+    };
+};
+
+const cssRules = [
+    lintRule('css-syntax-error', 'error', 30, undefined, 'Stylesheet parses without syntax errors.'),
+    lintRule('css-unknown-property', 'error', 5, 25, 'Only known CSS properties are used.'),
+    lintRule('css-invalid-value', 'error', 5, 25, 'Property values are valid for their property.'),
+    lintRule('css-invalid-selector', 'error', 3, 15, 'Pseudo-classes and pseudo-elements exist.'),
+    lintRule('css-unknown-at-rule', 'error', 3, 15, 'Only known at-rules are used.'),
+    lintRule('css-invalid-media-query', 'error', 3, 15, 'Media queries are valid.'),
+    lintRule('css-duplicate-selector', 'warning', 3, 15, 'Each selector is declared once per stylesheet.'),
+    lintRule('css-duplicate-property', 'warning', 2, 10, 'A rule does not repeat the same property.'),
+    lintRule('css-specificity', 'warning', 3, 15, 'Selectors stay below the specificity hot-spot threshold.'),
+    lintRule('css-vendor-prefix', 'info', 1, 10, 'No vendor prefixes that autoprefixing makes unnecessary.'),
+    {
+        id: 'css-unused-keyframes',
+        severity: 'info',
+        points: 2,
+        maxPoints: 10,
+        description: '@keyframes are referenced by an animation.',
+        check: ({ root, animationNames }) => {
+            if (!root) return [];
+            const hits = [];
+            root.walkAtRules(/^(-\w+-)?keyframes$/i, rule => {
+                const name = rule.params.trim().replace(/^["']|["']$/g, '');
+                if (!animationNames.has(name)) {
+                    hits.push({
+                        message: `@keyframes ${name} is not used by any animation on the page.`,
+                        line: rule.source.start.line,
+                        column: rule.source.start.column
+                    });
+                }
+            });
+            return hits;
+        }
+    },
+    {
+        id: 'css-media-query-consistency',
+        severity: 'info',
+        points: 2,
+        maxPoints: 10,
+        description: 'Width media queries follow one direction and one unit.',
+        check: ({ root, conventions }) => {
+            if (!root || !conventions) return [];
+            const hits = [];
+            root.walkAtRules('media', rule => {
+                const breakpoints = widthBreakpoints(rule.params);
+                const where = { line: rule.source.start.line, column: rule.source.start.column };
+                if (breakpoints.some(breakpoint => breakpoint.direction !== conventions.direction)) {
+                    hits.push({
+                        ...where,
+                        message: `@media ${rule.params} mixes in ${conventions.direction === 'min' ? 'max' : 'min'}-width; most breakpoints on the page are ${conventions.direction}-width.`
+                    });
+                } else if (breakpoints.some(breakpoint => breakpoint.unit !== conventions.unit)) {
+                    hits.push({
+                        ...where,
+                        message: `@media ${rule.params} uses a different unit from the page's other breakpoints (${conventions.unit}).`
+                    });
+                }
+            });
+            return hits;
+        }
+    },
+    {
+        id: 'css-unused-rules',
+        severity: 'warning',
+        points: 5,
+        maxPoints: 25,
+        description: 'Most style rules match something on the page.',
+        check: ({ coverage, thresholds }) => {
+            if (!coverage || coverage.unusedPercent <= thresholds.cssUnusedMaxPercent) return [];
+            const summary = {
+                message: `${coverage.unusedPercent}% of this stylesheet (${coverage.unusedRules} of ${coverage.rules} rules, `
+                    + `${coverage.unusedBytes} bytes) matches nothing on the page.`
+            };
+            // One more hit per 10 points over the threshold, so the deduction
+            // grows with the share of dead CSS; they name the biggest offenders
+            const extra = Math.floor((coverage.unusedPercent - thresholds.cssUnusedMaxPercent) / 10);
+            return [summary, ...coverage.offenders.slice(0, extra).map(offender => ({
+                message: `Unused rule "${offender.selector}" (${offender.bytes} bytes) matches no element.`,
+                line: offender.line,
+                column: offender.column
+            }))];
+        }
+    },
+    {
+        id: 'css-important',
+        severity: 'warning',
+        points: 10,
+        description: "Avoid '!important'; fix the specificity instead.",
+        check: ({ css }) => {
+            const index = css.indexOf('!important');
+            if (index === -1) return [];
+            return [{ message: "Avoid using '!important' in CSS.", line: css.substring(0, index).split('\n').length }];
+        }
+    },
+    {
+        id: 'stylesheet-size',
+        severity: 'info',
+        points: 10,
+        description: 'Large stylesheets should be split into modules.',
+        check: ({ css, thresholds }) => (css.length > thresholds.cssMaxBytes
+            ? [{ message: `CSS file is large (${css.length} bytes); consider modularizing styles.` }] : [])
+    }
+];
+
+const evaluateCSSFile = async (source, root, page, profile) => {
+    try {
+        const coverage = root && page.matches ? ruleCoverage(root, page.matches) : null;
+        const result = fileResult(source, runRules(profile.resolveRules(cssRules), {
+            css: source.content,
+            root,
+            lintMessages: await lintCSS(source.content),
+            coverage,
+            ...page,
+            thresholds: profile.thresholds
+        }));
+        if (!coverage) return result;
+        // Offender positions point into the document, like findings
+        const offenders = coverage.offenders.map(offender => ({ ...locateInSource(offender, source), file: source.id }));
+        return { ...result, coverage: { ...coverage, offenders } };
+    } catch (error) {
+        console.error(`Error evaluating CSS in ${source.label}:`, error.message);
+        return fileResult(source, {
+            score: 50,
+            findings: [{
+                rule: 'analysis-error',
+                severity: 'error',
+                points: 50,
+                message: `Error evaluating CSS: ${error.message}. Some CSS rules might be invalid.`,
+                element: null,
+                line: null,
+                column: null
+            }]
+        });
+    }
+};
+
+// Enhanced CSS evaluation for modularity and best practices.
+// Each source (inline block or fetched file, see files.js) is scored on its
+// own; the category score is derived from the per-file scores.
+// `documents` are the cheerio pages the stylesheets apply to; without them
+// unused-rule coverage is skipped and `coverage` is null. App shells among them
+// are left out, and if nothing else is left `coverage` is { skipped: 'app-shell' }
+// (with `suggestRendering`, the feedback points at rendered mode).
+// `coverageFor(source)` limits coverage to the sources those pages actually style.
+const evaluateCSS = async (sources, profile, { documents: allDocuments = [], coverageFor = () => true, suggestRendering = false } = {}) => {
+    // Check if we actually got CSS content
+    if (sources.length === 0) {
+        return {
+            score: 0,
+            feedback: ["No CSS content was found or could be analyzed."],
+            findings: [],
+            files: [],
+            coverage: null
+        };
+    }
+
+    const documents = allDocuments.filter(hasStaticContent);
+    const roots = sources.map(source => parseCSS(source.content));
+    const page = {
+        animationNames: usedAnimationNames(roots),
+        conventions: mediaConventions(roots),
+        matches: documents.length ? selectorMatcher(documents) : null
+    };
+
+    const files = await Promise.all(
+        sources.map((source, index) => evaluateCSSFile(source, roots[index], coverageFor(source) ? page : { ...page, matches: null }, profile))
+    );
+    const result = combineFileResults(files);
+    if (allDocuments.length && !documents.length) {
+        return {
+            ...result,
+            feedback: [
+                ...result.feedback,
+                `The HTML is an empty app shell filled in by JavaScript, so unused CSS rules were not checked.${suggestRendering ? ' Analyse the demo in rendered mode to check them.' : ''}`
+            ],
+            coverage: { skipped: 'app-shell' }
+        };
+    }
+    return {
+        ...result,
+        coverage: documents.length ? combineCoverage(files, documents.length) : null
+    };
+};
+
+module.exports = {
+    cssRules,
+    evaluateCSS
+};
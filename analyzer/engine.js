@@ -0,0 +1,95 @@
+// Which analyzer produced a report. Scores are only comparable between
+// reports with the same fingerprint: engine version, a hash of the rule set
+// as the profile resolved it, and the versions of the linters and parsers
+// whose output the rules score.
+const { contentHash } = require('./cache');
+const { htmlRules } = require('./html');
+const { cssRules } = require('./css');
+const { jsRules } = require('./javascript');
+const { accessibilityRules } = require('./accessibility');
+const { performanceRules } = require('./performance');
+const { seoRules, siteRules } = require('./seo');
+const { documentRules, scriptRules } = require('./security');
+
+// Bump when scoring changes in a way the rule-set hash can't see (fetching,
+// file splitting, how category scores are combined...)
+const ENGINE_VERSION = '1.0.0';
+
+const RULE_SETS = {
+    html: htmlRules,
+    css: cssRules,
+    javascript: jsRules,
+    accessibility: accessibilityRules,
+    performance: performanceRules,
+    seo: [...seoRules, ...siteRules],
+    security: [...documentRules, ...scriptRules]
+};
+
+const packageVersion = (name) => {
+    try {
+        return require(`${name}/package.json`).version;
+    } catch (error) {
+        return null;
+    }
+};
+
+const TOOL_VERSIONS = {
+    linters: {
+        eslint: packageVersion('eslint'),
+        'eslint-config-react-app': packageVersion('eslint-config-react-app'),
+        stylelint: packageVersion('stylelint')
+    },
+    parsers: {
+        cheerio: packageVersion('cheerio'),
+        postcss: packageVersion('postcss'),
+        '@babel/eslint-parser': packageVersion('@babel/eslint-parser'),
+        '@typescript-eslint/parser': packageVersion('@typescript-eslint/parser'),
+        typescript: packageVersion('typescript')
+    }
+};
+
+// Everything that decides a score, in a stable order. Rule checks are hashed
+// by their source so a changed check changes the hash even if its points
+// don't.
+const ruleSetDescription = (profile) => ({
+    engine: ENGINE_VERSION,
+    rules: Object.entries(RULE_SETS).map(([category, rules]) => [
+        category,
+        profile.resolveRules(rules).map(rule => [
+            rule.id,
+            rule.severity,
+            rule.points,
+            rule.maxPoints === undefined ? 'points' : rule.maxPoints,
+            rule.wcag || null,
+            String(rule.check)
+        ])
+    ]),
+    thresholds: Object.entries(profile.thresholds).sort(([a], [b]) => a.localeCompare(b)),
+    categories: Object.entries(profile.categories).sort(([a], [b]) => a.localeCompare(b)),
+    tools: TOOL_VERSIONS
+});
+
+// Profiles are frozen once loaded, so the hash is computed once per profile
+const rulesHashes = new WeakMap();
+
+const rulesHashFor = (profile) => {
+    if (!rulesHashes.has(profile)) {
+        rulesHashes.set(profile, contentHash(JSON.stringify(ruleSetDescription(profile))));
+    }
+    return rulesHashes.get(profile);
+};
+
+const describeEngine = (profile) => ({
+    version: ENGINE_VERSION,
+    rulesHash: rulesHashFor(profile),
+    ...TOOL_VERSIONS
+});
+
+// True when two reports' scores were produced by the same engine and rules
+const sameEngine = (a, b) => Boolean(a && b && a.version === b.version && a.rulesHash === b.rulesHash);
+
+module.exports = {
+    ENGINE_VERSION,
+    describeEngine,
+    sameEngine
+};
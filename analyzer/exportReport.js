@@ -0,0 +1,199 @@
+// Standalone, printable HTML rendering of an analysis report, for
+// GET /reports/:id.html and (through the headless browser) .pdf.
+//
+// The document has no scripts and loads nothing: styles are inline, so the
+// same markup works saved to disk, printed, or handed to Chrome for a PDF.
+// Everything taken from the report is escaped; messages and excerpts quote
+// the analysed site's own code.
+
+const CATEGORY_LABELS = {
+    html: 'HTML',
+    css: 'CSS',
+    javascript: 'JavaScript',
+    accessibility: 'Accessibility',
+    performance: 'Performance',
+    seo: 'SEO',
+    security: 'Security'
+};
+
+// Keeps very noisy categories printable
+const MAX_FINDINGS_PER_CATEGORY = 200;
+
+const STYLES = `
+body { font: 14px/1.5 -apple-system, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; color: #212529; margin: 0 auto; max-width: 960px; padding: 24px; }
+h1 { font-size: 24px; margin: 0 0 4px; }
+h2 { font-size: 18px; border-bottom: 2px solid #dee2e6; padding-bottom: 4px; margin-top: 32px; break-after: avoid; }
+h3 { font-size: 15px; margin: 16px 0 8px; break-after: avoid; }
+.meta { color: #6c757d; margin: 0 0 16px; }
+.meta dt { font-weight: 600; float: left; clear: left; width: 110px; }
+.meta dd { margin: 0 0 2px 110px; word-break: break-all; }
+table { border-collapse: collapse; width: 100%; margin: 8px 0 16px; }
+th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #dee2e6; }
+td.score, th.score { text-align: right; width: 80px; }
+.score-value { font-weight: 700; }
+.score-good { color: #198754; } .score-fair { color: #b58100; } .score-poor { color: #dc3545; }
+.overall { font-size: 32px; font-weight: 700; }
+ul.findings { list-style: none; padding: 0; margin: 0; }
+.finding { border-left: 4px solid #adb5bd; padding: 6px 10px; margin: 0 0 8px; background: #f8f9fa; break-inside: avoid; }
+.finding.error { border-color: #dc3545; } .finding.warning { border-color: #ffc107; } .finding.info { border-color: #0dcaf0; }
+.finding-head { display: flex; gap: 8px; align-items: baseline; }
+.severity { font-size: 11px; font-weight: 700; text-transform: uppercase; color: #495057; min-width: 56px; }
+.location, .points, .rule { color: #6c757d; font-size: 12px; white-space: nowrap; }
+.fixable { color: #198754; font-size: 12px; white-space: nowrap; }
+.element { font-family: SFMono-Regular, Menlo, Consolas, monospace; font-size: 12px; color: #495057; margin-top: 2px; word-break: break-all; }
+pre.excerpt { background: #fff; border: 1px solid #dee2e6; margin: 6px 0 0; padding: 4px 0; font-size: 12px; overflow-x: auto; white-space: pre; }
+pre.excerpt span { display: block; padding: 0 8px; }
+pre.excerpt span.hit { background: #fff3cd; }
+pre.excerpt .ln { display: inline-block; min-width: 40px; color: #adb5bd; user-select: none; }
+.note { color: #6c757d; font-style: italic; }
+footer { margin-top: 32px; color: #6c757d; font-size: 12px; }
+@media print { body { padding: 0; } a { color: inherit; text-decoration: none; } }
+`;
+
+const escapeHtml = (value) => String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const scoreClass = (score) => (score >= 80 ? 'score-good' : score >= 50 ? 'score-fair' : 'score-poor');
+
+const scoreCell = (score) => (score === undefined || score === null
+    ? '<span class="note">n/a</span>'
+    : `<span class="score-value ${scoreClass(score)}">${escapeHtml(Math.round(score))}</span>`);
+
+const describeTarget = (source = {}) => {
+    if (source.type === 'github') {
+        return `github.com/${source.owner}/${source.repo}${source.ref ? `@${source.ref}` : ''}${source.sha ? ` (${source.sha.substring(0, 7)})` : ''}`;
+    }
+    return source.finalUrl || source.url || 'Unknown target';
+};
+
+const describeMode = (source = {}) => {
+    if (source.type === 'github') return 'Source repository';
+    if (source.crawl) return `Crawl (depth ${source.crawl.maxDepth}, up to ${source.crawl.maxPages} pages)`;
+    return source.mode === 'rendered' ? 'Rendered in a headless browser' : 'Static HTML';
+};
+
+const renderExcerpt = ({ startLine, lines }, hitLine) => `<pre class="excerpt">${lines.map((text, index) => {
+    const lineNumber = startLine + index;
+    return `<span${lineNumber === hitLine ? ' class="hit"' : ''}><span class="ln">${lineNumber}</span>${escapeHtml(text)}</span>`;
+}).join('')}</pre>`;
+
+const renderFinding = (finding) => `<li class="finding ${escapeHtml(finding.severity)}">
+<div class="finding-head">
+<span class="severity">${escapeHtml(finding.severity)}</span>
+<span class="message">${escapeHtml(finding.message)}</span>
+</div>
+<div class="finding-head">
+${finding.line ? `<span class="location">line ${escapeHtml(finding.line)}${finding.column ? `:${escapeHtml(finding.column)}` : ''}</span>` : ''}
+<span class="rule">${escapeHtml(finding.rule)}${finding.wcag ? ` · WCAG ${escapeHtml(finding.wcag)}` : ''}</span>
+${finding.points ? `<span class="points">−${escapeHtml(finding.points)} points</span>` : ''}
+${finding.fix ? '<span class="fixable">fixable automatically</span>' : ''}
+</div>
+${finding.element ? `<div class="element">${escapeHtml(finding.element)}</div>` : ''}
+${finding.excerpt ? renderExcerpt(finding.excerpt, finding.line) : ''}
+</li>`;
+
+// Findings grouped by the file (or page) they point into, in report order
+const groupByFile = (findings, filesById) => {
+    const groups = new Map();
+    findings.forEach(finding => {
+        const key = finding.file || '';
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(finding);
+    });
+    return [...groups.entries()].map(([fileId, grouped]) => ({ file: filesById.get(fileId) || null, findings: grouped }));
+};
+
+const renderCategory = (category, report, filesById) => {
+    const findings = (report.findings && report.findings[category]) || [];
+    const shown = findings.slice(0, MAX_FINDINGS_PER_CATEGORY);
+    const label = CATEGORY_LABELS[category] || category;
+
+    const groups = groupByFile(shown, filesById).map(({ file, findings: grouped }) => `
+<h3>${file ? `${escapeHtml(file.label)} <span class="note">(${escapeHtml(CATEGORY_LABELS[file.category] || file.category)}, score ${escapeHtml(Math.round(file.score))})</span>` : 'Whole page / site'}</h3>
+<ul class="findings">${grouped.map(renderFinding).join('')}</ul>`).join('');
+
+    return `<section>
+<h2>${escapeHtml(label)} — ${scoreCell(report.scores[category])} / 100</h2>
+${findings.length === 0 ? '<p class="note">No issues found.</p>' : groups}
+${findings.length > shown.length ? `<p class="note">…and ${findings.length - shown.length} more findings not shown.</p>` : ''}
+</section>`;
+};
+
+const renderPages = (pages) => `<section>
+<h2>Pages</h2>
+<table>
+<thead><tr><th>Page</th><th class="score">Overall</th></tr></thead>
+<tbody>${pages.map(page => `<tr><td>${escapeHtml(page.url)}</td><td class="score">${scoreCell(page.scores.overall)}</td></tr>`).join('')}</tbody>
+</table>
+</section>`;
+
+const renderFileScores = (files) => `<section>
+<h2>Files</h2>
+<table>
+<thead><tr><th>File</th><th>Category</th><th class="score">Score</th></tr></thead>
+<tbody>${files.map(file => `<tr><td>${escapeHtml(file.label)}</td><td>${escapeHtml(CATEGORY_LABELS[file.category] || file.category)}</td><td class="score">${scoreCell(file.score)}</td></tr>`).join('')}</tbody>
+</table>
+</section>`;
+
+// `createdAt` is when the report was stored (reports carry no timestamp of
+// their own, so the same analysis always renders the same body)
+const renderReportHtml = (report, { createdAt = null } = {}) => {
+    const categories = Object.keys(report.scores || {}).filter(name => name !== 'overall');
+    const files = report.files || [];
+    const filesById = new Map(files.map(file => [file.id, file]));
+    const profile = report.profile || {};
+    const engine = report.engine || null;
+    const target = describeTarget(report.source);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Skifolio analysis report — ${escapeHtml(target)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<header>
+<h1>Skifolio analysis report</h1>
+<p class="meta">${escapeHtml(target)}</p>
+<dl class="meta">
+<dt>Analysed</dt><dd>${escapeHtml(describeMode(report.source))}${createdAt ? `, ${escapeHtml(new Date(createdAt).toUTCString())}` : ''}</dd>
+<dt>Profile</dt><dd>${escapeHtml(profile.name || profile.id || 'default')}${profile.version ? ` (${escapeHtml(profile.id)}@${escapeHtml(profile.version)})` : ''}</dd>
+${engine ? `<dt>Engine</dt><dd>${escapeHtml(engine.version)} · rules ${escapeHtml(String(engine.rulesHash).substring(0, 12))}${engine.linters ? ` · ${Object.entries(engine.linters).filter(([, version]) => version).map(([name, version]) => `${escapeHtml(name)} ${escapeHtml(version)}`).join(', ')}` : ''}</dd>` : ''}
+</dl>
+</header>
+
+<section>
+<h2>Summary</h2>
+<p><span class="overall ${scoreClass(report.scores.overall)}">${escapeHtml(report.scores.overall)}</span> / 100 overall</p>
+<table>
+<thead><tr><th>Category</th><th class="score">Score</th><th class="score">Findings</th></tr></thead>
+<tbody>${categories.map(category => `<tr><td>${escapeHtml(CATEGORY_LABELS[category] || category)}</td><td class="score">${scoreCell(report.scores[category])}</td><td class="score">${escapeHtml(((report.findings && report.findings[category]) || []).length)}</td></tr>`).join('')}</tbody>
+</table>
+${report.cssCoverage && report.cssCoverage.rules > 0 ? `<p>Unused CSS: ${escapeHtml(report.cssCoverage.unusedPercent)}% (${escapeHtml(report.cssCoverage.unusedRules)} of ${escapeHtml(report.cssCoverage.rules)} rules, ${escapeHtml((report.cssCoverage.unusedBytes / 1024).toFixed(1))} KB)</p>` : ''}
+${report.cssCoverage && report.cssCoverage.skipped === 'app-shell' ? '<p>Unused CSS: not checked, the page is an app shell rendered by JavaScript.</p>' : ''}
+${report.cssCoverage && report.cssCoverage.notChecked && report.cssCoverage.notChecked.length ? `<p class="note">Only stylesheets linked from the HTML pages were checked for unused rules; ${escapeHtml(report.cssCoverage.notChecked.length)} stylesheet(s) imported from code were not.</p>` : ''}
+${report.skipped ? `<p class="note">${escapeHtml(report.skipped)}</p>` : ''}
+</section>
+
+${report.pages && report.pages.length > 1 ? renderPages(report.pages) : ''}
+${files.length ? renderFileScores(files) : ''}
+${categories.map(category => renderCategory(category, report, filesById)).join('\n')}
+
+<footer>
+${report.inputsHash ? `Inputs ${escapeHtml(report.inputsHash.substring(0, 16))} · ` : ''}Scores are only comparable between reports with the same profile and engine.
+</footer>
+</body>
+</html>
+`;
+};
+
+module.exports = {
+    escapeHtml,
+    renderReportHtml
+};
@@ -0,0 +1,257 @@
+// Outbound fetching of the pages and assets being analysed
+const { contentHash } = require('./cache');
+const { UrlPolicyError, defaultUrlPolicy } = require('./urlPolicy');
+
+// Limits for asset fetching; overridable through the environment
+const FETCH_LIMITS = {
+    concurrency: parseInt(process.env.FETCH_CONCURRENCY, 10) || 4,
+    maxFileBytes: parseInt(process.env.FETCH_MAX_FILE_BYTES, 10) || 512 * 1024,
+    maxTotalBytes: parseInt(process.env.FETCH_MAX_TOTAL_BYTES, 10) || 3 * 1024 * 1024
+};
+
+// Handle both relative and absolute URLs
+const resolveAssetUrl = (link, baseURL) => {
+    let fullUrl;
+    try {
+        fullUrl = new URL(link, baseURL).href;
+    } catch (e) {
+        // If URL parsing fails, try other approaches
+        if (link.startsWith('//')) {
+            fullUrl = `https:${link}`;
+        } else if (link.startsWith('/')) {
+            const parsedBase = new URL(baseURL);
+            fullUrl = `${parsedBase.protocol}//${parsedBase.host}${link}`;
+        } else {
+            fullUrl = link;
+        }
+    }
+
+    // Handle GitHub specific URLs - convert to raw content if needed
+    if (fullUrl.includes('github.com') && !fullUrl.includes('raw.githubusercontent.com')) {
+        fullUrl = convertGithubToRawUrl(fullUrl);
+    }
+
+    return fullUrl;
+};
+
+// Run `fn` over `items` with at most `limit` calls in flight; results keep input order
+const mapWithConcurrency = async (items, limit, fn) => {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    const worker = async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+};
+
+// mapWithConcurrency for downloads that share a byte budget. `load(item, signal)`
+// resolves to a result with `bytes` (0 when nothing was kept). Items are paid
+// for in input order: once the items before one add up to more than
+// `maxTotalBytes`, it comes back as null, and it's never started (or is
+// aborted mid-download) as soon as the finished items before it prove that.
+// So the outcome is the same whichever download finishes first.
+const mapWithinBudget = async (items, { concurrency, maxTotalBytes }, load) => {
+    const bytes = new Array(items.length).fill(0);
+    const inFlight = new Map();
+    const spentBefore = index => bytes.slice(0, index).reduce((sum, n) => sum + n, 0);
+
+    const results = await mapWithConcurrency(items, concurrency, async (item, index) => {
+        if (spentBefore(index) > maxTotalBytes) return null;
+
+        const controller = new AbortController();
+        inFlight.set(index, controller);
+        let result;
+        try {
+            result = await load(item, controller.signal);
+        } finally {
+            inFlight.delete(index);
+        }
+        if (controller.signal.aborted) return null;
+
+        bytes[index] = result.bytes || 0;
+        inFlight.forEach((other, otherIndex) => {
+            if (spentBefore(otherIndex) > maxTotalBytes) other.abort();
+        });
+        return result;
+    });
+
+    let totalBytes = 0;
+    return results.map((result, index) => {
+        if (totalBytes > maxTotalBytes) return null;
+        totalBytes += bytes[index];
+        return totalBytes > maxTotalBytes ? null : result;
+    });
+};
+
+// Response headers the performance and security audits look at
+const REPORTED_HEADERS = [
+    'content-type', 'content-length', 'content-encoding', 'cache-control', 'expires', 'etag', 'last-modified',
+    'content-security-policy', 'strict-transport-security', 'x-content-type-options', 'referrer-policy'
+];
+
+const pickHeaders = (headers = {}) => {
+    const picked = {};
+    REPORTED_HEADERS.forEach(name => {
+        if (headers[name] !== undefined) picked[name] = String(headers[name]);
+    });
+    return picked;
+};
+
+const fetchAsset = async (fullUrl, limits, signal) => {
+    console.log(`Attempting to fetch: ${fullUrl}`);
+    try {
+        // Add appropriate headers for better compatibility
+        const response = await limits.policy.get(fullUrl, {
+            timeout: 10000,
+            headers: {
+                'Accept': 'text/css,application/javascript,text/html,*/*',
+                'User-Agent': 'Mozilla/5.0 SkifolioAnalyzer'
+            },
+            // Keep the raw text; we lint it, never parse it as JSON
+            responseType: 'text',
+            transformResponse: [data => data],
+            maxContentLength: limits.maxFileBytes,
+            signal,
+            validateStatus: status => status < 400 // Accept any success status
+        });
+
+        const content = typeof response.data === 'string' ? response.data : '';
+        if (!content.trim()) {
+            console.warn(`Empty content received from: ${fullUrl}`);
+            return { url: fullUrl, skipped: 'empty' };
+        }
+
+        const bytes = Buffer.byteLength(content);
+        console.log(`Fetched content from: ${fullUrl} (${bytes} bytes)`);
+        return { url: fullUrl, content, bytes, headers: pickHeaders(response.headersAsSent) };
+    } catch (error) {
+        // Aborted because the total budget ran out; the caller reports that
+        if (signal && signal.aborted) return { url: fullUrl, skipped: 'total-size-limit' };
+        if (error instanceof UrlPolicyError) {
+            if (error.code === 'RESPONSE_TOO_LARGE') {
+                return { url: fullUrl, skipped: 'too-large', detail: `Larger than ${limits.maxFileBytes} bytes` };
+            }
+            console.warn(`Blocked external file at ${fullUrl}: ${error.code}`);
+            return { url: fullUrl, skipped: 'blocked', detail: `${error.code}: ${error.message}` };
+        }
+        console.error(`Failed to fetch external file at ${fullUrl}:`, error.message);
+        // Additional error details for debugging
+        if (error.response) {
+            console.error(`Status: ${error.response.status}, Response: ${String(error.response.data).substring(0, 200)}`);
+        }
+        return { url: fullUrl, skipped: 'fetch-failed', detail: error.message };
+    }
+};
+
+// Fetch stylesheets/scripts in parallel. Returns the fetched files in document
+// order plus every asset that was skipped, with the reason:
+//   duplicate, empty, too-large, total-size-limit, blocked (URL policy), fetch-failed
+const fetchExternalFiles = async (links, baseURL, overrides = {}) => {
+    const limits = { ...FETCH_LIMITS, policy: defaultUrlPolicy, ...overrides };
+    const skipped = [];
+
+    // De-duplicate on the resolved URL so the same file linked twice is fetched once
+    const seen = new Set();
+    const urls = [];
+    links.forEach(link => {
+        const fullUrl = resolveAssetUrl(link, baseURL);
+        if (seen.has(fullUrl)) {
+            skipped.push({ url: fullUrl, reason: 'duplicate' });
+        } else {
+            seen.add(fullUrl);
+            urls.push(fullUrl);
+        }
+    });
+
+    // Downloads stop once the files before them have used up the total budget
+    const results = await mapWithinBudget(urls, limits, (fullUrl, signal) => fetchAsset(fullUrl, limits, signal));
+
+    const files = [];
+    results.forEach((result, index) => {
+        if (!result) {
+            skipped.push({ url: urls[index], reason: 'total-size-limit', detail: `Total asset budget of ${limits.maxTotalBytes} bytes reached` });
+            return;
+        }
+        if (result.skipped) {
+            skipped.push({ url: result.url, reason: result.skipped, ...(result.detail ? { detail: result.detail } : {}) });
+            return;
+        }
+        files.push({ url: result.url, content: result.content, bytes: result.bytes, hash: contentHash(result.content), headers: result.headers });
+    });
+
+    return { files, skipped };
+};
+
+// HEAD each URL (images, fonts) for its size and caching headers without
+// downloading the body. Unreachable assets come back with bytes: null.
+const probeAssets = async (urls, overrides = {}) => {
+    const limits = { ...FETCH_LIMITS, policy: defaultUrlPolicy, ...overrides };
+    const unique = [...new Set(urls)];
+
+    return mapWithConcurrency(unique, limits.concurrency, async url => {
+        try {
+            const response = await limits.policy.head(url, {
+                timeout: 8000,
+                headers: { 'User-Agent': 'Mozilla/5.0 SkifolioAnalyzer' }
+            });
+            const headers = pickHeaders(response.headersAsSent);
+            const length = parseInt(headers['content-length'], 10);
+            return { url, bytes: Number.isNaN(length) ? null : length, headers };
+        } catch (error) {
+            console.warn(`Could not probe ${url}: ${error.code || error.message}`);
+            return { url, bytes: null, headers: null };
+        }
+    });
+};
+
+// Helper function to convert GitHub URLs to raw content URLs
+const convertGithubToRawUrl = (githubUrl) => {
+    // Check if already a raw URL
+    if (githubUrl.includes('raw.githubusercontent.com')) {
+        return githubUrl;
+    }
+    
+    // Convert normal GitHub URLs to raw content URLs
+    // Format: https://github.com/user/repo/blob/branch/path/to/file.css
+    // To: https://raw.githubusercontent.com/user/repo/branch/path/to/file.css
+    try {
+        const parsedUrl = new URL(githubUrl);
+        const pathParts = parsedUrl.pathname.split('/');
+        
+        if (pathParts.length >= 5 && pathParts[3] === 'blob') {
+            const user = pathParts[1];
+            const repo = pathParts[2];
+            const branch = pathParts[4];
+            const filePath = pathParts.slice(5).join('/');
+            
+            return `https://raw.githubusercontent.com/${user}/${repo}/${branch}/${filePath}`;
+        }
+        
+        // Handle GitHub gist URLs
+        if (parsedUrl.hostname === 'gist.github.com') {
+            // We can't directly convert gist URLs, so we'll leave as-is for now
+            console.warn(`GitHub Gist URLs cannot be directly converted: ${githubUrl}`);
+        }
+    } catch (e) {
+        console.error(`Failed to convert GitHub URL ${githubUrl}:`, e.message);
+    }
+    
+    return githubUrl;
+};
+
+module.exports = {
+    FETCH_LIMITS,
+    resolveAssetUrl,
+    mapWithConcurrency,
+    mapWithinBudget,
+    fetchExternalFiles,
+    pickHeaders,
+    probeAssets,
+    convertGithubToRawUrl
+};
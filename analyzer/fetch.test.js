@@ -0,0 +1,68 @@
+// Run with `npm run test:server`. Serves stylesheets on 127.0.0.1.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { fetchExternalFiles, mapWithinBudget } = require('./fetch');
+const { createUrlPolicy } = require('./urlPolicy');
+
+const sheet = (name) => `.${name} { color: #333; }\n`.padEnd(100, ' ');
+
+let server;
+let baseUrl;
+const requests = [];
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        requests.push(req.url);
+        // Never answers, so only an abort ends the download
+        if (req.url === '/slow.css') return;
+        const name = req.url.replace(/^\/|\.css$/g, '');
+        res.writeHead(200, { 'Content-Type': 'text/css' });
+        res.end(name === 'big' ? sheet(name).repeat(3) : sheet(name));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://localhost:${server.address().port}/`;
+});
+
+after(() => {
+    server.closeAllConnections();
+    return new Promise(resolve => server.close(resolve));
+});
+
+const policy = createUrlPolicy({ allowHosts: ['localhost'] });
+
+test('does not start downloads once the files before them used up the budget', async () => {
+    requests.length = 0;
+    const { files, skipped } = await fetchExternalFiles(['a.css', 'b.css', 'c.css', 'd.css'], baseUrl, {
+        policy, concurrency: 1, maxTotalBytes: 150
+    });
+
+    assert.deepStrictEqual(files.map(file => file.url), [`${baseUrl}a.css`]);
+    assert.deepStrictEqual(skipped.map(({ url, reason }) => [url.replace(baseUrl, ''), reason]), [
+        ['b.css', 'total-size-limit'], ['c.css', 'total-size-limit'], ['d.css', 'total-size-limit']
+    ]);
+    assert.deepStrictEqual(requests, ['/a.css', '/b.css']);
+});
+
+test('aborts downloads in flight once the budget is spent', async () => {
+    const started = Date.now();
+    const { files, skipped } = await fetchExternalFiles(['big.css', 'slow.css'], baseUrl, {
+        policy, concurrency: 2, maxTotalBytes: 150
+    });
+
+    assert.deepStrictEqual(files, []);
+    assert.deepStrictEqual(skipped.map(({ reason }) => reason), ['total-size-limit', 'total-size-limit']);
+    assert.ok(Date.now() - started < 5000, 'slow.css was left to time out');
+});
+
+test('keeps the same files whichever download finishes first', async () => {
+    const sizes = [40, 41, 42, 43];
+    const load = (delays) => mapWithinBudget([0, 1, 2, 3], { concurrency: 4, maxTotalBytes: 100 }, index => new Promise(resolve => {
+        setTimeout(() => resolve({ bytes: sizes[index] }), delays[index]);
+    }));
+
+    const inOrder = await load([5, 10, 15, 20]);
+    const reversed = await load([20, 15, 10, 5]);
+    assert.deepStrictEqual(inOrder.map(result => result && result.bytes), [40, 41, null, null]);
+    assert.deepStrictEqual(reversed.map(result => result && result.bytes), [40, 41, null, null]);
+});
@@ -0,0 +1,183 @@
+// Per-file bookkeeping for the analyzer: every inline block and every fetched
+// file is scored on its own, and its findings keep line numbers that point
+// into the real document (the HTML page for inline blocks, the file otherwise).
+const { formatFinding } = require('./rules');
+const { contentHash } = require('./cache');
+const { redactSecrets } = require('./secrets');
+
+// Small files would otherwise barely move the category score, so every file
+// weighs at least this many bytes when averaging
+const MIN_FILE_WEIGHT = 500;
+
+// Inline <style>/<script> blocks; offsets map block lines onto HTML page lines.
+// `page` prefixes ids and labels when several pages are analysed together.
+const collectInlineBlocks = ($, selector, category, pageUrl, page = null) => $(selector).toArray()
+    .map((el, index) => {
+        const location = el.sourceCodeLocation && el.sourceCodeLocation.startTag;
+        const content = $(el).html() || '';
+        return {
+            id: `${category}-inline-${page ? `${page.id}-` : ''}${index + 1}`,
+            category,
+            source: 'inline',
+            url: pageUrl,
+            label: `${page ? `${page.label} ` : ''}inline <${el.name}> #${index + 1}`,
+            content,
+            bytes: Buffer.byteLength(content),
+            hash: contentHash(content),
+            // The browser decides how to run a script from its type attribute
+            ...(el.name === 'script' ? { scriptType: ($(el).attr('type') || '').trim().toLowerCase() } : {}),
+            lineOffset: location ? location.endLine - 1 : 0,
+            columnOffset: location ? location.endCol - 1 : 0,
+            charOffset: location ? location.endOffset : 0
+        };
+    })
+    .filter(block => block.content.trim());
+
+const fileLabel = (fileUrl) => {
+    try {
+        return new URL(fileUrl).pathname.split('/').pop() || fileUrl;
+    } catch (e) {
+        return fileUrl;
+    }
+};
+
+// Fetched (or repository) files; `path` is set for repository files and
+// tells the linter which syntax to expect. `kind` keeps ids unique when vendor
+// files are listed alongside first-party ones.
+const externalSources = (files, category, kind = 'file') => files.map((file, index) => ({
+    id: `${category}-${kind}-${index + 1}`,
+    category,
+    source: file.path ? 'repository' : 'external',
+    url: file.url,
+    label: file.path || fileLabel(file.url),
+    ...(file.path ? { path: file.path } : {}),
+    ...(file.scriptType !== undefined ? { scriptType: file.scriptType } : {}),
+    content: file.content,
+    bytes: file.bytes,
+    hash: file.hash,
+    lineOffset: 0,
+    columnOffset: 0,
+    charOffset: 0
+}));
+
+// Shift a finding's position from block-relative to document-relative
+const locateInSource = (finding, source) => {
+    if (!finding.line) return finding;
+    return {
+        ...finding,
+        line: finding.line + source.lineOffset,
+        column: finding.line === 1 && finding.column ? finding.column + source.columnOffset : finding.column,
+        ...(finding.endLine ? {
+            endLine: finding.endLine + source.lineOffset,
+            endColumn: finding.endLine === 1 && finding.endColumn ? finding.endColumn + source.columnOffset : finding.endColumn
+        } : {}),
+        ...(finding.fix ? {
+            fix: { ...finding.fix, range: finding.fix.range.map(index => index + (source.charOffset || 0)) }
+        } : {})
+    };
+};
+
+// Exported reports quote a few lines around each finding
+const EXCERPT_CONTEXT_LINES = 2;
+const EXCERPT_MAX_LINE_LENGTH = 160;
+
+// Long (minified) lines are cut to a window around the finding's column
+const clipLine = (text, column) => {
+    if (text.length <= EXCERPT_MAX_LINE_LENGTH) return text;
+    const start = column ? Math.max(Math.min(column - EXCERPT_MAX_LINE_LENGTH / 2, text.length - EXCERPT_MAX_LINE_LENGTH), 0) : 0;
+    const clipped = text.substring(start, start + EXCERPT_MAX_LINE_LENGTH);
+    return `${start > 0 ? '…' : ''}${clipped}${start + EXCERPT_MAX_LINE_LENGTH < text.length ? '…' : ''}`;
+};
+
+// Lines of `content` around a finding's `line` (relative to `content`), with
+// line numbers shifted by `lineOffset` so they match the finding once located.
+// Secrets are masked before clipping, so a clipped line can't leak part of one.
+const excerptAt = (content, { line, column }, lineOffset = 0) => {
+    if (!line || typeof content !== 'string') return null;
+    const lines = content.split('\n');
+    if (line > lines.length) return null;
+    const start = Math.max(line - EXCERPT_CONTEXT_LINES, 1);
+    const end = Math.min(line + EXCERPT_CONTEXT_LINES, lines.length);
+    return {
+        startLine: start + lineOffset,
+        lines: lines.slice(start - 1, end).map((text, index) => clipLine(redactSecrets(text.replace(/\r$/, '')), start + index === line ? column : null))
+    };
+};
+
+// Adds excerpts from `content` to findings that point into it; findings
+// already tagged with another file are left alone
+const withExcerpts = (result, content) => ({
+    ...result,
+    findings: result.findings.map(finding => {
+        if (finding.file || finding.excerpt) return finding;
+        const excerpt = excerptAt(content, finding);
+        return excerpt ? { ...finding, excerpt } : finding;
+    })
+});
+
+// Attach file identity and document positions to one file's rule results.
+// Findings a rule already located in another file (a stylesheet, for a page
+// audit) keep their position.
+const fileResult = (source, { score, findings }) => {
+    const located = findings.map(finding => {
+        if (finding.file) return finding;
+        const excerpt = excerptAt(source.content, finding, source.lineOffset);
+        return {
+            ...locateInSource(finding, source),
+            ...(excerpt ? { excerpt } : {}),
+            file: source.id
+        };
+    });
+    return {
+        id: source.id,
+        category: source.category,
+        source: source.source,
+        url: source.url,
+        label: source.label,
+        ...(source.path ? { path: source.path } : {}),
+        bytes: source.bytes,
+        ...(source.hash ? { hash: source.hash } : {}),
+        score,
+        findings: located
+    };
+};
+
+// Category score is the byte-weighted mean of its files' scores
+const combineFileResults = (files) => {
+    let total = 0;
+    let weight = 0;
+    files.forEach(file => {
+        const fileWeight = Math.max(file.bytes, MIN_FILE_WEIGHT);
+        total += file.score * fileWeight;
+        weight += fileWeight;
+    });
+
+    const findings = files.flatMap(file => file.findings);
+    return {
+        score: weight > 0 ? total / weight : 0,
+        feedback: files.flatMap(file => file.findings.map(finding => `${file.label}: ${formatFinding(finding)}`)),
+        findings,
+        files
+    };
+};
+
+// Multi-page reports: pages are averaged, then findings that apply once to
+// the whole site (robots.txt, shipped scripts...) are deducted on top
+const addSiteResult = (pagesResult, siteResult) => ({
+    ...pagesResult,
+    score: Math.max(pagesResult.score - (100 - siteResult.score), 0),
+    feedback: [...pagesResult.feedback, ...siteResult.feedback],
+    findings: [...pagesResult.findings, ...siteResult.findings]
+});
+
+module.exports = {
+    fileLabel,
+    collectInlineBlocks,
+    externalSources,
+    locateInSource,
+    excerptAt,
+    withExcerpts,
+    fileResult,
+    combineFileResults,
+    addSiteResult
+};
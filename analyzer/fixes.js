@@ -0,0 +1,38 @@
+// Machine-applicable fixes. ESLint and stylelint report them as
+// { range: [start, end], text }: replace that span of the file (character
+// offsets into the whole file, see locateInSource) with `text`.
+const { createTwoFilesPatch, FILE_HEADERS_ONLY } = require('diff');
+
+// Applies fixes front to back. One that overlaps a fix already applied is
+// left out, as ESLint does; it will be reported again on the next check.
+const applyFixes = (content, fixes) => {
+    const sorted = [...fixes].sort((a, b) => a.range[0] - b.range[0] || a.range[1] - b.range[1]);
+    let output = '';
+    let position = 0;
+    let applied = 0;
+    sorted.forEach(({ range: [start, end], text }) => {
+        if (start < position || end > content.length) return;
+        output += content.substring(position, start) + text;
+        position = end;
+        applied += 1;
+    });
+    return { content: output + content.substring(position), applied };
+};
+
+// { fixable, applied, fixed, diff } for one file; `fixed` and `diff` are null
+// when nothing could be fixed
+const fixFile = (name, content, fixes) => {
+    if (fixes.length === 0) return { fixable: 0, applied: 0, fixed: null, diff: null };
+    const { content: fixed, applied } = applyFixes(content, fixes);
+    return {
+        fixable: fixes.length,
+        applied,
+        fixed,
+        diff: createTwoFilesPatch(name, name, content, fixed, undefined, undefined, { context: 3, headerOptions: FILE_HEADERS_ONLY })
+    };
+};
+
+module.exports = {
+    applyFixes,
+    fixFile
+};
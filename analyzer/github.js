@@ -0,0 +1,121 @@
+// Minimal GitHub REST client for repository analysis.
+//
+// The API base is configurable (GITHUB_API_URL) so tests and local development
+// can point it at a stub server; GITHUB_TOKEN raises the API rate limit.
+const { UrlPolicyError, defaultUrlPolicy } = require('./urlPolicy');
+
+const DEFAULT_API_URL = 'https://api.github.com';
+
+// code -> HTTP status used when the error reaches an API response
+const ERROR_STATUS = {
+    REPO_REFERENCE_INVALID: 400,
+    REPO_NOT_FOUND: 404,
+    REPO_REF_NOT_FOUND: 404,
+    GITHUB_RATE_LIMITED: 503,
+    GITHUB_UNAVAILABLE: 502
+};
+
+class RepositoryError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'RepositoryError';
+        this.code = code;
+        this.status = ERROR_STATUS[code] || 400;
+    }
+}
+
+const NAME = /^[A-Za-z0-9_.-]+$/;
+
+// Accepts "owner/repo", "owner/repo@ref", "https://github.com/owner/repo"
+// and "https://github.com/owner/repo/tree/ref"; ref is null when not given
+const parseRepoReference = (value) => {
+    if (typeof value !== 'string' || !value.trim()) {
+        throw new RepositoryError('REPO_REFERENCE_INVALID', 'Repository must look like owner/repo or owner/repo@ref.');
+    }
+
+    let owner;
+    let repo;
+    let ref = null;
+    const trimmed = value.trim();
+
+    if (/^https?:\/\//i.test(trimmed)) {
+        let parsed;
+        try {
+            parsed = new URL(trimmed);
+        } catch (e) {
+            parsed = null;
+        }
+        if (!parsed || parsed.hostname !== 'github.com') {
+            throw new RepositoryError('REPO_REFERENCE_INVALID', 'Only github.com repository links are supported.');
+        }
+        const parts = parsed.pathname.split('/').filter(Boolean);
+        [owner, repo] = parts;
+        if (parts[2] === 'tree' && parts.length > 3) ref = decodeURIComponent(parts.slice(3).join('/'));
+    } else {
+        const at = trimmed.indexOf('@');
+        const name = at === -1 ? trimmed : trimmed.substring(0, at);
+        if (at !== -1) ref = trimmed.substring(at + 1) || null;
+        [owner, repo] = name.split('/');
+        if (name.split('/').length !== 2) owner = null;
+    }
+
+    repo = repo ? repo.replace(/\.git$/, '') : repo;
+    if (!owner || !repo || !NAME.test(owner) || !NAME.test(repo)) {
+        throw new RepositoryError('REPO_REFERENCE_INVALID', 'Repository must look like owner/repo or owner/repo@ref.');
+    }
+    return { owner, repo, ref };
+};
+
+const createGithubClient = ({
+    apiUrl = process.env.GITHUB_API_URL || DEFAULT_API_URL,
+    token = process.env.GITHUB_TOKEN,
+    policy = defaultUrlPolicy
+} = {}) => {
+    const request = async (path, notFoundCode) => {
+        try {
+            const response = await policy.get(`${apiUrl.replace(/\/$/, '')}${path}`, {
+                timeout: 15000,
+                headers: {
+                    'Accept': 'application/vnd.github+json',
+                    'User-Agent': 'SkifolioAnalyzer',
+                    ...(token ? { 'Authorization': `Bearer ${token}` } : {})
+                }
+            });
+            return response.data;
+        } catch (error) {
+            const status = error.response && error.response.status;
+            if (status === 404 || status === 422) {
+                throw new RepositoryError(notFoundCode, notFoundCode === 'REPO_NOT_FOUND'
+                    ? 'Repository not found. It may be private or misspelled.'
+                    : 'Branch, tag or commit not found in this repository.');
+            }
+            if (status === 403 || status === 429) {
+                throw new RepositoryError('GITHUB_RATE_LIMITED', 'GitHub API rate limit reached. Please try again later.');
+            }
+            if (error instanceof UrlPolicyError) throw error;
+            throw new RepositoryError('GITHUB_UNAVAILABLE', `GitHub request failed: ${error.message}`);
+        }
+    };
+
+    const repoPath = ({ owner, repo }) => `/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}`;
+
+    return {
+        getRepository: (reference) => request(repoPath(reference), 'REPO_NOT_FOUND'),
+        // Resolves a branch, tag or sha to a commit sha
+        resolveCommit: async (reference, ref) => {
+            const commit = await request(`${repoPath(reference)}/commits/${encodeURIComponent(ref)}`, 'REPO_REF_NOT_FOUND');
+            return commit.sha;
+        },
+        getTree: (reference, sha) => request(`${repoPath(reference)}/git/trees/${sha}?recursive=1`, 'REPO_REF_NOT_FOUND'),
+        getBlob: async (reference, sha) => {
+            const blob = await request(`${repoPath(reference)}/git/blobs/${sha}`, 'REPO_REF_NOT_FOUND');
+            return Buffer.from(blob.content || '', blob.encoding === 'base64' ? 'base64' : 'utf8').toString('utf8');
+        }
+    };
+};
+
+module.exports = {
+    RepositoryError,
+    parseRepoReference,
+    createGithubClient
+};
@@ -0,0 +1,161 @@
+// Run with `npm run test:server`. Serves a stub GitHub REST API on 127.0.0.1.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { RepositoryError, parseRepoReference, createGithubClient } = require('./github');
+const { analyzeRepository } = require('./repository');
+const { createUrlPolicy } = require('./urlPolicy');
+const { getProfile } = require('./profiles');
+
+const SHA = 'c0ffee0000000000000000000000000000000000';
+
+// path -> content of the stub repository "demo/site"
+const REPO_FILES = {
+    '.gitignore': 'generated/\n',
+    'index.html': '<!DOCTYPE html>\n<html lang="en"><head><title>Demo</title>\n<link rel="stylesheet" href="css/site.css"></head>\n<body><header></header><main><img src="a.png"></main><footer></footer></body></html>\n',
+    'about/index.html': '<html><head><title>About</title></head><body><main><p>About</p></main></body></html>\n',
+    'css/site.css': 'body { color: #333; }\n.title { color: red !important; }\n',
+    'src/App.css': '.app { padding: 1rem; }\n.app-header { font-weight: bold; }\n',
+    'src/app.jsx': 'export const App = () => <div className="app">Hello</div>;\n',
+    'src/util.ts': 'export const double = (value: number): number => value * 2;\n',
+    'src/.gitignore': 'scratch.js\n',
+    'src/scratch.js': 'var scratch = 1;\n',
+    'generated/.gitignore': '!bundle.js\n',
+    'generated/bundle.js': 'var unused = 1;\n',
+    'node_modules/lib/.gitignore': '*.log\n',
+    'node_modules/lib/index.js': 'module.exports = 1;\n',
+    'drafts/old.html': '<html><body><center>old</center></body></html>\n',
+    'README.md': '# Demo\n',
+    'public/robots.txt': 'User-agent: *\nAllow: /\n'
+};
+
+const blobSha = (filePath) => Buffer.from(filePath).toString('hex');
+
+let server;
+let apiUrl;
+const requests = [];
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        requests.push(req.url);
+        const json = (status, body) => {
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body));
+        };
+        const url = new URL(req.url, 'http://localhost');
+
+        if (url.pathname === '/repos/demo/site') return json(200, { default_branch: 'main' });
+        if (url.pathname === '/repos/demo/site/commits/main') return json(200, { sha: SHA });
+        if (url.pathname === `/repos/demo/site/git/trees/${SHA}`) {
+            return json(200, {
+                sha: SHA,
+                truncated: false,
+                tree: Object.entries(REPO_FILES).map(([filePath, content]) => ({
+                    path: filePath,
+                    type: 'blob',
+                    sha: blobSha(filePath),
+                    size: Buffer.byteLength(content)
+                }))
+            });
+        }
+        const blob = url.pathname.match(/^\/repos\/demo\/site\/git\/blobs\/([0-9a-f]+)$/);
+        if (blob) {
+            const filePath = Buffer.from(blob[1], 'hex').toString();
+            if (REPO_FILES[filePath] !== undefined) {
+                return json(200, { encoding: 'base64', content: Buffer.from(REPO_FILES[filePath]).toString('base64') });
+            }
+        }
+        if (url.pathname === '/repos/demo/limited') return json(403, { message: 'API rate limit exceeded' });
+        json(404, { message: 'Not Found' });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    apiUrl = `http://localhost:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+const github = () => createGithubClient({ apiUrl, token: null, policy: createUrlPolicy({ allowHosts: ['localhost'] }) });
+
+const rejectsWith = async (promise, code) => {
+    await assert.rejects(promise, error => {
+        assert.ok(error instanceof RepositoryError, `expected RepositoryError, got ${error && error.message}`);
+        assert.strictEqual(error.code, code);
+        return true;
+    });
+};
+
+test('parses owner/repo references with an optional ref', () => {
+    assert.deepStrictEqual(parseRepoReference('demo/site'), { owner: 'demo', repo: 'site', ref: null });
+    assert.deepStrictEqual(parseRepoReference('demo/site@v1.2'), { owner: 'demo', repo: 'site', ref: 'v1.2' });
+    assert.deepStrictEqual(parseRepoReference('https://github.com/demo/site.git'), { owner: 'demo', repo: 'site', ref: null });
+    assert.deepStrictEqual(
+        parseRepoReference('https://github.com/demo/site/tree/feature/nav'),
+        { owner: 'demo', repo: 'site', ref: 'feature/nav' }
+    );
+
+    ['', 'demo', 'demo/site/extra', 'https://gitlab.com/demo/site', 'de mo/site'].forEach(value => {
+        assert.throws(() => parseRepoReference(value), error => error.code === 'REPO_REFERENCE_INVALID', value);
+    });
+});
+
+test('analyses the source tree and honours default, .gitignore and request exclusions', async () => {
+    const report = await analyzeRepository('demo/site', getProfile(), { github: github(), exclude: ['drafts/'] });
+
+    assert.deepStrictEqual(report.source, { type: 'github', owner: 'demo', repo: 'site', ref: 'main', sha: SHA, truncated: false });
+
+    const paths = report.files.map(file => file.path).sort();
+    assert.deepStrictEqual(paths, ['about/index.html', 'css/site.css', 'index.html', 'src/App.css', 'src/app.jsx', 'src/util.ts']);
+    assert.strictEqual(report.fileStats.pages, 2);
+    assert.strictEqual(report.fileStats.excludedFiles, 4);
+    ['node_modules/lib/index.js', 'node_modules/lib/.gitignore', 'generated/.gitignore'].forEach(filePath => {
+        assert.ok(!requests.some(url => url.includes(blobSha(filePath))), `${filePath} is never downloaded`);
+    });
+
+    // JSX and TypeScript go through a parser that understands them
+    report.files.filter(file => file.category === 'javascript').forEach(file => {
+        assert.ok(!file.findings.some(finding => /Parsing error/.test(finding.message)), `${file.path} parsed`);
+    });
+
+    // Findings point at the file id; lines are relative to that file
+    const pathOf = (id) => report.files.find(file => file.id === id).path;
+
+    const important = report.findings.css.find(finding => finding.rule === 'css-important');
+    assert.strictEqual(pathOf(important.file), 'css/site.css');
+    assert.strictEqual(important.line, 2);
+
+    // Only the stylesheet the pages link is checked for unused rules;
+    // App.css styles markup that exists once the app runs
+    assert.deepStrictEqual(report.cssCoverage.notChecked, ['src/App.css']);
+    assert.strictEqual(report.cssCoverage.rules, 2);
+    const unusedRules = report.findings.css.filter(finding => finding.rule === 'css-unused-rules');
+    assert.ok(unusedRules.length > 0 && unusedRules.every(finding => pathOf(finding.file) === 'css/site.css'));
+
+    const missingAlt = report.findings.html.find(finding => finding.rule === 'img-alt');
+    assert.strictEqual(pathOf(missingAlt.file), 'index.html');
+    assert.strictEqual(missingAlt.line, 4);
+    assert.strictEqual(report.findings.html.filter(finding => finding.rule === 'deprecated-tag').length, 0);
+
+    // robots.txt is found under public/; the missing sitemap is reported once, not per page
+    assert.strictEqual(report.site.robotsTxt.disallowAll, false);
+    assert.strictEqual(report.findings.seo.filter(finding => finding.rule === 'sitemap').length, 1);
+    assert.strictEqual(report.findings.seo.filter(finding => finding.rule === 'canonical-link').length, 2);
+});
+
+test('downloads only the blobs that fit the total budget', async () => {
+    requests.length = 0;
+    const budget = Buffer.byteLength(REPO_FILES['index.html']) + Buffer.byteLength(REPO_FILES['about/index.html']);
+    const report = await analyzeRepository('demo/site', getProfile(), { github: github(), exclude: ['drafts/'], limits: { maxTotalBytes: budget } });
+
+    assert.deepStrictEqual(report.files.map(file => file.path).sort(), ['about/index.html', 'index.html']);
+    const overBudget = ['css/site.css', 'src/App.css', 'src/app.jsx', 'src/util.ts'];
+    assert.deepStrictEqual(report.assets.skipped.filter(file => file.reason === 'total-size-limit').map(file => file.url.split(`${SHA}/`)[1]), overBudget);
+    overBudget.forEach(filePath => {
+        assert.ok(!requests.some(url => url.includes(blobSha(filePath))), `${filePath} is never downloaded`);
+    });
+});
+
+test('reports missing repositories and refs and GitHub rate limits', async () => {
+    await rejectsWith(analyzeRepository('demo/missing', getProfile(), { github: github() }), 'REPO_NOT_FOUND');
+    await rejectsWith(analyzeRepository('demo/site@nope', getProfile(), { github: github() }), 'REPO_REF_NOT_FOUND');
+    await rejectsWith(analyzeRepository('demo/limited', getProfile(), { github: github() }), 'GITHUB_RATE_LIMITED');
+});
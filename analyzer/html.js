@@ -0,0 +1,87 @@
+// HTML rules, evaluated against the cheerio document loaded by /analyze
+const { elementHit, runRules } = require('./rules');
+
+const DEPRECATED_TAGS = ['font', 'center', 'marquee', 'blink', 'big', 'strike', 'tt', 'frame', 'frameset'];
+
+// Landmark/metadata element that should appear at least once
+const requireElement = (id, selector, label, reason) => ({
+    id,
+    severity: 'warning',
+    points: 10,
+    description: `Page should contain ${label}.`,
+    check: ({ $ }) => ($(selector).length > 0 ? [] : [{ message: `Missing ${label} ${reason}.` }])
+});
+
+const htmlRules = [
+    requireElement('semantic-header', 'header', '<header>', 'for improved structure'),
+    requireElement('semantic-main', 'main', '<main>', 'for improved structure'),
+    requireElement('semantic-footer', 'footer', '<footer>', 'for improved structure'),
+    {
+        id: 'document-title',
+        severity: 'warning',
+        points: 10,
+        description: 'Page should have a non-empty <title>.',
+        check: ({ $ }) => {
+            const title = $('head title').first();
+            if (title.length === 0) return [{ message: 'Missing <title> for SEO.' }];
+            if (!title.text().trim()) return [elementHit($, title.get(0), '<title> is empty.')];
+            return [];
+        }
+    },
+    {
+        id: 'meta-description',
+        severity: 'warning',
+        points: 10,
+        description: 'Page should have a <meta name="description"> with content.',
+        check: ({ $ }) => {
+            const meta = $('meta').filter((_, el) => ($(el).attr('name') || '').toLowerCase() === 'description').first();
+            if (meta.length === 0) return [{ message: 'Missing <meta name="description"> for SEO.' }];
+            if (!(meta.attr('content') || '').trim()) {
+                return [elementHit($, meta.get(0), '<meta name="description"> has no content.')];
+            }
+            return [];
+        }
+    },
+    {
+        id: 'img-alt',
+        severity: 'error',
+        points: 5,
+        maxPoints: 15,
+        description: 'Every <img> needs an alt attribute (empty for decorative images).',
+        check: ({ $ }) => $('img').toArray()
+            .filter(el => $(el).attr('alt') === undefined)
+            .map(el => elementHit($, el, 'Image is missing an alt attribute for accessibility.'))
+    },
+    {
+        id: 'deprecated-tag',
+        severity: 'error',
+        points: 5,
+        maxPoints: 15,
+        description: `Deprecated presentational tags (${DEPRECATED_TAGS.join(', ')}) should not be used.`,
+        check: ({ $ }) => $(DEPRECATED_TAGS.join(',')).toArray()
+            .map(el => elementHit($, el, `Deprecated <${el.name}> tag found; please remove.`))
+    },
+    {
+        id: 'document-length',
+        severity: 'info',
+        points: 5,
+        description: 'Very long HTML documents are hard to maintain.',
+        check: ({ html, thresholds }) => {
+            const lines = html.split('\n').length;
+            return lines > thresholds.htmlMaxLines ? [{ message: `HTML file is large (${lines} lines); consider splitting into partials.` }] : [];
+        }
+    }
+];
+
+// HTML evaluation; `$` must be loaded with `sourceCodeLocationInfo: true`
+// for findings to carry line numbers
+const evaluateHTML = ($, htmlContent, profile) => runRules(profile.resolveRules(htmlRules), {
+    $,
+    html: htmlContent,
+    thresholds: profile.thresholds
+});
+
+module.exports = {
+    htmlRules,
+    evaluateHTML
+};
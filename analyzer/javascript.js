@@ -0,0 +1,216 @@
+// JavaScript rules. ESLint runs once per file, configured for the file's
+// detected syntax, and its messages are scored through the `eslint-*` rules so
+// profiles can weight them.
+const path = require('path');
+const { ESLint } = require('eslint');
+const { runRules } = require('./rules');
+const { memoizeByContent } = require('./cache');
+const { fileResult, combineFileResults } = require('./files');
+
+// <script type="..."> values browsers execute as JavaScript ('' = no type)
+const EXECUTABLE_SCRIPT_TYPES = [
+    '', 'text/javascript', 'application/javascript', 'text/ecmascript', 'application/ecmascript',
+    'module', 'text/babel', 'text/jsx'
+];
+
+// File extension -> language, which picks the parser and the extension the
+// linter sees (TS-only rules apply to .ts/.tsx)
+const LANGUAGES = {
+    '.js': 'javascript',
+    '.cjs': 'javascript',
+    '.mjs': 'javascript',
+    '.jsx': 'jsx',
+    '.ts': 'typescript',
+    '.tsx': 'tsx'
+};
+const LINT_EXTENSIONS = { javascript: '.js', jsx: '.jsx', typescript: '.ts', tsx: '.tsx' };
+const PARSERS = {
+    javascript: require.resolve('@babel/eslint-parser'),
+    jsx: require.resolve('@babel/eslint-parser'),
+    typescript: require.resolve('@typescript-eslint/parser'),
+    tsx: require.resolve('@typescript-eslint/parser')
+};
+
+// The rules Create React App lints with. The config is complete on its own:
+// no .eslintrc or package.json `eslintConfig` is read, whichever directory
+// the server runs from, and the rule set's plugins resolve from its package.
+const RULES_CONFIG = require.resolve('eslint-config-react-app');
+
+const createLinter = (language, sourceType) => new ESLint({
+    useEslintrc: false,
+    resolvePluginsRelativeTo: path.dirname(RULES_CONFIG),
+    baseConfig: {
+        root: true,
+        extends: [RULES_CONFIG],
+        parser: PARSERS[language],
+        parserOptions: { sourceType, ecmaFeatures: { jsx: true } }
+    }
+});
+
+const MODULE_SYNTAX = /^\s*(import\s*[\w{*'"]|import\s*\(|export\s+(default|const|let|var|function|class|async|\{|\*))/m;
+
+// Skips JSON-LD, templates, import maps and other non-script <script> blocks
+const isExecutableScript = (source) => source.scriptType === undefined
+    || EXECUTABLE_SCRIPT_TYPES.includes(source.scriptType);
+
+// { language, sourceType } for one source. Inline and fetched scripts follow
+// their <script> tag, since that's what the browser does; repository files go
+// by extension and, for plain .js, by whether they use import/export.
+const detectSyntax = (source) => {
+    const extension = source.path ? path.extname(source.path).toLowerCase() : '.js';
+    const language = source.scriptType === 'text/babel' || source.scriptType === 'text/jsx'
+        ? 'jsx'
+        : LANGUAGES[extension] || 'javascript';
+
+    let sourceType;
+    if (source.scriptType !== undefined) {
+        sourceType = source.scriptType === 'module' || language === 'jsx' ? 'module' : 'script';
+    } else if (extension === '.mjs' || language !== 'javascript') {
+        sourceType = 'module';
+    } else if (extension === '.cjs') {
+        sourceType = 'script';
+    } else {
+        sourceType = MODULE_SYNTAX.test(source.content) ? 'module' : 'script';
+    }
+    return { language, sourceType };
+};
+
+const describeSyntax = ({ language, sourceType }) => {
+    const names = { javascript: 'JavaScript', jsx: 'JSX', typescript: 'TypeScript', tsx: 'TSX' };
+    return `${names[language]} ${sourceType === 'module' ? 'module' : 'classic script'}`;
+};
+
+const linters = new Map();
+
+// ESLint results for identical scripts (e.g. the same CDN bundle) are reused
+// across analyses, with one linter and cache per language and source type
+const lintJS = (content, { language = 'javascript', sourceType = 'script' } = {}) => {
+    const key = `${language}:${sourceType}`;
+    if (!linters.has(key)) {
+        const eslint = createLinter(language, sourceType);
+        linters.set(key, memoizeByContent(async text => {
+            const [result] = await eslint.lintText(text, {
+                filePath: `source${LINT_EXTENSIONS[language]}`
+            });
+            return result.messages;
+        }));
+    }
+    return linters.get(key)(content);
+};
+
+const lintHits = (severity) => ({ lintMessages }) => lintMessages
+    .filter(msg => !msg.fatal && msg.severity === severity)
+    .map(msg => ({
+        message: `${severity === 1 ? 'Warning' : 'Error'}: ${msg.message}`,
+        linterRule: msg.ruleId,
+        line: msg.line,
+        column: msg.column,
+        endLine: msg.endLine,
+        endColumn: msg.endColumn,
+        fix: msg.fix
+    }));
+
+const jsRules = [
+    {
+        id: 'parse-error',
+        severity: 'error',
+        points: 30,
+        description: 'The file parses as the syntax it is served or saved as.',
+        // ESLint stops at the first syntax error, so this is the only lint finding
+        check: ({ lintMessages, syntax }) => lintMessages
+            .filter(msg => msg.fatal)
+            .map(msg => ({
+                message: `Could not parse as a ${describeSyntax(syntax)}: ${msg.message.replace(/^Parsing error: /, '').replace(/\s*\(\d+:\d+\)$/, '')}`,
+                line: msg.line,
+                column: msg.column
+            }))
+    },
+    {
+        id: 'eslint-warning',
+        severity: 'warning',
+        points: 5,
+        maxPoints: null,
+        description: 'Warnings reported by ESLint.',
+        check: lintHits(1)
+    },
+    {
+        id: 'eslint-error',
+        severity: 'error',
+        points: 10,
+        maxPoints: null,
+        description: 'Errors reported by ESLint.',
+        check: lintHits(2)
+    },
+    {
+        id: 'script-length',
+        severity: 'info',
+        points: 10,
+        description: 'Very long scripts should be split into modules.',
+        check: ({ js, thresholds }) => (js.split('\n').length > thresholds.jsMaxLines
+            ? [{ message: `JavaScript file is large (${js.split('\n').length} lines); consider modularizing.` }] : [])
+    },
+    {
+        id: 'console-usage',
+        severity: 'warning',
+        points: 5,
+        description: 'console.* calls should not ship to production.',
+        check: ({ js }) => {
+            const match = /console\./.exec(js);
+            if (!match) return [];
+            return [{ message: 'Avoid using console logs in production code.', line: js.substring(0, match.index).split('\n').length }];
+        }
+    }
+];
+
+const evaluateJavaScriptFile = async (source, profile) => {
+    const syntax = detectSyntax(source);
+    try {
+        return {
+            ...fileResult(source, runRules(profile.resolveRules(jsRules), {
+                js: source.content,
+                syntax,
+                lintMessages: await lintJS(source.content, syntax),
+                thresholds: profile.thresholds
+            })),
+            syntax
+        };
+    } catch (error) {
+        console.error(`Error evaluating JavaScript in ${source.label}:`, error.message);
+        return fileResult(source, {
+            score: 50,
+            findings: [{
+                rule: 'analysis-error',
+                severity: 'error',
+                points: 50,
+                message: `Error evaluating JavaScript: ${error.message}. Check for syntax issues.`,
+                element: null,
+                line: null,
+                column: null
+            }]
+        });
+    }
+};
+
+// Enhanced JavaScript evaluation.
+// Each source (inline block or fetched file, see files.js) is scored on its
+// own; the category score is derived from the per-file scores.
+const evaluateJavaScript = async (sources, profile) => {
+    // Check if we actually got JS content
+    if (sources.length === 0) {
+        return {
+            score: 0,
+            feedback: ["No JavaScript content was found or could be analyzed."],
+            findings: [],
+            files: []
+        };
+    }
+
+    return combineFileResults(await Promise.all(sources.map(source => evaluateJavaScriptFile(source, profile))));
+};
+
+module.exports = {
+    jsRules,
+    isExecutableScript,
+    detectSyntax,
+    evaluateJavaScript
+};
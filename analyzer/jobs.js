@@ -0,0 +1,108 @@
+// In-memory analysis job queue with a concurrency limit.
+//
+// Jobs live only in this process: they are dropped `ttlMs` after finishing
+// and lost on restart, which is fine for a client that polls for a minute or two.
+const crypto = require('crypto');
+
+class QueueFullError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'QueueFullError';
+    }
+}
+
+const createJobQueue = ({ run, phases = [], concurrency = 2, maxQueued = 50, ttlMs = 15 * 60 * 1000 }) => {
+    const jobs = new Map();
+    const waiting = [];
+    let active = 0;
+
+    const describe = (job) => ({
+        id: job.id,
+        status: job.status,
+        position: job.status === 'queued' ? waiting.indexOf(job) + 1 : null,
+        phases: phases.map(name => ({ name, ...job.phases[name] })),
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        report: job.report,
+        error: job.error
+    });
+
+    const expire = (job) => {
+        setTimeout(() => jobs.delete(job.id), ttlMs).unref();
+    };
+
+    const onPhase = (job) => (name, status) => {
+        const phase = job.phases[name] || (job.phases[name] = {});
+        phase.status = status;
+        if (status === 'running') phase.startedAt = new Date().toISOString();
+        else phase.finishedAt = new Date().toISOString();
+    };
+
+    const next = () => {
+        if (active >= concurrency || waiting.length === 0) return;
+
+        const job = waiting.shift();
+        active += 1;
+        job.status = 'running';
+        job.startedAt = new Date().toISOString();
+
+        Promise.resolve()
+            .then(() => run(job.input, onPhase(job)))
+            .then(report => {
+                job.status = 'completed';
+                job.report = report;
+            })
+            .catch(error => {
+                console.error(`Analysis job ${job.id} failed:`, error.message);
+                job.status = 'failed';
+                job.error = { message: error.message, ...(error.code ? { code: error.code } : {}) };
+                Object.values(job.phases)
+                    .filter(phase => phase.status === 'running')
+                    .forEach(phase => { phase.status = 'failed'; });
+            })
+            .finally(() => {
+                job.finishedAt = new Date().toISOString();
+                active -= 1;
+                expire(job);
+                next();
+            });
+    };
+
+    // `owner` (a user id) restricts who can read the job back
+    const submit = (input, owner = null) => {
+        if (waiting.length >= maxQueued) {
+            throw new QueueFullError('The analysis queue is full. Please try again in a few minutes.');
+        }
+
+        const job = {
+            id: crypto.randomUUID(),
+            owner,
+            status: 'queued',
+            input,
+            phases: Object.fromEntries(phases.map(name => [name, { status: 'pending' }])),
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            report: null,
+            error: null
+        };
+        jobs.set(job.id, job);
+        waiting.push(job);
+        next();
+        return describe(job);
+    };
+
+    const get = (id, owner = null) => {
+        const job = jobs.get(id);
+        if (!job || (job.owner && job.owner !== owner)) return null;
+        return describe(job);
+    };
+
+    return { submit, get };
+};
+
+module.exports = {
+    QueueFullError,
+    createJobQueue
+};
@@ -0,0 +1,225 @@
+// Performance and page-weight audit for live pages.
+//
+// Works from what the fetch phase already downloaded plus HEAD probes for
+// images and fonts, so sizes are transfer sizes as far as the server tells us:
+// Content-Length when it is sent, otherwise a gzip estimate for compressed
+// text and the decoded size for the rest.
+const zlib = require('zlib');
+const { elementHit, runRules } = require('./rules');
+const { resolveAssetUrl } = require('./fetch');
+const { looksMinified } = require('./vendor');
+
+// Text responses smaller than this aren't worth compressing
+const COMPRESSION_MIN_BYTES = 1400;
+// First-party CSS/JS below this size isn't worth minifying
+const MINIFY_MIN_BYTES = 2048;
+// Images this early in the document are likely above the fold
+const EAGER_IMAGE_COUNT = 2;
+
+const COMPRESSED_ENCODINGS = /\b(gzip|br|deflate|zstd)\b/i;
+
+const formatKB = (bytes) => `${(bytes / 1024).toFixed(1)} KB`;
+
+const isCompressed = (headers) => Boolean(headers && COMPRESSED_ENCODINGS.test(headers['content-encoding'] || ''));
+
+const hasCacheHeaders = (headers) => Boolean(headers && (headers['cache-control'] || headers.expires));
+
+const transferSize = ({ content, bytes, headers }) => {
+    const length = parseInt(headers && headers['content-length'], 10);
+    if (!Number.isNaN(length)) return length;
+    if (content !== undefined && isCompressed(headers)) return zlib.gzipSync(content).length;
+    return bytes;
+};
+
+// Render-blocking: stylesheets for all media and classic scripts in <head>
+const blockingElements = ($) => $('head link[rel="stylesheet"], head script[src]').toArray().filter(el => {
+    const node = $(el);
+    if (el.name === 'link') {
+        const media = (node.attr('media') || 'all').trim().toLowerCase();
+        return !node.is('[disabled]') && (media === 'all' || media === 'screen');
+    }
+    return !node.is('[async], [defer]') && (node.attr('type') || '').toLowerCase() !== 'module';
+});
+
+const FONT_FACE = /@font-face\s*{[^}]*}/gi;
+const HAS_FONT_FACE = /@font-face/i;
+const FONT_URL = /url\(\s*["']?([^"')]+)["']?\s*\)/i;
+
+// First src url of every @font-face rule, resolved against the stylesheet
+const fontUrls = (css, baseUrl) => (css.match(FONT_FACE) || [])
+    .map(block => (block.match(FONT_URL) || [])[1])
+    .filter(url => url && !url.startsWith('data:'))
+    .map(url => resolveAssetUrl(url, baseUrl));
+
+// Images and fonts the page will request; sized separately with HEAD probes
+const collectMediaUrls = ($, stylesheets, inlineStyles, pageUrl) => ({
+    images: $('img[src]').toArray()
+        .map(el => $(el).attr('src').trim())
+        .filter(src => src && !src.startsWith('data:'))
+        .map(src => resolveAssetUrl(src, pageUrl)),
+    fonts: [
+        ...inlineStyles.flatMap(css => fontUrls(css, pageUrl)),
+        ...stylesheets.flatMap(file => fontUrls(file.content, file.url))
+    ]
+});
+
+// Rough length of the longest chain of requests before first paint:
+// HTML -> blocking stylesheet -> @import -> web font
+const criticalPath = (blocking) => {
+    let longest = ['HTML'];
+    blocking.forEach(({ label, file }) => {
+        const chain = ['HTML', label];
+        if (file && /@import\s/i.test(file.content)) chain.push('@import');
+        if (file && HAS_FONT_FACE.test(file.content)) chain.push('web font');
+        if (chain.length > longest.length) longest = chain;
+    });
+    return longest;
+};
+
+const performanceRules = [
+    {
+        id: 'page-weight',
+        severity: 'warning',
+        points: 15,
+        description: 'Total transfer size stays under the page budget',
+        check: ({ metrics, thresholds }) => (metrics.transfer.total > thresholds.pageMaxBytes
+            ? [{ message: `Page transfers ${formatKB(metrics.transfer.total)}, over the ${formatKB(thresholds.pageMaxBytes)} budget. Largest: ${metrics.largest.map(({ url, bytes }) => `${url} (${formatKB(bytes)})`).join(', ')}.` }]
+            : [])
+    },
+    {
+        id: 'render-blocking',
+        severity: 'warning',
+        points: 5,
+        maxPoints: 15,
+        description: 'Few stylesheets and scripts block the first paint',
+        check: ({ $, blocking, thresholds }) => blocking.slice(thresholds.renderBlockingMax).map(({ el }) => elementHit($, el,
+            el.name === 'script'
+                ? 'Render-blocking script in <head>; add defer or async, or move it to the end of <body>.'
+                : `More than ${thresholds.renderBlockingMax} render-blocking stylesheets in <head>; combine them or load non-critical CSS later.`
+        ))
+    },
+    {
+        id: 'unminified-asset',
+        severity: 'info',
+        points: 5,
+        maxPoints: 15,
+        description: 'First-party CSS and JavaScript is minified for production',
+        check: ({ assets }) => assets
+            .filter(asset => (asset.type === 'css' || asset.type === 'javascript') && !asset.vendor)
+            .filter(asset => asset.bytes >= MINIFY_MIN_BYTES && !looksMinified(asset.content))
+            .map(asset => ({ message: `${asset.url} is not minified (${formatKB(asset.bytes)}).` }))
+    },
+    {
+        id: 'img-dimensions',
+        severity: 'warning',
+        points: 3,
+        maxPoints: 15,
+        description: 'Images declare width and height to avoid layout shifts',
+        check: ({ $ }) => $('img').toArray()
+            .filter(el => !$(el).attr('width') || !$(el).attr('height'))
+            .map(el => elementHit($, el, 'Image without width and height attributes causes layout shift while it loads.'))
+    },
+    {
+        id: 'img-lazy-loading',
+        severity: 'info',
+        points: 2,
+        maxPoints: 10,
+        description: 'Offscreen images are lazy-loaded',
+        check: ({ $ }) => $('img').toArray()
+            .slice(EAGER_IMAGE_COUNT)
+            .filter(el => !$(el).attr('loading'))
+            .map(el => elementHit($, el, 'Image further down the page without loading="lazy".'))
+    },
+    {
+        id: 'missing-compression',
+        severity: 'warning',
+        points: 5,
+        maxPoints: 15,
+        description: 'Text responses are served with gzip or brotli',
+        check: ({ documentAsset, assets }) => [documentAsset, ...assets]
+            .filter(asset => asset.type !== 'image' && asset.type !== 'font')
+            .filter(asset => asset.headers && asset.bytes >= COMPRESSION_MIN_BYTES && !isCompressed(asset.headers))
+            .map(asset => ({ message: `${asset.url} is served uncompressed (${formatKB(asset.bytes)}); enable gzip or brotli.` }))
+    },
+    {
+        id: 'missing-cache-headers',
+        severity: 'info',
+        points: 3,
+        maxPoints: 12,
+        description: 'Static assets send Cache-Control or Expires',
+        check: ({ assets }) => assets
+            .filter(asset => asset.headers && !hasCacheHeaders(asset.headers))
+            .map(asset => ({ message: `${asset.url} has no Cache-Control or Expires header, so browsers revalidate it on every visit.` }))
+    },
+    {
+        id: 'critical-path-depth',
+        severity: 'warning',
+        points: 10,
+        description: 'Short chain of requests before the first paint',
+        check: ({ metrics, thresholds }) => (metrics.criticalPath.length > thresholds.criticalPathMaxDepth
+            ? [{ message: `Critical request chain is an estimated ${metrics.criticalPath.length} requests deep (${metrics.criticalPath.join(' → ')}).` }]
+            : [])
+    }
+];
+
+// `page` is { url, html, headers }; `files` are fetched stylesheets/scripts
+// ({ url, content, bytes, headers, vendor }) tagged with `type`; `probes` are
+// HEAD results for images and fonts
+const evaluatePerformance = ($, page, files, probes, profile) => {
+    const documentAsset = {
+        type: 'html',
+        url: page.url,
+        content: page.html,
+        bytes: Buffer.byteLength(page.html),
+        headers: page.headers || null
+    };
+    const assets = [...files, ...probes];
+
+    const transfer = { html: transferSize(documentAsset), css: 0, javascript: 0, image: 0, font: 0 };
+    let unmeasured = 0;
+    assets.forEach(asset => {
+        const size = transferSize(asset);
+        if (size === null) unmeasured += 1;
+        else transfer[asset.type] += size;
+    });
+    transfer.total = Object.values(transfer).reduce((sum, bytes) => sum + bytes, 0);
+
+    const byUrl = new Map(files.map(file => [file.url, file]));
+    const blocking = blockingElements($).map(el => {
+        const url = resolveAssetUrl($(el).attr(el.name === 'link' ? 'href' : 'src'), page.url);
+        return { el, url, label: url.split('/').pop() || url, file: byUrl.get(url) };
+    });
+
+    const metrics = {
+        transfer,
+        unmeasured,
+        requests: 1 + assets.length,
+        renderBlocking: blocking.length,
+        criticalPath: criticalPath(blocking),
+        largest: [documentAsset, ...assets]
+            .map(asset => ({ url: asset.url, type: asset.type, bytes: transferSize(asset) }))
+            .filter(asset => asset.bytes)
+            .sort((a, b) => b.bytes - a.bytes)
+            .slice(0, 3)
+    };
+
+    const result = runRules(profile.resolveRules(performanceRules), {
+        $,
+        documentAsset,
+        assets,
+        blocking,
+        metrics,
+        thresholds: profile.thresholds
+    });
+
+    return {
+        ...result,
+        metrics: { ...metrics, criticalPathDepth: metrics.criticalPath.length }
+    };
+};
+
+module.exports = {
+    performanceRules,
+    collectMediaUrls,
+    evaluatePerformance
+};
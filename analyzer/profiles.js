@@ -0,0 +1,129 @@
+// Scoring profiles, loaded once from analyzer/profiles/*.json.
+//
+// A profile can override any rule by id ({ points, maxPoints, severity, enabled },
+// or just a number for points), tune the thresholds rules read from their
+// context, and weight each category's contribution to `overall`.
+const fs = require('fs');
+const path = require('path');
+
+const PROFILES_DIR = path.join(__dirname, 'profiles');
+const DEFAULT_PROFILE_ID = 'default';
+
+const DEFAULT_THRESHOLDS = {
+    htmlMaxLines: 200,
+    cssMaxBytes: 5000,
+    cssUnusedMaxPercent: 50,
+    jsMaxLines: 400,
+    pageMaxBytes: 1500000,
+    renderBlockingMax: 2,
+    criticalPathMaxDepth: 3,
+    titleMinLength: 10,
+    titleMaxLength: 60,
+    descriptionMinLength: 50,
+    descriptionMaxLength: 160
+};
+
+const DEFAULT_CATEGORY_WEIGHTS = {
+    html: 1,
+    css: 1,
+    javascript: 1,
+    accessibility: 1,
+    performance: 1,
+    seo: 1,
+    security: 1
+};
+
+class ProfileError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ProfileError';
+    }
+}
+
+const normalizeOverride = (override) => (typeof override === 'number' ? { points: override } : override || {});
+
+const buildProfile = (definition) => {
+    if (!definition.id || !definition.version) {
+        throw new ProfileError('Scoring profiles need an id and a version.');
+    }
+
+    const overrides = definition.rules || {};
+    const profile = {
+        id: definition.id,
+        name: definition.name || definition.id,
+        version: definition.version,
+        description: definition.description || '',
+        thresholds: { ...DEFAULT_THRESHOLDS, ...(definition.thresholds || {}) },
+        categories: { ...DEFAULT_CATEGORY_WEIGHTS, ...(definition.categories || {}) },
+        rules: overrides
+    };
+
+    // Apply this profile's overrides to a category's rule list
+    profile.resolveRules = (rules) => rules
+        .map(rule => {
+            const { enabled, ...override } = normalizeOverride(overrides[rule.id]);
+            return enabled === false ? null : { ...rule, ...override };
+        })
+        .filter(Boolean);
+
+    // Weighted average of whichever categories were scored
+    profile.overall = (scores) => {
+        let total = 0;
+        let weight = 0;
+        Object.entries(scores).forEach(([category, score]) => {
+            const categoryWeight = profile.categories[category] !== undefined ? profile.categories[category] : 1;
+            total += score * categoryWeight;
+            weight += categoryWeight;
+        });
+        return weight > 0 ? total / weight : 0;
+    };
+
+    return Object.freeze(profile);
+};
+
+const loadProfiles = (dir = PROFILES_DIR) => {
+    const profiles = new Map();
+    fs.readdirSync(dir)
+        .filter(file => file.endsWith('.json'))
+        .forEach(file => {
+            try {
+                const profile = buildProfile(JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')));
+                profiles.set(profile.id, profile);
+            } catch (error) {
+                console.error(`Skipping scoring profile ${file}:`, error.message);
+            }
+        });
+    return profiles;
+};
+
+const profiles = loadProfiles();
+
+const getProfile = (id) => {
+    const profile = profiles.get(id || DEFAULT_PROFILE_ID);
+    if (!profile) {
+        throw new ProfileError(`Unknown scoring profile "${id}". Available: ${[...profiles.keys()].join(', ')}`);
+    }
+    return profile;
+};
+
+// What gets echoed back with every report
+const describeProfile = (profile) => ({
+    id: profile.id,
+    name: profile.name,
+    version: profile.version
+});
+
+const listProfiles = () => [...profiles.values()].map(profile => ({
+    ...describeProfile(profile),
+    description: profile.description,
+    categories: profile.categories
+}));
+
+module.exports = {
+    ProfileError,
+    DEFAULT_PROFILE_ID,
+    buildProfile,
+    getProfile,
+    describeProfile,
+    listProfiles
+};
@@ -0,0 +1,285 @@
+// Headless-browser rendering for single-page apps: load the page in Chrome,
+// let its scripts run and hand back the final DOM plus what went wrong at runtime.
+//
+// Puppeteer is loaded on first use so static analysis never pays for Chrome.
+// Every request the page makes goes through the same URL policy as our own
+// fetches; requests that fail the policy are aborted and listed in the result.
+// Chrome still does its own DNS lookup after ours, so this is not a defence
+// against DNS rebinding on its own; run the renderer without access to
+// internal networks.
+const { UrlPolicyError, defaultUrlPolicy } = require('./urlPolicy');
+const { pickHeaders } = require('./fetch');
+
+const RENDER_LIMITS = {
+    // Navigation budget, up to the `load` event
+    timeoutMs: parseInt(process.env.RENDER_TIMEOUT_MS, 10) || 20000,
+    // Extra time for client-side routing and data fetching after `load`
+    settleMs: parseInt(process.env.RENDER_SETTLE_MS, 10) || 3000,
+    // Bounded so a noisy app can't blow up the report
+    maxMessages: 50
+};
+
+// Above-the-fold captures used as submission thumbnails
+const SCREENSHOT_VIEWPORTS = {
+    desktop: { width: 1280, height: 800 },
+    mobile: { width: 390, height: 844, deviceScaleFactor: 2, isMobile: true, hasTouch: true }
+};
+const SCREENSHOT_QUALITY = 80;
+
+// code -> HTTP status used when the error reaches an API response
+const ERROR_STATUS = {
+    RENDER_UNAVAILABLE: 503,
+    RENDER_TIMEOUT: 504,
+    RENDER_FAILED: 502
+};
+
+class RenderError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'RenderError';
+        this.code = code;
+        this.status = ERROR_STATUS[code] || 502;
+    }
+}
+
+// Schemes the page can use without touching the network
+const LOCAL_SCHEMES = ['data:', 'blob:', 'about:'];
+
+let browserPromise = null;
+
+const launchBrowser = async () => {
+    let puppeteer;
+    try {
+        puppeteer = require('puppeteer');
+    } catch (error) {
+        throw new RenderError('RENDER_UNAVAILABLE', 'Rendering mode is not available on this server.');
+    }
+    const browser = await puppeteer.launch({
+        headless: true,
+        args: ['--no-sandbox', '--disable-dev-shm-usage']
+    });
+    // Relaunch on the next request if Chrome goes away
+    browser.on('disconnected', () => {
+        browserPromise = null;
+    });
+    return browser;
+};
+
+// One shared browser; each render gets its own incognito context
+const getBrowser = () => {
+    if (!browserPromise) {
+        browserPromise = launchBrowser().catch(error => {
+            browserPromise = null;
+            if (error instanceof RenderError) throw error;
+            console.error("Failed to launch headless browser:", error.message);
+            throw new RenderError('RENDER_UNAVAILABLE', 'Rendering mode is not available on this server.');
+        });
+    }
+    return browserPromise;
+};
+
+const closeBrowser = async () => {
+    if (!browserPromise) return;
+    const browser = await browserPromise.catch(() => null);
+    browserPromise = null;
+    if (browser) await browser.close();
+};
+
+// Rejects requests that our own fetcher would refuse (scheme, port, private addresses)
+const checkRequest = async (policy, requestUrl) => {
+    const parsed = new URL(requestUrl);
+    if (LOCAL_SCHEMES.includes(parsed.protocol)) return;
+    policy.check(parsed.href);
+    await policy.lookup(parsed.hostname.replace(/^\[|\]$/g, ''));
+};
+
+const pushLimited = (list, item, limits) => {
+    if (list.length < limits.maxMessages) list.push(item);
+};
+
+// Every request the page makes is checked against the policy first;
+// `onBlocked({ url, code })` hears about the ones that were refused
+const enforcePolicy = async (page, policy, onBlocked = () => {}) => {
+    await page.setRequestInterception(true);
+    page.on('request', async request => {
+        try {
+            await checkRequest(policy, request.url());
+            await request.continue();
+        } catch (error) {
+            if (error instanceof UrlPolicyError) onBlocked({ url: request.url(), code: error.code });
+            await request.abort('blockedbyclient').catch(() => {});
+        }
+    });
+};
+
+// Navigates and waits for `load`; returns the main response
+const loadPage = async (page, targetUrl, limits) => {
+    let response;
+    try {
+        response = await page.goto(targetUrl, { waitUntil: 'load', timeout: limits.timeoutMs });
+    } catch (error) {
+        if (error.name === 'TimeoutError') {
+            throw new RenderError('RENDER_TIMEOUT', `The page did not finish loading within ${limits.timeoutMs / 1000} seconds.`);
+        }
+        throw new RenderError('RENDER_FAILED', `The page could not be rendered: ${error.message}`);
+    }
+    if (!response) {
+        throw new RenderError('RENDER_FAILED', 'The page could not be rendered: no response.');
+    }
+    if (response.status() >= 400) {
+        throw new RenderError('RENDER_FAILED', `The page responded with status ${response.status()}.`);
+    }
+    return response;
+};
+
+// SPAs keep fetching after `load`; give them a moment to go quiet
+const settle = (page, limits) => page.waitForNetworkIdle({ idleTime: 500, timeout: limits.settleMs }).catch(() => {});
+
+// Returns { html, finalUrl, headers, timing, consoleErrors, exceptions, blockedRequests }
+const renderPage = async (targetUrl, { policy = defaultUrlPolicy, ...limitOverrides } = {}) => {
+    const limits = { ...RENDER_LIMITS, ...limitOverrides };
+    policy.check(targetUrl);
+
+    const browser = await getBrowser();
+    const context = await browser.createBrowserContext();
+    const consoleErrors = [];
+    const exceptions = [];
+    const blockedRequests = [];
+
+    try {
+        const page = await context.newPage();
+        await page.setUserAgent('Mozilla/5.0 SkifolioAnalyzer (rendering)');
+        await enforcePolicy(page, policy, blocked => pushLimited(blockedRequests, blocked, limits));
+
+        page.on('console', message => {
+            if (message.type() !== 'error') return;
+            const { url, lineNumber, columnNumber } = message.location();
+            pushLimited(consoleErrors, {
+                message: message.text(),
+                url: url || null,
+                // Chrome reports zero-based positions
+                line: typeof lineNumber === 'number' ? lineNumber + 1 : null,
+                column: typeof columnNumber === 'number' ? columnNumber + 1 : null
+            }, limits);
+        });
+
+        page.on('pageerror', error => {
+            pushLimited(exceptions, {
+                message: error.message,
+                stack: error.stack ? error.stack.split('\n').slice(0, 5).join('\n') : null
+            }, limits);
+        });
+
+        const startedAt = Date.now();
+        const response = await loadPage(page, targetUrl, limits);
+        const loadedAt = Date.now();
+        await settle(page, limits);
+
+        const navigation = await page.evaluate(() => {
+            const [entry] = performance.getEntriesByType('navigation');
+            return entry ? {
+                domContentLoadedMs: Math.round(entry.domContentLoadedEventEnd),
+                loadMs: Math.round(entry.loadEventEnd)
+            } : null;
+        }).catch(() => null);
+
+        return {
+            html: await page.content(),
+            finalUrl: page.url(),
+            // Chrome reports headers as sent, Content-Encoding included
+            headers: pickHeaders(response.headers()),
+            timing: {
+                // Until the `load` event, and until the page went quiet
+                loadMs: loadedAt - startedAt,
+                renderTimeMs: Date.now() - startedAt,
+                ...(navigation ? { domContentLoadedMs: navigation.domContentLoadedMs } : {})
+            },
+            consoleErrors,
+            exceptions,
+            blockedRequests
+        };
+    } finally {
+        await context.close().catch(() => {});
+    }
+};
+
+// Print a self-contained HTML document (an exported report) to an A4 PDF.
+// Nothing is fetched: scripts are off and every network request is aborted.
+const renderPdf = async (html, limitOverrides = {}) => {
+    const limits = { ...RENDER_LIMITS, ...limitOverrides };
+    const browser = await getBrowser();
+    const context = await browser.createBrowserContext();
+
+    try {
+        const page = await context.newPage();
+        await page.setJavaScriptEnabled(false);
+        await page.setRequestInterception(true);
+        page.on('request', request => {
+            const local = LOCAL_SCHEMES.includes(new URL(request.url()).protocol);
+            (local ? request.continue() : request.abort('blockedbyclient')).catch(() => {});
+        });
+        await page.setContent(html, { waitUntil: 'load', timeout: limits.timeoutMs });
+        return Buffer.from(await page.pdf({
+            format: 'A4',
+            printBackground: true,
+            margin: { top: '15mm', right: '12mm', bottom: '15mm', left: '12mm' }
+        }));
+    } catch (error) {
+        if (error instanceof RenderError) throw error;
+        throw new RenderError('RENDER_FAILED', `The report could not be printed: ${error.message}`);
+    } finally {
+        await context.close().catch(() => {});
+    }
+};
+
+// Screenshots of a live demo as it first appears on a laptop and a phone.
+// Each viewport gets a fresh load so the page lays itself out for that size.
+// Returns { finalUrl, screenshots: [{ viewport, width, height, contentType, data }] }
+const captureScreenshots = async (targetUrl, { policy = defaultUrlPolicy, viewports = SCREENSHOT_VIEWPORTS, ...limitOverrides } = {}) => {
+    const limits = { ...RENDER_LIMITS, ...limitOverrides };
+    policy.check(targetUrl);
+
+    const browser = await getBrowser();
+    const context = await browser.createBrowserContext();
+
+    try {
+        const screenshots = [];
+        let finalUrl = targetUrl;
+        for (const [viewport, size] of Object.entries(viewports)) {
+            const page = await context.newPage();
+            await page.setUserAgent('Mozilla/5.0 SkifolioAnalyzer (screenshot)');
+            await page.setViewport(size);
+            await enforcePolicy(page, policy);
+            await loadPage(page, targetUrl, limits);
+            await settle(page, limits);
+            finalUrl = page.url();
+            screenshots.push({
+                viewport,
+                width: size.width,
+                height: size.height,
+                contentType: 'image/jpeg',
+                data: Buffer.from(await page.screenshot({ type: 'jpeg', quality: SCREENSHOT_QUALITY }))
+            });
+            await page.close().catch(() => {});
+        }
+        return { finalUrl, screenshots };
+    } catch (error) {
+        if (error instanceof RenderError) throw error;
+        throw new RenderError('RENDER_FAILED', `The page could not be captured: ${error.message}`);
+    } finally {
+        await context.close().catch(() => {});
+    }
+};
+
+module.exports = {
+    RENDER_LIMITS,
+    SCREENSHOT_VIEWPORTS,
+    RenderError,
+    checkRequest,
+    enforcePolicy,
+    loadPage,
+    renderPage,
+    renderPdf,
+    captureScreenshots,
+    closeBrowser
+};
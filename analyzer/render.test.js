@@ -0,0 +1,108 @@
+// Run with `npm run test:server`. The policy and navigation checks use fake
+// pages; the end-to-end render is skipped when Chrome can't be launched here.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { EventEmitter } = require('events');
+const { RenderError, checkRequest, enforcePolicy, loadPage, renderPage, closeBrowser } = require('./render');
+const { UrlPolicyError, createUrlPolicy } = require('./urlPolicy');
+
+const policy = createUrlPolicy({ allowHosts: ['localhost'] });
+const limits = { timeoutMs: 1000, settleMs: 100, maxMessages: 50 };
+
+// Stands in for a puppeteer page with request interception
+const fakePage = () => {
+    const page = new EventEmitter();
+    page.intercepting = false;
+    page.setRequestInterception = async (value) => {
+        page.intercepting = value;
+    };
+    // Resolves with 'continued' or the abort reason once the handler decided
+    page.request = (url) => new Promise(resolve => {
+        page.emit('request', {
+            url: () => url,
+            continue: async () => resolve('continued'),
+            abort: async (reason) => resolve(reason)
+        });
+    });
+    return page;
+};
+
+let server;
+let siteUrl;
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.end(`<!DOCTYPE html><html lang="en"><head><title>App</title></head><body><div id="root"></div>
+<script>
+document.getElementById('root').innerHTML = '<h1>Rendered by script</h1>';
+console.error('Something broke');
+fetch('http://127.0.0.1:${server.address().port}/internal').catch(() => {});
+</script></body></html>`);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    siteUrl = `http://localhost:${server.address().port}/`;
+});
+
+after(async () => {
+    await closeBrowser();
+    await new Promise(resolve => server.close(resolve));
+});
+
+test('lets local schemes through and applies the URL policy to everything else', async () => {
+    await checkRequest(policy, 'data:text/plain,hello');
+    await checkRequest(policy, 'blob:http://localhost/1234');
+    await checkRequest(policy, siteUrl);
+
+    await assert.rejects(checkRequest(policy, 'ftp://localhost/file'), error => error instanceof UrlPolicyError);
+    await assert.rejects(checkRequest(policy, 'http://127.0.0.1/admin'),
+        error => error instanceof UrlPolicyError && error.code === 'URL_HOST_BLOCKED');
+});
+
+test('intercepts every request and aborts the ones the policy refuses', async () => {
+    const page = fakePage();
+    const blocked = [];
+    await enforcePolicy(page, policy, request => blocked.push(request));
+
+    assert.strictEqual(page.intercepting, true);
+    assert.strictEqual(await page.request(`${siteUrl}app.js`), 'continued');
+    assert.strictEqual(await page.request('data:image/png;base64,AAAA'), 'continued');
+    assert.strictEqual(await page.request('http://169.254.169.254/latest/meta-data/'), 'blockedbyclient');
+    assert.strictEqual(await page.request('http://example.com:22/'), 'blockedbyclient');
+
+    assert.deepStrictEqual(blocked.map(({ url }) => url), ['http://169.254.169.254/latest/meta-data/', 'http://example.com:22/']);
+    assert.strictEqual(blocked[0].code, 'URL_HOST_BLOCKED');
+});
+
+test('maps navigation failures to render errors', async () => {
+    const navigate = (goto) => loadPage({ goto }, siteUrl, limits);
+    const timeout = Object.assign(new Error('Navigation timeout of 1000 ms exceeded'), { name: 'TimeoutError' });
+
+    await assert.rejects(navigate(async () => { throw timeout; }),
+        error => error instanceof RenderError && error.code === 'RENDER_TIMEOUT' && error.status === 504);
+    await assert.rejects(navigate(async () => { throw new Error('net::ERR_CONNECTION_REFUSED'); }),
+        error => error.code === 'RENDER_FAILED' && /ERR_CONNECTION_REFUSED/.test(error.message));
+    await assert.rejects(navigate(async () => null), error => error.code === 'RENDER_FAILED');
+    await assert.rejects(navigate(async () => ({ status: () => 404 })), error => /status 404/.test(error.message));
+
+    const response = { status: () => 200 };
+    assert.strictEqual(await navigate(async () => response), response);
+});
+
+test('renders client-side content and reports runtime errors and blocked requests', async (t) => {
+    let result;
+    try {
+        result = await renderPage(siteUrl, { policy, ...limits, timeoutMs: 10000 });
+    } catch (error) {
+        if (error instanceof RenderError && error.code === 'RENDER_UNAVAILABLE') {
+            t.skip('Chrome is not available');
+            return;
+        }
+        throw error;
+    }
+
+    assert.match(result.html, /<h1>Rendered by script<\/h1>/);
+    assert.ok(result.consoleErrors.some(({ message }) => message === 'Something broke'));
+    assert.ok(result.blockedRequests.some(({ url, code }) => url.endsWith('/internal') && code === 'URL_HOST_BLOCKED'));
+});
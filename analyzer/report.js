@@ -0,0 +1,60 @@
+// Report sections shared by every analysis mode (live URL, GitHub repository)
+const { describeProfile } = require('./profiles');
+const { describeEngine } = require('./engine');
+const { contentHash } = require('./cache');
+
+// `categories` maps a category name to its { score, feedback, findings } result;
+// scores are rounded for display, `overall` uses the profile's category weights
+const summarizeCategories = (profile, categories) => {
+    const rawScores = {};
+    const scores = {};
+    const feedback = {};
+    const findings = {};
+
+    Object.entries(categories).forEach(([name, result]) => {
+        rawScores[name] = result.score;
+        scores[name] = Math.round(result.score);
+        feedback[name] = result.feedback;
+        findings[name] = result.findings;
+    });
+    scores.overall = Math.round(profile.overall(rawScores));
+
+    return {
+        profile: describeProfile(profile),
+        // Scores are only comparable between reports with the same engine
+        engine: describeEngine(profile),
+        scores,
+        feedback,
+        findings
+    };
+};
+
+const describeVendorFiles = (vendorFiles) => vendorFiles.map(({ url, bytes, reason, library }) => ({
+    url,
+    bytes,
+    reason,
+    library
+}));
+
+const hashInputs = (inputs) => contentHash(inputs.map(input => `${input.id} ${input.hash}`).join('\n'));
+
+// Content hash of every scored input (pages, inline blocks, files) and one
+// hash over all of them: same `inputsHash` and same engine, same report
+const describeInputs = (sources) => {
+    const inputs = sources.map(({ id, category, url, label, hash, bytes }) => ({ id, category, url, label, hash, bytes }));
+    return {
+        inputs,
+        inputsHash: hashInputs(inputs),
+        // Per category, so a change can be traced to the markup, styles or scripts
+        inputHashes: Object.fromEntries(['html', 'css', 'javascript'].map(category => [
+            category,
+            hashInputs(inputs.filter(input => input.category === category))
+        ]))
+    };
+};
+
+module.exports = {
+    summarizeCategories,
+    describeInputs,
+    describeVendorFiles
+};
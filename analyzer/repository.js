@@ -0,0 +1,335 @@
+// Repository mode for /analyze: walk a GitHub repository's tree and score its
+// source files directly, so multi-page sites and modules that never end up on
+// a single rendered page are covered too.
+const path = require('path');
+const cheerio = require('cheerio');
+const ignore = require('ignore');
+const { evaluateHTML } = require('./html');
+const { evaluateCSS } = require('./css');
+const { isExecutableScript, evaluateJavaScript } = require('./javascript');
+const { evaluateAccessibility } = require('./accessibility');
+const { parseRobotsTxt, looksLikeSitemap, evaluateSEO, evaluateSiteSEO } = require('./seo');
+const { evaluateSecurity } = require('./security');
+const { partitionVendorFiles } = require('./vendor');
+const { collectInlineBlocks, externalSources, fileResult, combineFileResults, addSiteResult } = require('./files');
+const { FETCH_LIMITS, mapWithConcurrency } = require('./fetch');
+const { contentHash } = require('./cache');
+const { summarizeCategories, describeVendorFiles, describeInputs } = require('./report');
+const { parseRepoReference, createGithubClient } = require('./github');
+
+const REPO_LIMITS = {
+    maxFiles: parseInt(process.env.REPO_MAX_FILES, 10) || 150,
+    maxFileBytes: FETCH_LIMITS.maxFileBytes,
+    maxTotalBytes: FETCH_LIMITS.maxTotalBytes,
+    concurrency: FETCH_LIMITS.concurrency
+};
+
+// Always skipped, on top of the repository's own .gitignore files
+const DEFAULT_EXCLUDES = [
+    '.git/',
+    'node_modules/',
+    'bower_components/',
+    'dist/',
+    'build/',
+    'out/',
+    'coverage/',
+    'vendor/',
+    '*.min.js',
+    '*.min.css',
+    '*.map',
+    '*.d.ts'
+];
+
+const CATEGORY_BY_EXTENSION = {
+    '.html': 'html',
+    '.htm': 'html',
+    '.css': 'css',
+    '.js': 'javascript',
+    '.mjs': 'javascript',
+    '.cjs': 'javascript',
+    '.jsx': 'javascript',
+    '.ts': 'javascript',
+    '.tsx': 'javascript'
+};
+
+const categoryOf = (filePath) => CATEGORY_BY_EXTENSION[path.posix.extname(filePath).toLowerCase()] || null;
+
+// Validate the optional list of extra .gitignore-style patterns from a request
+const readExcludePatterns = (value) => {
+    if (value === undefined || value === null) return [];
+    if (!Array.isArray(value) || !value.every(pattern => typeof pattern === 'string')) return null;
+    return value;
+};
+
+// Build an "is this path excluded?" test from the defaults, every .gitignore in
+// the tree (nested ones only apply below their own directory) and the request.
+// The root .gitignore is read first; nested ones inside directories it, the
+// defaults or the request already exclude (node_modules/ and the like) are
+// never downloaded.
+const buildExcludeFilter = async (tree, loadFile, extraPatterns, concurrency = FETCH_LIMITS.concurrency) => {
+    const rootMatcher = ignore().add(DEFAULT_EXCLUDES).add(extraPatterns);
+    const loadRules = entry => loadFile(entry).catch(() => '');
+
+    const gitignores = tree.filter(entry => entry.type === 'blob' && path.posix.basename(entry.path) === '.gitignore');
+    const rootEntry = gitignores.find(entry => entry.path === '.gitignore');
+    if (rootEntry) rootMatcher.add(await loadRules(rootEntry));
+
+    const nestedEntries = gitignores.filter(entry => entry !== rootEntry && !rootMatcher.ignores(entry.path));
+    const nested = await mapWithConcurrency(nestedEntries, concurrency, async entry => ({
+        dir: `${path.posix.dirname(entry.path)}/`,
+        matcher: ignore().add(await loadRules(entry))
+    }));
+
+    return (filePath) => rootMatcher.ignores(filePath)
+        || nested.some(({ dir, matcher }) => filePath.startsWith(dir) && matcher.ignores(filePath.substring(dir.length)));
+};
+
+// Where a deployed site's root usually lives in a repository
+const SITE_ROOTS = ['', 'public/', 'static/', 'docs/'];
+
+// Repository counterpart of discoverSiteFiles: robots.txt, sitemap.xml and
+// favicon.ico in any of the usual site roots
+const discoverRepositorySiteFiles = async (tree, loadFile, blobUrl) => {
+    const find = (name) => SITE_ROOTS
+        .map(root => tree.find(entry => entry.type === 'blob' && entry.path === `${root}${name}`))
+        .find(Boolean);
+
+    const robotsEntry = find('robots.txt');
+    const sitemapEntry = find('sitemap.xml');
+    const faviconEntry = find('favicon.ico');
+    const [robotsText, sitemapText] = await Promise.all([
+        robotsEntry ? loadFile(robotsEntry).catch(() => null) : null,
+        sitemapEntry ? loadFile(sitemapEntry).catch(() => null) : null
+    ]);
+
+    return {
+        robotsTxt: robotsText !== null ? parseRobotsTxt(robotsText, blobUrl(robotsEntry.path)) : null,
+        sitemap: sitemapText && looksLikeSitemap(sitemapText) ? { url: blobUrl(sitemapEntry.path) } : null,
+        favicon: faviconEntry ? { url: blobUrl(faviconEntry.path) } : null
+    };
+};
+
+// Stylesheets a page links to, resolved to repository paths
+const linkedStylesheets = ($, pagePath) => $('link[rel="stylesheet"]').toArray()
+    .map(el => $(el).attr('href'))
+    .filter(href => href && !/^([a-z]+:)?\/\//i.test(href))
+    .map(href => {
+        const clean = href.split(/[?#]/)[0];
+        return clean.startsWith('/')
+            ? clean.substring(1)
+            : path.posix.normalize(path.posix.join(path.posix.dirname(pagePath), clean));
+    });
+
+const analyzeRepository = async (repoReference, profile, {
+    onPhase = () => {},
+    vendorOverrides = {},
+    exclude = [],
+    github = createGithubClient(),
+    limits: limitOverrides = {}
+} = {}) => {
+    const limits = { ...REPO_LIMITS, ...limitOverrides };
+    // Either "owner/repo@ref" or an already parsed { owner, repo, ref }
+    const reference = typeof repoReference === 'string' ? parseRepoReference(repoReference) : repoReference;
+
+    onPhase('fetch', 'running');
+
+    const ref = reference.ref || (await github.getRepository(reference)).default_branch;
+    const sha = await github.resolveCommit(reference, ref);
+    const { tree = [], truncated } = await github.getTree(reference, sha);
+    console.log(`Analyzing ${reference.owner}/${reference.repo}@${ref} (${sha}, ${tree.length} entries)`);
+
+    const blobUrl = (filePath) => `https://github.com/${reference.owner}/${reference.repo}/blob/${sha}/${filePath}`;
+    const loadFile = (entry) => github.getBlob(reference, entry.sha);
+    const isExcluded = await buildExcludeFilter(tree, loadFile, exclude, limits.concurrency);
+
+    const skipped = [];
+    let excludedFiles = 0;
+    const candidates = tree.filter(entry => {
+        if (entry.type !== 'blob' || !categoryOf(entry.path)) return false;
+        if (isExcluded(entry.path)) {
+            excludedFiles += 1;
+            return false;
+        }
+        if (entry.size > limits.maxFileBytes) {
+            skipped.push({ url: blobUrl(entry.path), reason: 'too-large', detail: `Larger than ${limits.maxFileBytes} bytes` });
+            return false;
+        }
+        return true;
+    });
+
+    candidates.slice(limits.maxFiles).forEach(entry => {
+        skipped.push({ url: blobUrl(entry.path), reason: 'file-limit', detail: `Only the first ${limits.maxFiles} files are analysed` });
+    });
+
+    // Same total budget as live analysis, applied in tree order to the sizes
+    // the tree lists, so blobs that don't fit are never downloaded
+    const selected = [];
+    let totalBytes = 0;
+    candidates.slice(0, limits.maxFiles).forEach(entry => {
+        if (totalBytes + entry.size > limits.maxTotalBytes) {
+            skipped.push({ url: blobUrl(entry.path), reason: 'total-size-limit', detail: `Total budget of ${limits.maxTotalBytes} bytes reached` });
+            return;
+        }
+        totalBytes += entry.size;
+        selected.push(entry);
+    });
+
+    const loaded = await mapWithConcurrency(selected, limits.concurrency, async entry => {
+        try {
+            return { entry, content: await loadFile(entry) };
+        } catch (error) {
+            return { entry, error };
+        }
+    });
+
+    const files = { html: [], css: [], javascript: [] };
+    loaded.forEach(({ entry, content, error }) => {
+        if (error) {
+            skipped.push({ url: blobUrl(entry.path), reason: 'fetch-failed', detail: error.message });
+            return;
+        }
+        files[categoryOf(entry.path)].push({ url: blobUrl(entry.path), path: entry.path, content, bytes: Buffer.byteLength(content), hash: contentHash(content) });
+    });
+
+    onPhase('fetch', 'done');
+    onPhase('html', 'running');
+
+    const pages = files.html.map((file, index) => ({
+        id: `page-${index + 1}`,
+        category: 'html',
+        source: 'repository',
+        url: file.url,
+        label: file.path,
+        path: file.path,
+        content: file.content,
+        bytes: file.bytes,
+        hash: file.hash,
+        lineOffset: 0,
+        columnOffset: 0,
+        $: cheerio.load(file.content, { sourceCodeLocationInfo: true })
+    }));
+
+    const htmlResult = pages.length
+        ? combineFileResults(pages.map(page => fileResult(page, evaluateHTML(page.$, page.content, profile))))
+        : { score: 0, feedback: ["No HTML pages were found in the repository."], findings: [], files: [] };
+
+    onPhase('html', 'done');
+    onPhase('css', 'running');
+
+    const cssFiles = partitionVendorFiles(files.css, vendorOverrides);
+    const cssFileSources = externalSources(cssFiles.firstParty, 'css');
+    const cssSources = [
+        ...pages.flatMap(page => collectInlineBlocks(page.$, 'style', 'css', page.url, page)),
+        ...cssFileSources
+    ];
+    // Every page counts: a rule only used on about.html is still used. Only
+    // stylesheets the pages link are checked for unused rules: the rest are
+    // usually imported by components (src/App.css) and style markup that
+    // exists only once the app runs, so static pages would flag every rule.
+    const linkedPaths = new Set(pages.flatMap(page => linkedStylesheets(page.$, page.path)));
+    const isLinked = (source) => source.source === 'inline' || linkedPaths.has(source.path);
+    const cssResult = await evaluateCSS(cssSources, profile, { documents: pages.map(page => page.$), coverageFor: isLinked });
+
+    onPhase('css', 'done');
+    onPhase('javascript', 'running');
+
+    const jsFiles = partitionVendorFiles(files.javascript, vendorOverrides);
+    const jsSources = [
+        ...pages.flatMap(page => collectInlineBlocks(page.$, 'script:not([src])', 'javascript', page.url, page)
+            .filter(isExecutableScript)),
+        ...externalSources(jsFiles.firstParty, 'javascript')
+    ];
+    const jsResult = await evaluateJavaScript(jsSources, profile);
+
+    onPhase('javascript', 'done');
+    onPhase('accessibility', 'running');
+
+    // Each page is audited with its own inline styles plus the stylesheets it links
+    const a11yResult = pages.length
+        ? combineFileResults(pages.map(page => {
+            const linked = new Set(linkedStylesheets(page.$, page.path));
+            const pageStyles = [
+                ...cssSources.filter(source => source.source === 'inline' && source.url === page.url),
+                ...cssFileSources.filter(source => linked.has(source.path))
+            ];
+            return fileResult(page, evaluateAccessibility(page.$, pageStyles, profile));
+        }))
+        : { score: 0, feedback: ["No HTML pages were found to audit."], findings: [], files: [] };
+
+    onPhase('accessibility', 'done');
+    // Page weight, compression and caching need a live server
+    onPhase('performance', 'skipped');
+    onPhase('seo', 'running');
+
+    // Pages are averaged; robots.txt and sitemap findings are counted once on top
+    const site = await discoverRepositorySiteFiles(tree, loadFile, blobUrl);
+    const pagesSEO = pages.length
+        ? combineFileResults(pages.map(page => fileResult(page, evaluateSEO(page.$, site, profile, { includeSiteRules: false }))))
+        : { score: 0, feedback: ["No HTML pages were found to audit."], findings: [], files: [] };
+    const seoResult = addSiteResult(pagesSEO, evaluateSiteSEO(site, profile));
+
+    onPhase('seo', 'done');
+    onPhase('security', 'running');
+
+    // Markup is audited per page, scripts once; there are no response headers
+    // to check without a live server
+    const scripts = [
+        ...jsSources,
+        ...externalSources(jsFiles.vendor, 'javascript', 'vendor').map(source => ({ ...source, vendor: true }))
+    ];
+    const pagesSecurity = pages.length
+        ? combineFileResults(pages.map(page => fileResult(page, evaluateSecurity(page.$, null, [], profile))))
+        : { score: 100, feedback: [], findings: [], files: [] };
+    const securityResult = addSiteResult(pagesSecurity, evaluateSecurity(null, null, scripts, profile));
+
+    onPhase('security', 'done');
+
+    const sumBytes = (sources) => sources.reduce((total, source) => total + source.bytes, 0);
+
+    return {
+        source: {
+            type: 'github',
+            owner: reference.owner,
+            repo: reference.repo,
+            ref,
+            sha,
+            truncated: Boolean(truncated)
+        },
+        ...summarizeCategories(profile, {
+            html: htmlResult,
+            css: cssResult,
+            javascript: jsResult,
+            accessibility: a11yResult,
+            seo: seoResult,
+            security: securityResult
+        }),
+        fileStats: {
+            htmlSize: sumBytes(pages),
+            cssSize: sumBytes(cssSources),
+            jsSize: sumBytes(jsSources),
+            pages: pages.length,
+            cssFiles: cssFiles.firstParty.length,
+            jsFiles: jsFiles.firstParty.length,
+            excludedFiles,
+            skippedAssets: skipped.length,
+            vendor: describeVendorFiles([...cssFiles.vendor, ...jsFiles.vendor])
+        },
+        files: [...htmlResult.files, ...cssResult.files, ...jsResult.files],
+        ...describeInputs([...pages, ...cssSources, ...jsSources]),
+        assets: {
+            skipped
+        },
+        site,
+        cssCoverage: cssResult.coverage && {
+            ...cssResult.coverage,
+            scope: 'linked-stylesheets',
+            notChecked: cssFileSources.filter(source => !isLinked(source)).map(source => source.path)
+        }
+    };
+};
+
+module.exports = {
+    DEFAULT_EXCLUDES,
+    readExcludePatterns,
+    analyzeRepository
+};
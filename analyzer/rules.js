@@ -0,0 +1,101 @@
+// Shared rule runner for the analyzer.
+//
+// A rule is a plain object: { id, severity, points, maxPoints?, wcag?, description, check }.
+// `check(context)` returns an array of hits ({ message, element?, line?, column?, file?, excerpt? }).
+// Hits that come from a linter also carry its rule name (`linterRule`),
+// when known where the problem ends (`endLine`, `endColumn`) and, if the
+// linter can fix it, the edit (`fix`, see fixes.js).
+// Every hit costs `points`, capped per rule at `maxPoints` (defaults to `points`,
+// so a rule that fires many times doesn't wipe out the whole category; `null`
+// means uncapped). Rules read tunable limits from `context.thresholds`.
+
+const { redactSecrets } = require('./secrets');
+
+const SEVERITIES = ['error', 'warning', 'info'];
+
+// Short, single-line snippet of an element's opening tag for feedback
+const describeElement = ($, el) => {
+    if (!el || el.type !== 'tag') return null;
+    const attrs = Object.entries(el.attribs || {})
+        .map(([name, value]) => (value === '' ? name : `${name}="${value}"`))
+        .join(' ');
+    const tag = redactSecrets(`<${el.name}${attrs ? ' ' + attrs : ''}>`);
+    return tag.length > 120 ? `${tag.substring(0, 117)}...` : tag;
+};
+
+// Line/column of an element, available when the document was loaded with
+// `sourceCodeLocationInfo: true`
+const locate = (el) => {
+    const loc = el && el.sourceCodeLocation;
+    if (!loc) return {};
+    return { line: loc.startLine, column: loc.startCol };
+};
+
+// Build a hit for a cheerio element
+const elementHit = ($, el, message) => ({
+    message,
+    element: describeElement($, el),
+    ...locate(el)
+});
+
+const formatFinding = (finding) => {
+    const where = finding.line ? ` (line ${finding.line})` : '';
+    const criterion = finding.wcag ? ` [WCAG ${finding.wcag}]` : '';
+    return `${finding.message}${where}${criterion}`;
+};
+
+const runRules = (rules, context, startScore = 100) => {
+    const findings = [];
+    let score = startScore;
+
+    rules.forEach(rule => {
+        let hits;
+        try {
+            hits = rule.check(context) || [];
+        } catch (error) {
+            console.error(`Rule ${rule.id} failed:`, error.message);
+            return;
+        }
+
+        const cap = rule.maxPoints === null ? Infinity
+            : rule.maxPoints !== undefined ? rule.maxPoints : rule.points;
+        let spent = 0;
+
+        hits.forEach(hit => {
+            const cost = Math.max(Math.min(rule.points, cap - spent), 0);
+            spent += cost;
+            findings.push({
+                rule: rule.id,
+                severity: rule.severity,
+                points: cost,
+                message: hit.message,
+                element: hit.element || null,
+                line: hit.line || null,
+                column: hit.column || null,
+                ...(hit.linterRule ? { linterRule: hit.linterRule } : {}),
+                ...(hit.endLine ? { endLine: hit.endLine, endColumn: hit.endColumn || null } : {}),
+                ...(hit.fix ? { fix: hit.fix } : {}),
+                ...(hit.file ? { file: hit.file } : {}),
+                ...(hit.excerpt ? { excerpt: hit.excerpt } : {}),
+                ...(rule.wcag ? { wcag: rule.wcag } : {})
+            });
+        });
+
+        score -= spent;
+    });
+
+    return {
+        score: Math.max(score, 0),
+        feedback: findings.map(formatFinding),
+        findings
+    };
+};
+
+module.exports = {
+    SEVERITIES,
+    describeElement,
+    locate,
+    elementHit,
+    formatFinding,
+    runRules
+};
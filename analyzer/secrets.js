@@ -0,0 +1,26 @@
+// Well-known credential formats, shared by the exposed-secret rule
+// (security.js) and by excerpts, which must not quote what that rule masks.
+// Firebase/Google "AIza..." web keys are left out on purpose: they are meant
+// to ship in client code.
+const SECRET_PATTERNS = [
+    ['AWS access key', /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g],
+    ['GitHub token', /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{60,})\b/g],
+    ['Stripe secret key', /\b[rs]k_live_[0-9a-zA-Z]{20,}\b/g],
+    ['Slack token', /\bxox[abposr]-[0-9A-Za-z-]{10,}/g],
+    ['SendGrid API key', /\bSG\.[A-Za-z0-9_-]{22}\.[A-Za-z0-9_-]{43}\b/g],
+    ['OpenAI-style secret key', /\bsk-(?:proj-)?[A-Za-z0-9_-]{32,}\b/g],
+    ['private key', /-----BEGIN (?:RSA |EC |DSA |OPENSSH )?PRIVATE KEY-----/g],
+    ['hard-coded password or secret', /\b(?:client_?secret|secret_?key|private_?key|password|passwd)["']?\s*[:=]\s*["'][^"'\s]{8,}["']/gi]
+];
+
+// Only a prefix of a secret ever goes into a report
+const maskSecret = (value) => `${value.substring(0, 4)}… (${value.length} characters)`;
+
+// `text` with every secret masked, for anything quoted from the analysed code
+const redactSecrets = (text) => SECRET_PATTERNS.reduce((redacted, [, pattern]) => redacted.replace(pattern, maskSecret), text);
+
+module.exports = {
+    SECRET_PATTERNS,
+    maskSecret,
+    redactSecrets
+};
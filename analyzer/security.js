@@ -0,0 +1,205 @@
+// Security-hygiene audit: response headers, risky markup and risky script
+// patterns that a front-end developer is expected to know about.
+//
+// Header and mixed-content rules need a live response (`page`); markup rules
+// need the document (`$`); script rules scan `scripts`, the same sources the
+// JavaScript linter sees plus vendor bundles for the secrets check.
+const { elementHit, runRules } = require('./rules');
+const { locateInSource, excerptAt } = require('./files');
+const { SECRET_PATTERNS, maskSecret } = require('./secrets');
+
+// Attributes that load a subresource; <a href> is navigation, not mixed content
+const SUBRESOURCE_SELECTOR = [
+    'script[src]', 'img[src]', 'iframe[src]', 'audio[src]', 'video[src]', 'source[src]', 'embed[src]',
+    'object[data]', 'form[action]', 'link[rel~="stylesheet"][href]', 'link[rel~="icon"][href]', 'link[rel="preload"][href]'
+].join(', ');
+
+const EVAL_PATTERN = /\beval\s*\(|\bnew\s+Function\s*\(|\bset(?:Timeout|Interval)\s*\(\s*['"`]/g;
+const HTML_SINK_PATTERN = /\.(?:innerHTML|outerHTML)\s*\+?=(?!=)|\.insertAdjacentHTML\s*\(|\bdocument\.write(?:ln)?\s*\(|\bdangerouslySetInnerHTML\b/g;
+
+const header = (page, name) => (page && page.headers ? page.headers[name] : undefined);
+
+const metaHttpEquiv = ($, name) => $('meta').filter((_, el) => ($(el).attr('http-equiv') || '').toLowerCase() === name).first();
+
+const isHttps = (page) => Boolean(page && page.url && page.url.startsWith('https:'));
+
+// Matches of `pattern` in one source, with document positions; lines that
+// are clearly comments are skipped
+const scanSource = (source, pattern) => {
+    const hits = [];
+    const lineStarts = [0];
+    for (let i = 0; i < source.content.length; i++) {
+        if (source.content[i] === '\n') lineStarts.push(i + 1);
+    }
+
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(source.content)) !== null) {
+        let line = lineStarts.length - 1;
+        while (lineStarts[line] > match.index) line--;
+        const before = source.content.substring(lineStarts[line], match.index).trim();
+        if (!before.startsWith('//') && !before.startsWith('*') && !before.startsWith('/*')) {
+            hits.push({ match: match[0], line: line + 1, column: match.index - lineStarts[line] + 1 });
+        }
+    }
+    return hits;
+};
+
+// One hit per match, positioned in the real document and tagged with the
+// file. Secrets are never quoted, so they get no excerpt.
+const scriptHits = (sources, pattern, message, { quote = true } = {}) => sources.flatMap(source => scanSource(source, pattern)
+    .map(({ match, line, column }) => {
+        const excerpt = quote ? excerptAt(source.content, { line, column }, source.lineOffset) : null;
+        return {
+            ...locateInSource({ message: `${source.label}: ${message(match)}`, line, column }, source),
+            ...(excerpt ? { excerpt } : {}),
+            file: source.id
+        };
+    }));
+
+const missingHeader = (id, name, points, severity, advice, { httpsOnly = false, meta = null } = {}) => ({
+    id,
+    severity,
+    points,
+    description: `Response sends ${name}.`,
+    check: ({ $, page }) => {
+        if (!page || !page.headers || (httpsOnly && !isHttps(page))) return [];
+        if (header(page, name.toLowerCase()) !== undefined) return [];
+        if (meta && $ && meta($).length > 0) return [];
+        return [{ message: `Missing ${name} header; ${advice}` }];
+    }
+});
+
+const documentRules = [
+    {
+        id: 'https',
+        severity: 'error',
+        points: 10,
+        description: 'Page is served over HTTPS.',
+        check: ({ page }) => (page && page.headers && !isHttps(page)
+            ? [{ message: 'Page is served over plain HTTP; anyone on the network can read or change it.' }]
+            : [])
+    },
+    missingHeader('content-security-policy', 'Content-Security-Policy', 10, 'warning',
+        'a CSP limits where scripts can load from and blunts XSS.',
+        { meta: $ => metaHttpEquiv($, 'content-security-policy') }),
+    {
+        id: 'csp-unsafe-inline',
+        severity: 'info',
+        points: 3,
+        description: "Content-Security-Policy doesn't allow arbitrary inline scripts.",
+        check: ({ $, page }) => {
+            const policy = header(page, 'content-security-policy')
+                || ($ ? metaHttpEquiv($, 'content-security-policy').attr('content') : undefined);
+            if (!policy) return [];
+            const directives = policy.split(';').map(part => part.trim().toLowerCase());
+            const scriptSrc = directives.find(d => d.startsWith('script-src ')) || directives.find(d => d.startsWith('default-src '));
+            if (!scriptSrc || !scriptSrc.includes("'unsafe-inline'")) return [];
+            // A nonce or hash makes browsers ignore 'unsafe-inline'
+            if (/'(nonce-|sha256-|sha384-|sha512-)/.test(scriptSrc)) return [];
+            return [{ message: "Content-Security-Policy allows 'unsafe-inline' scripts, which undoes most of its XSS protection." }];
+        }
+    },
+    missingHeader('strict-transport-security', 'Strict-Transport-Security', 5, 'warning',
+        'HSTS stops browsers from ever falling back to plain HTTP.', { httpsOnly: true }),
+    {
+        id: 'x-content-type-options',
+        severity: 'warning',
+        points: 5,
+        description: 'Response sends X-Content-Type-Options: nosniff.',
+        check: ({ page }) => {
+            if (!page || !page.headers) return [];
+            return /^\s*nosniff\s*$/i.test(header(page, 'x-content-type-options') || '')
+                ? []
+                : [{ message: 'Missing X-Content-Type-Options: nosniff; browsers may guess content types and run uploads as scripts.' }];
+        }
+    },
+    missingHeader('referrer-policy', 'Referrer-Policy', 3, 'info',
+        'without one, full URLs can leak to third-party sites.',
+        { meta: $ => $('meta[name="referrer"]') }),
+    {
+        id: 'mixed-content',
+        severity: 'error',
+        points: 5,
+        maxPoints: 15,
+        description: 'HTTPS pages load no subresources over HTTP.',
+        check: ({ $, page }) => {
+            if (!$ || !isHttps(page)) return [];
+            return $(SUBRESOURCE_SELECTOR).toArray()
+                .filter(el => /^http:\/\//i.test(($(el).attr('src') || $(el).attr('href') || $(el).attr('data') || $(el).attr('action') || '').trim()))
+                .map(el => elementHit($, el, 'Mixed content: loaded over HTTP on an HTTPS page, so browsers block or flag it.'));
+        }
+    },
+    {
+        id: 'target-blank-noopener',
+        severity: 'warning',
+        points: 2,
+        maxPoints: 10,
+        description: 'Links opening a new tab use rel="noopener" (or noreferrer).',
+        check: ({ $ }) => {
+            if (!$) return [];
+            return $('a[target="_blank"], area[target="_blank"]').toArray()
+                .filter(el => !/\bno(opener|referrer)\b/i.test($(el).attr('rel') || ''))
+                .map(el => elementHit($, el, 'target="_blank" without rel="noopener"; the new tab can navigate this one via window.opener.'));
+        }
+    },
+    {
+        id: 'inline-event-handler',
+        severity: 'info',
+        points: 2,
+        maxPoints: 10,
+        description: 'Event handlers are attached from scripts, not inline attributes.',
+        check: ({ $ }) => {
+            if (!$) return [];
+            return $('*').toArray()
+                .map(el => ({ el, handlers: Object.keys(el.attribs || {}).filter(name => /^on[a-z]+$/i.test(name)) }))
+                .filter(({ handlers }) => handlers.length > 0)
+                .map(({ el, handlers }) => elementHit($, el,
+                    `Inline ${handlers.join(', ')} handler; use addEventListener so a strict CSP can forbid inline script.`));
+        }
+    }
+];
+
+const scriptRules = [
+    {
+        id: 'eval-usage',
+        severity: 'error',
+        points: 5,
+        maxPoints: 15,
+        description: 'No eval, new Function or string timers.',
+        check: ({ scripts }) => scriptHits(scripts.filter(source => !source.vendor), EVAL_PATTERN,
+            match => `\`${match.replace(/\s+/g, ' ').trim()}\` runs strings as code; pass functions instead.`)
+    },
+    {
+        id: 'html-injection-sink',
+        severity: 'warning',
+        points: 3,
+        maxPoints: 15,
+        description: 'HTML is not built from strings (innerHTML, document.write...).',
+        check: ({ scripts }) => scriptHits(scripts.filter(source => !source.vendor), HTML_SINK_PATTERN,
+            match => `\`${match.replace(/\s+/g, ' ').trim()}\` parses a string as HTML; use textContent or create elements to avoid XSS.`)
+    },
+    {
+        id: 'exposed-secret',
+        severity: 'error',
+        points: 15,
+        maxPoints: 45,
+        description: 'No credentials shipped in client-side JavaScript.',
+        // Vendor bundles too: a minified app bundle is where keys usually end up
+        check: ({ scripts }) => SECRET_PATTERNS.flatMap(([name, pattern]) => scriptHits(scripts, pattern,
+            match => `Possible ${name} in shipped JavaScript (${maskSecret(match)}); revoke it and move it to a server.`, { quote: false }))
+    }
+];
+
+// `page` is { url, headers } for a live response, or null; `scripts` are JS
+// sources (see files.js) with `vendor: true` on third-party bundles
+const evaluateSecurity = ($, page, scripts, profile) => runRules(
+    profile.resolveRules([...documentRules, ...scriptRules]),
+    { $, page, scripts, thresholds: profile.thresholds }
+);
+
+module.exports = {
+    documentRules,
+    scriptRules,
+    evaluateSecurity
+};
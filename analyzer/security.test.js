@@ -0,0 +1,53 @@
+// Run with `npm run test:server`. Serves one page with a leaked key on 127.0.0.1.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { analyzeUrl } = require('./analyze');
+const { renderReportHtml } = require('./exportReport');
+const { createUrlPolicy } = require('./urlPolicy');
+const { getProfile } = require('./profiles');
+const { redactSecrets } = require('./secrets');
+
+const SECRET = `sk_live_${'4eC39HqLyjWDarjtT1zdp7dc'.repeat(2)}`;
+
+const SITE = {
+    '/': ['text/html', '<!DOCTYPE html>\n<html lang="en"><head><title>Checkout demo</title>\n<script src="/app.js"></script></head>\n<body><main><h1>Shop</h1>\n<input type="hidden" value="password=\'hunter2hunter2\'"></main></body></html>\n'],
+    '/app.js': ['application/javascript', `var unused = 1;\nvar alsoUnused = 2;\nconst stripeKey = "${SECRET}";\nconsole.log(stripeKey);\n`]
+};
+
+let server;
+let siteUrl;
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        const entry = SITE[new URL(req.url, 'http://localhost').pathname];
+        if (!entry) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            return res.end('Not found');
+        }
+        res.writeHead(200, { 'Content-Type': entry[0] });
+        res.end(req.method === 'HEAD' ? undefined : entry[1]);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    siteUrl = `http://localhost:${server.address().port}/`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('masks secrets wherever code is quoted', () => {
+    assert.strictEqual(redactSecrets(`const key = "${SECRET}";`), `const key = "sk_l… (${SECRET.length} characters)";`);
+    assert.strictEqual(redactSecrets('const total = 42;'), 'const total = 42;');
+});
+
+test('no report field or export quotes a leaked secret', async () => {
+    const report = await analyzeUrl(siteUrl, getProfile(), { policy: createUrlPolicy({ allowHosts: ['localhost'] }) });
+
+    assert.ok(report.findings.security.some(finding => finding.message.includes('Stripe secret key')));
+    // Findings on neighbouring lines still get their excerpt, masked
+    const unused = report.findings.javascript.filter(finding => finding.linterRule === 'no-unused-vars');
+    assert.ok(unused.length >= 2 && unused.every(finding => finding.excerpt));
+
+    assert.ok(!JSON.stringify(report).includes(SECRET));
+    assert.ok(!JSON.stringify(report).includes('hunter2hunter2'));
+    assert.ok(!renderReportHtml(report).includes(SECRET));
+});
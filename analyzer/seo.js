@@ -0,0 +1,343 @@
+// SEO and social metadata audit: what search engines and link previews read
+// from the page, plus robots.txt / sitemap.xml discovery on the host.
+//
+// Missing <title> and description are already HTML findings, so the length
+// rules here only look at them when they are present.
+const { elementHit, runRules } = require('./rules');
+const { UrlPolicyError, defaultUrlPolicy } = require('./urlPolicy');
+
+const OPEN_GRAPH_TAGS = ['og:title', 'og:description', 'og:image', 'og:url'];
+
+const SITE_FILE_MAX_BYTES = 512 * 1024;
+
+const metaContent = ($, attribute, name) => {
+    const meta = $('meta').filter((_, el) => ($(el).attr(attribute) || '').toLowerCase() === name).first();
+    return meta.length ? { el: meta.get(0), content: (meta.attr('content') || '').trim() } : null;
+};
+
+const isAbsoluteUrl = (value) => {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch (e) {
+        return false;
+    }
+};
+
+// Hit when `text` is outside [min, max] characters
+const lengthHit = ($, el, label, text, min, max) => {
+    if (text.length < min) return [elementHit($, el, `${label} is short (${text.length} characters); aim for ${min}-${max}.`)];
+    if (text.length > max) return [elementHit($, el, `${label} is long (${text.length} characters) and will be cut off in search results; aim for ${min}-${max}.`)];
+    return [];
+};
+
+// Problems with one JSON-LD block, or null when it looks valid
+const structuredDataProblem = (text) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        return `is not valid JSON (${error.message})`;
+    }
+    const items = Array.isArray(data) ? data : [data];
+    if (items.some(item => !item || typeof item !== 'object')) return 'must contain JSON objects';
+    if (items.some(item => !item['@context'] && !Array.isArray(item['@graph']))) return 'has no @context (usually "https://schema.org")';
+    if (items.some(item => !item['@type'] && !Array.isArray(item['@graph']))) return 'has no @type';
+    return null;
+};
+
+const seoRules = [
+    {
+        id: 'title-length',
+        severity: 'warning',
+        points: 5,
+        description: '<title> is long enough to be descriptive and short enough not to be truncated.',
+        check: ({ $, thresholds }) => {
+            const title = $('head title').first();
+            const text = title.text().replace(/\s+/g, ' ').trim();
+            if (!text) return [];
+            return lengthHit($, title.get(0), '<title>', text, thresholds.titleMinLength, thresholds.titleMaxLength);
+        }
+    },
+    {
+        id: 'description-length',
+        severity: 'warning',
+        points: 5,
+        description: 'Meta description fits in a search result snippet.',
+        check: ({ $, thresholds }) => {
+            const meta = metaContent($, 'name', 'description');
+            if (!meta || !meta.content) return [];
+            return lengthHit($, meta.el, 'Meta description', meta.content,
+                thresholds.descriptionMinLength, thresholds.descriptionMaxLength);
+        }
+    },
+    {
+        id: 'canonical-link',
+        severity: 'warning',
+        points: 5,
+        description: 'Page declares one absolute <link rel="canonical">.',
+        check: ({ $ }) => {
+            const links = $('link[rel="canonical"]').toArray();
+            if (links.length === 0) return [{ message: 'Missing <link rel="canonical"> to tell search engines the preferred URL.' }];
+            if (links.length > 1) return [elementHit($, links[1], 'More than one <link rel="canonical">; search engines may ignore them all.')];
+            const href = ($(links[0]).attr('href') || '').trim();
+            return isAbsoluteUrl(href) ? [] : [elementHit($, links[0], 'Canonical link should be an absolute http(s) URL.')];
+        }
+    },
+    {
+        id: 'open-graph',
+        severity: 'warning',
+        points: 3,
+        maxPoints: 12,
+        description: `Open Graph tags (${OPEN_GRAPH_TAGS.join(', ')}) for link previews.`,
+        check: ({ $ }) => OPEN_GRAPH_TAGS.flatMap(property => {
+            const meta = metaContent($, 'property', property);
+            if (!meta || !meta.content) return [{ message: `Missing <meta property="${property}"> for link previews.` }];
+            if ((property === 'og:image' || property === 'og:url') && !isAbsoluteUrl(meta.content)) {
+                return [elementHit($, meta.el, `${property} should be an absolute URL; previews can't resolve relative ones.`)];
+            }
+            return [];
+        })
+    },
+    {
+        id: 'twitter-card',
+        severity: 'info',
+        points: 3,
+        description: 'Twitter/X card type is declared (other fields fall back to Open Graph).',
+        check: ({ $ }) => {
+            const meta = metaContent($, 'name', 'twitter:card');
+            return meta && meta.content ? [] : [{ message: 'Missing <meta name="twitter:card"> (e.g. "summary_large_image").' }];
+        }
+    },
+    {
+        id: 'robots-meta',
+        severity: 'error',
+        points: 15,
+        description: 'Page does not ask search engines to stay away.',
+        check: ({ $ }) => ['robots', 'googlebot'].flatMap(name => {
+            const meta = metaContent($, 'name', name);
+            if (!meta) return [];
+            return /\b(noindex|none)\b/i.test(meta.content)
+                ? [elementHit($, meta.el, `<meta name="${name}"> contains "${meta.content}", so the page won't appear in search results.`)]
+                : [];
+        })
+    },
+    {
+        id: 'heading-hierarchy',
+        severity: 'warning',
+        points: 5,
+        maxPoints: 10,
+        description: 'One <h1> that comes before every other heading.',
+        check: ({ $ }) => {
+            const headings = $('h1, h2, h3, h4, h5, h6').toArray();
+            const h1s = headings.filter(el => el.name === 'h1');
+            if (h1s.length === 0) return [{ message: 'Missing <h1>; search engines use it as the main topic of the page.' }];
+            const hits = h1s.slice(1).map(el => elementHit($, el, 'More than one <h1> on the page.'));
+            if (headings[0].name !== 'h1') {
+                hits.push(elementHit($, headings[0], `First heading is <${headings[0].name}>; start the outline with the <h1>.`));
+            }
+            return hits;
+        }
+    },
+    {
+        id: 'structured-data',
+        severity: 'error',
+        points: 5,
+        maxPoints: 10,
+        description: 'JSON-LD blocks parse and name their @context and @type.',
+        check: ({ $ }) => $('script[type="application/ld+json"]').toArray()
+            .map(el => ({ el, problem: structuredDataProblem($(el).html() || '') }))
+            .filter(({ problem }) => problem)
+            .map(({ el, problem }) => elementHit($, el, `JSON-LD structured data ${problem}.`))
+    },
+    {
+        id: 'favicon',
+        severity: 'info',
+        points: 3,
+        description: 'Site has a favicon.',
+        check: ({ $, site }) => {
+            if ($('link').filter((_, el) => /\bicon\b/i.test($(el).attr('rel') || '')).length > 0) return [];
+            if (site && site.favicon) return [];
+            return [{ message: 'No favicon: add <link rel="icon" href="..."> so the site is recognisable in tabs and bookmarks.' }];
+        }
+    }
+];
+
+// Host-level rules: apply once per site, not once per page
+const siteRules = [
+    {
+        id: 'robots-txt',
+        severity: 'warning',
+        points: 5,
+        description: 'Host serves a robots.txt that lets crawlers in.',
+        check: ({ site }) => {
+            if (!site) return [];
+            if (!site.robotsTxt) return [{ message: 'No robots.txt found at the site root.' }];
+            return site.robotsTxt.disallowAll
+                ? [{ message: `${site.robotsTxt.url} blocks all crawlers ("Disallow: /" for every user agent).` }]
+                : [];
+        }
+    },
+    {
+        id: 'sitemap',
+        severity: 'info',
+        points: 5,
+        description: 'Host publishes a sitemap.xml or lists one in robots.txt.',
+        check: ({ site }) => (site && !site.sitemap
+            ? [{ message: 'No sitemap found at /sitemap.xml or in robots.txt.' }]
+            : [])
+    }
+];
+
+// Our crawler's User-agent token (see crawl.js)
+const ROBOTS_AGENT = 'skifolioanalyzer';
+
+// Reads the directives that matter to us out of a robots.txt body. `rules`
+// are the Allow/Disallow lines of the group that applies to our crawler:
+// its own group if there is one, the `*` group otherwise.
+const parseRobotsTxt = (text, url) => {
+    const sitemaps = [];
+    const groups = [];
+    let group = null;
+    let inRules = false;
+
+    text.split(/\r?\n/).forEach(rawLine => {
+        const line = rawLine.replace(/#.*$/, '').trim();
+        const match = line.match(/^([a-z-]+)\s*:\s*(.*)$/i);
+        if (!match) return;
+        const field = match[1].toLowerCase();
+        const value = match[2].trim();
+
+        if (field === 'sitemap') {
+            sitemaps.push(value);
+        } else if (field === 'user-agent') {
+            // Consecutive User-agent lines form one group
+            if (!group || inRules) {
+                group = { agents: [], rules: [] };
+                groups.push(group);
+            }
+            inRules = false;
+            group.agents.push(value.toLowerCase());
+        } else if ((field === 'disallow' || field === 'allow') && group) {
+            inRules = true;
+            // An empty Disallow allows everything
+            if (value) group.rules.push({ allow: field === 'allow', path: value });
+        }
+    });
+
+    const rulesFor = agent => groups.filter(g => g.agents.includes(agent)).flatMap(g => g.rules);
+    const ownRules = rulesFor(ROBOTS_AGENT);
+    const disallowAll = rulesFor('*').some(rule => !rule.allow && rule.path === '/');
+
+    return { url, sitemaps, disallowAll, rules: ownRules.length ? ownRules : rulesFor('*') };
+};
+
+// Whether the robots.txt rule path `pattern` matches the start of `path`. `*`
+// matches any run of characters and a trailing `$` anchors the end. Each
+// segment between `*`s is taken at its leftmost position after the previous
+// one, which is all a `*`-only pattern needs; unlike a `.*` regex it can't be
+// made to backtrack by a hostile robots.txt.
+const robotsPatternMatches = (pattern, path) => {
+    const anchored = pattern.endsWith('$');
+    const segments = (anchored ? pattern.slice(0, -1) : pattern).split('*');
+    const first = segments[0];
+    if (!path.startsWith(first)) return false;
+    if (segments.length === 1) return !anchored || path.length === first.length;
+
+    let position = first.length;
+    for (const segment of segments.slice(1, -1)) {
+        const found = path.indexOf(segment, position);
+        if (found === -1) return false;
+        position = found + segment.length;
+    }
+    const last = segments[segments.length - 1];
+    if (!anchored) return path.indexOf(last, position) !== -1;
+    return path.length - last.length >= position && path.endsWith(last);
+};
+
+// Whether `path` (pathname plus query) may be crawled under robots.txt rules:
+// the longest matching rule wins, Allow wins ties. `*` and `$` work as in
+// Google's robots.txt dialect.
+const robotsAllows = (robotsTxt, path) => {
+    if (!robotsTxt) return true;
+    let best = null;
+    robotsTxt.rules.forEach(rule => {
+        if (!robotsPatternMatches(rule.path, path)) return;
+        if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+            best = rule;
+        }
+    });
+    return !best || best.allow;
+};
+
+const looksLikeSitemap = (text) => /<(urlset|sitemapindex)\b/i.test(text);
+
+// robots.txt, sitemap and /favicon.ico on the page's origin. Everything not
+// found (or not reachable) comes back null.
+const discoverSiteFiles = async (pageUrl, { policy = defaultUrlPolicy } = {}) => {
+    const origin = new URL(pageUrl).origin;
+    const fetchText = async (url) => {
+        try {
+            const response = await policy.get(url, {
+                timeout: 8000,
+                headers: { 'User-Agent': 'Mozilla/5.0 SkifolioAnalyzer' },
+                responseType: 'text',
+                transformResponse: [data => data],
+                maxContentLength: SITE_FILE_MAX_BYTES
+            });
+            return typeof response.data === 'string' ? response.data : null;
+        } catch (error) {
+            if (!(error instanceof UrlPolicyError) && !error.response) {
+                console.warn(`Could not fetch ${url}: ${error.message}`);
+            }
+            return null;
+        }
+    };
+
+    const robotsUrl = `${origin}/robots.txt`;
+    const [robotsText, faviconFound] = await Promise.all([
+        fetchText(robotsUrl),
+        policy.head(`${origin}/favicon.ico`, { timeout: 8000 }).then(() => true, () => false)
+    ]);
+    const robotsTxt = robotsText !== null ? parseRobotsTxt(robotsText, robotsUrl) : null;
+
+    // Sitemaps listed in robots.txt first, then the conventional location
+    const candidates = [...new Set([...(robotsTxt ? robotsTxt.sitemaps : []), `${origin}/sitemap.xml`])].slice(0, 3);
+    let sitemap = null;
+    for (const url of candidates) {
+        const text = await fetchText(url);
+        if (text && looksLikeSitemap(text)) {
+            sitemap = { url };
+            break;
+        }
+    }
+
+    return {
+        robotsTxt,
+        sitemap,
+        favicon: faviconFound ? { url: `${origin}/favicon.ico` } : null
+    };
+};
+
+// `site` is the result of discoverSiteFiles (or its repository equivalent).
+// With `includeSiteRules: false` only the page is audited; see evaluateSiteSEO.
+const evaluateSEO = ($, site, profile, { includeSiteRules = true } = {}) => runRules(
+    profile.resolveRules(includeSiteRules ? [...seoRules, ...siteRules] : seoRules),
+    { $, site, thresholds: profile.thresholds }
+);
+
+// Host-level findings on their own, for reports that cover several pages
+const evaluateSiteSEO = (site, profile) => runRules(profile.resolveRules(siteRules), {
+    site,
+    thresholds: profile.thresholds
+});
+
+module.exports = {
+    seoRules,
+    siteRules,
+    parseRobotsTxt,
+    robotsAllows,
+    looksLikeSitemap,
+    discoverSiteFiles,
+    evaluateSEO,
+    evaluateSiteSEO
+};
@@ -0,0 +1,230 @@
+// Outbound request policy for everything the analyzer fetches.
+//
+// Every request goes through `policy.get()`/`policy.head()`, which:
+//   - only allows http(s) on a small set of ports and rejects embedded credentials
+//   - resolves the host and refuses loopback, private, link-local (cloud metadata),
+//     CGNAT, multicast and reserved addresses; the check runs inside the socket's
+//     DNS lookup, so a host can't pass validation and then rebind to 127.0.0.1
+//   - follows redirects itself, re-checking every hop, up to `maxRedirects`
+//   - caps the response body at `maxResponseBytes`
+// Hosts listed in `allowHosts` (ANALYZER_ALLOW_HOSTS) skip the address and port
+// checks, which is how local development and the tests reach localhost.
+const axios = require('axios');
+const dns = require('dns');
+const net = require('net');
+
+const DEFAULT_POLICY = {
+    schemes: ['http:', 'https:'],
+    ports: [80, 443, 8080, 8443],
+    maxRedirects: 5,
+    maxResponseBytes: 5 * 1024 * 1024,
+    allowHosts: []
+};
+
+// code -> HTTP status used when the error reaches an API response
+const ERROR_STATUS = {
+    URL_INVALID: 400,
+    URL_SCHEME_NOT_ALLOWED: 400,
+    URL_PORT_NOT_ALLOWED: 400,
+    URL_CREDENTIALS_NOT_ALLOWED: 400,
+    URL_HOST_BLOCKED: 403,
+    DNS_LOOKUP_FAILED: 502,
+    TOO_MANY_REDIRECTS: 502,
+    RESPONSE_TOO_LARGE: 502
+};
+
+class UrlPolicyError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'UrlPolicyError';
+        this.code = code;
+        this.status = ERROR_STATUS[code] || 400;
+    }
+}
+
+const BLOCKED_RANGES = new net.BlockList();
+[
+    ['0.0.0.0', 8],         // "this" network
+    ['10.0.0.0', 8],        // private
+    ['100.64.0.0', 10],     // carrier-grade NAT
+    ['127.0.0.0', 8],       // loopback
+    ['169.254.0.0', 16],    // link-local, incl. 169.254.169.254 metadata
+    ['172.16.0.0', 12],     // private
+    ['192.0.0.0', 24],      // IETF protocol assignments
+    ['192.168.0.0', 16],    // private
+    ['198.18.0.0', 15],     // benchmarking
+    ['224.0.0.0', 4],       // multicast
+    ['240.0.0.0', 4]        // reserved + broadcast
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128],            // unspecified
+    ['::1', 128],           // loopback
+    ['fc00::', 7],          // unique local
+    ['fe80::', 10],         // link-local
+    ['ff00::', 8]           // multicast
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+const isBlockedAddress = (address) => {
+    const family = net.isIP(address);
+    if (family === 4) return BLOCKED_RANGES.check(address, 'ipv4');
+    if (family === 6) {
+        // IPv4-mapped IPv6 (::ffff:127.0.0.1) must be judged as IPv4
+        const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+        if (mapped) return BLOCKED_RANGES.check(mapped[1], 'ipv4');
+        return BLOCKED_RANGES.check(address, 'ipv6');
+    }
+    return true;
+};
+
+// Split "a, b" env lists
+const listFromEnv = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+const policyFromEnv = (env = process.env) => ({
+    ...(env.ANALYZER_ALLOWED_PORTS ? { ports: listFromEnv(env.ANALYZER_ALLOWED_PORTS).map(Number) } : {}),
+    ...(env.ANALYZER_MAX_REDIRECTS ? { maxRedirects: parseInt(env.ANALYZER_MAX_REDIRECTS, 10) } : {}),
+    ...(env.ANALYZER_MAX_RESPONSE_BYTES ? { maxResponseBytes: parseInt(env.ANALYZER_MAX_RESPONSE_BYTES, 10) } : {}),
+    allowHosts: listFromEnv(env.ANALYZER_ALLOW_HOSTS)
+});
+
+// Find a UrlPolicyError that axios wrapped while the socket was connecting
+const unwrapPolicyError = (error) => {
+    for (let current = error; current; current = current.cause) {
+        if (current instanceof UrlPolicyError) return current;
+    }
+    return null;
+};
+
+const isSuccess = (status) => status >= 200 && status < 300;
+
+// Response headers exactly as the server sent them (lower-cased). axios drops
+// Content-Encoding once it has decompressed a body, but we need it to tell
+// whether the server compresses at all.
+const headersAsSent = (response) => {
+    const raw = response.request && response.request.res && response.request.res.rawHeaders;
+    if (!raw) return { ...response.headers };
+    const headers = {};
+    for (let i = 0; i + 1 < raw.length; i += 2) {
+        headers[raw[i].toLowerCase()] = raw[i + 1];
+    }
+    return headers;
+};
+
+const createUrlPolicy = (options = {}) => {
+    const policy = { ...DEFAULT_POLICY, ...options };
+    const allowHosts = new Set(policy.allowHosts.map(host => host.toLowerCase()));
+
+    const isAllowlisted = (hostname) => allowHosts.has(hostname.toLowerCase().replace(/^\[|\]$/g, ''));
+
+    // Static checks that don't need DNS; returns the parsed URL
+    const check = (target, base) => {
+        let parsed;
+        try {
+            parsed = new URL(target, base);
+        } catch (e) {
+            throw new UrlPolicyError('URL_INVALID', `"${target}" is not a valid URL.`);
+        }
+
+        if (!policy.schemes.includes(parsed.protocol)) {
+            throw new UrlPolicyError('URL_SCHEME_NOT_ALLOWED', `Only ${policy.schemes.join(' and ')} URLs can be analyzed.`);
+        }
+        if (parsed.username || parsed.password) {
+            throw new UrlPolicyError('URL_CREDENTIALS_NOT_ALLOWED', 'URLs with embedded credentials are not allowed.');
+        }
+        if (isAllowlisted(parsed.hostname)) return parsed;
+
+        const port = parsed.port ? parseInt(parsed.port, 10) : (parsed.protocol === 'https:' ? 443 : 80);
+        if (!policy.ports.includes(port)) {
+            throw new UrlPolicyError('URL_PORT_NOT_ALLOWED', `Port ${port} is not allowed.`);
+        }
+
+        // Literal IPs can be rejected before we even try to connect
+        const literal = parsed.hostname.replace(/^\[|\]$/g, '');
+        if (net.isIP(literal) && isBlockedAddress(literal)) {
+            throw new UrlPolicyError('URL_HOST_BLOCKED', `${parsed.hostname} is a private or reserved address.`);
+        }
+        return parsed;
+    };
+
+    // DNS lookup used for the actual socket; rejects if any address is blocked
+    const lookup = async (hostname, lookupOptions = {}) => {
+        let addresses;
+        try {
+            addresses = await dns.promises.lookup(hostname, { all: true, family: lookupOptions.family || 0 });
+        } catch (error) {
+            throw new UrlPolicyError('DNS_LOOKUP_FAILED', `Could not resolve ${hostname}.`);
+        }
+        if (!isAllowlisted(hostname)) {
+            const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+            if (blocked) {
+                throw new UrlPolicyError('URL_HOST_BLOCKED', `${hostname} resolves to a private or reserved address (${blocked.address}).`);
+            }
+        }
+        return addresses;
+    };
+
+    const request = async (method, target, config = {}) => {
+        const validateStatus = config.validateStatus || isSuccess;
+        const maxContentLength = Math.min(config.maxContentLength || Infinity, policy.maxResponseBytes);
+        let current = check(target);
+
+        for (let redirects = 0; ; redirects++) {
+            let response;
+            try {
+                response = await axios.request({
+                    ...config,
+                    method,
+                    url: current.href,
+                    lookup,
+                    proxy: false,
+                    maxRedirects: 0,
+                    maxContentLength,
+                    validateStatus: () => true
+                });
+            } catch (error) {
+                const policyError = unwrapPolicyError(error);
+                if (policyError) throw policyError;
+                if (/maxContentLength/.test(error.message)) {
+                    throw new UrlPolicyError('RESPONSE_TOO_LARGE', `Response from ${current.href} is larger than ${maxContentLength} bytes.`);
+                }
+                throw error;
+            }
+
+            const location = response.headers.location;
+            if (response.status >= 300 && response.status < 400 && location) {
+                if (redirects >= policy.maxRedirects) {
+                    throw new UrlPolicyError('TOO_MANY_REDIRECTS', `Stopped after ${policy.maxRedirects} redirects.`);
+                }
+                current = check(location, current);
+                continue;
+            }
+
+            if (!validateStatus(response.status)) {
+                const error = new Error(`Request failed with status code ${response.status}`);
+                error.response = response;
+                throw error;
+            }
+
+            response.finalUrl = current.href;
+            response.headersAsSent = headersAsSent(response);
+            return response;
+        }
+    };
+
+    return {
+        options: policy,
+        check,
+        lookup,
+        get: (target, config) => request('GET', target, config),
+        head: (target, config) => request('HEAD', target, config)
+    };
+};
+
+// Policy used by the server, configured from the environment
+const defaultUrlPolicy = createUrlPolicy(policyFromEnv());
+
+module.exports = {
+    UrlPolicyError,
+    isBlockedAddress,
+    createUrlPolicy,
+    defaultUrlPolicy
+};
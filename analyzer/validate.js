@@ -0,0 +1,206 @@
+// Snippet validation for POST /validate: the "check before you submit" step.
+//
+// Applicants paste a snippet or send a handful of files; each one is linted
+// with the same rules, linters and profile as a full analysis, so a clean
+// result here means no findings of these kinds later. Nothing is fetched and
+// no score is given: the response is the diagnostics themselves, plus the
+// files with every machine-applicable fix applied and a diff of the changes.
+const path = require('path');
+const cheerio = require('cheerio');
+const { contentHash } = require('./cache');
+const { evaluateHTML, htmlRules } = require('./html');
+const { evaluateCSS, cssRules } = require('./css');
+const { isExecutableScript, evaluateJavaScript, jsRules } = require('./javascript');
+const { evaluateAccessibility, accessibilityRules } = require('./accessibility');
+const { collectInlineBlocks, fileResult, withExcerpts } = require('./files');
+const { fixFile } = require('./fixes');
+
+const LANGUAGES = ['html', 'css', 'javascript'];
+
+// Categories a diagnostic can score against
+const CATEGORIES = [...LANGUAGES, 'accessibility'];
+
+const VALIDATE_LIMITS = {
+    maxFiles: 20,
+    maxFileBytes: 200 * 1024,
+    maxTotalBytes: 1024 * 1024
+};
+
+const LANGUAGE_BY_EXTENSION = {
+    '.html': 'html',
+    '.htm': 'html',
+    '.css': 'css',
+    '.js': 'javascript',
+    '.cjs': 'javascript',
+    '.mjs': 'javascript',
+    '.jsx': 'javascript',
+    '.ts': 'javascript',
+    '.tsx': 'javascript'
+};
+
+// Rules about the whole page; a fragment (no <html>, <head> or <body>) isn't
+// a page, so they would only be noise
+const PAGE_RULES = [
+    'semantic-header', 'semantic-main', 'semantic-footer', 'document-title', 'meta-description',
+    'html-lang', 'landmark-main'
+];
+
+const RULE_DESCRIPTIONS = new Map([...htmlRules, ...cssRules, ...jsRules, ...accessibilityRules]
+    .map(rule => [rule.id, rule.description]));
+
+const isFragment = (html) => !/<(html|head|body)[\s>]/i.test(html);
+
+const languageOf = (file) => file.language
+    || (typeof file.name === 'string' ? LANGUAGE_BY_EXTENSION[path.extname(file.name).toLowerCase()] : undefined);
+
+// The request body as [{ name, language, content }]: either one snippet
+// ({ language, code, name? }) or { files: [{ name, language?, content }] }.
+// Null when the shape, a language or the size limits are wrong.
+const readSnippets = (body, limits = VALIDATE_LIMITS) => {
+    if (!body || typeof body !== 'object') return null;
+    const files = Array.isArray(body.files)
+        ? body.files
+        : [{ name: body.name, language: body.language, content: body.code }];
+    if (files.length === 0 || files.length > limits.maxFiles) return null;
+
+    let total = 0;
+    const snippets = [];
+    for (const [index, file] of files.entries()) {
+        if (!file || typeof file.content !== 'string') return null;
+        if (file.name !== undefined && typeof file.name !== 'string') return null;
+        const language = languageOf(file);
+        if (!LANGUAGES.includes(language)) return null;
+
+        const bytes = Buffer.byteLength(file.content);
+        total += bytes;
+        if (bytes > limits.maxFileBytes || total > limits.maxTotalBytes) return null;
+
+        const extension = { html: 'html', css: 'css', javascript: 'js' }[language];
+        snippets.push({ name: file.name || `snippet-${index + 1}.${extension}`, language, content: file.content, bytes });
+    }
+
+    // Names identify files in the response
+    if (new Set(snippets.map(snippet => snippet.name)).size !== snippets.length) return null;
+    return snippets;
+};
+
+const snippetSource = (snippet, index) => ({
+    id: `${snippet.language}-snippet-${index + 1}`,
+    category: snippet.language,
+    source: 'snippet',
+    url: null,
+    label: snippet.name,
+    path: snippet.name,
+    content: snippet.content,
+    bytes: snippet.bytes,
+    hash: contentHash(snippet.content),
+    lineOffset: 0,
+    columnOffset: 0,
+    charOffset: 0
+});
+
+// What a client needs to show a finding next to the code
+const toDiagnostic = (finding) => ({
+    category: finding.category,
+    rule: finding.rule,
+    linterRule: finding.linterRule || null,
+    severity: finding.severity,
+    message: finding.message,
+    line: finding.line,
+    column: finding.column,
+    endLine: finding.endLine || null,
+    endColumn: finding.endColumn || null,
+    element: finding.element,
+    ...(finding.wcag ? { wcag: finding.wcag } : {}),
+    // Points a full analysis would deduct for it
+    points: finding.points,
+    suggestion: RULE_DESCRIPTIONS.get(finding.rule) || null,
+    // Edit in the submitted file's character offsets, when the linter has one
+    fix: finding.fix || null
+});
+
+const countSeverities = (diagnostics) => ({
+    errors: diagnostics.filter(diagnostic => diagnostic.severity === 'error').length,
+    warnings: diagnostics.filter(diagnostic => diagnostic.severity === 'warning').length,
+    info: diagnostics.filter(diagnostic => diagnostic.severity === 'info').length
+});
+
+// Diagnostics and fixes per submitted file. Inline <style> and <script>
+// blocks are linted as part of the HTML file they sit in, with positions (and
+// fix ranges) in that file.
+const validateSnippets = async (snippets, profile) => {
+    const sources = snippets.map(snippetSource);
+
+    const pages = sources.filter(source => source.category === 'html').map(source => ({
+        ...source,
+        $: cheerio.load(source.content, { sourceCodeLocationInfo: true }),
+        fragment: isFragment(source.content)
+    }));
+
+    const cssSources = [
+        ...sources.filter(source => source.category === 'css'),
+        ...pages.flatMap(page => collectInlineBlocks(page.$, 'style', 'css', null, page)
+            .map(block => ({ ...block, owner: page.id })))
+    ];
+    const jsSources = [
+        ...sources.filter(source => source.category === 'javascript'),
+        ...pages.flatMap(page => collectInlineBlocks(page.$, 'script:not([src])', 'javascript', null, page)
+            .filter(isExecutableScript)
+            .map(block => ({ ...block, owner: page.id })))
+    ];
+
+    const pageFindings = pages.map(page => {
+        const { findings } = fileResult(page, withExcerpts({
+            findings: [
+                ...evaluateHTML(page.$, page.content, profile).findings.map(finding => ({ ...finding, category: 'html' })),
+                ...evaluateAccessibility(page.$, cssSources, profile).findings.map(finding => ({ ...finding, category: 'accessibility' }))
+            ]
+        }, page.content));
+        return page.fragment ? findings.filter(finding => !PAGE_RULES.includes(finding.rule)) : findings;
+    });
+
+    // Stylesheets are checked against the submitted pages, when there are any
+    const [css, javascript] = await Promise.all([
+        cssSources.length ? evaluateCSS(cssSources, profile, { documents: pages.map(page => page.$) }) : { findings: [] },
+        jsSources.length ? evaluateJavaScript(jsSources, profile) : { findings: [] }
+    ]);
+
+    // Inline blocks report under the page that contains them
+    const ownerOf = new Map([...cssSources, ...jsSources].map(source => [source.id, source.owner || source.id]));
+
+    const findings = [
+        ...pageFindings.flat(),
+        ...css.findings.map(finding => ({ ...finding, category: 'css' })),
+        ...javascript.findings.map(finding => ({ ...finding, category: 'javascript' }))
+    ];
+    const files = sources.map(source => {
+        const diagnostics = findings
+            .filter(finding => (ownerOf.get(finding.file) || finding.file) === source.id)
+            .map(toDiagnostic)
+            .sort((a, b) => (a.line || 0) - (b.line || 0) || (a.column || 0) - (b.column || 0));
+        return {
+            name: source.label,
+            language: source.category,
+            diagnostics,
+            ...countSeverities(diagnostics),
+            ...fixFile(source.label, source.content, diagnostics.filter(diagnostic => diagnostic.fix).map(diagnostic => diagnostic.fix))
+        };
+    });
+
+    const diagnostics = files.flatMap(file => file.diagnostics);
+    return {
+        profile: { id: profile.id, version: profile.version },
+        files,
+        ...countSeverities(diagnostics),
+        fixable: Object.fromEntries(CATEGORIES.map(category => [
+            category,
+            diagnostics.filter(diagnostic => diagnostic.category === category && diagnostic.fix).length
+        ]))
+    };
+};
+
+module.exports = {
+    VALIDATE_LIMITS,
+    readSnippets,
+    validateSnippets
+};
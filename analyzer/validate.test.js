@@ -0,0 +1,83 @@
+// Run with `npm run test:server`
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { readSnippets, validateSnippets } = require('./validate');
+const { applyFixes } = require('./fixes');
+const { getProfile } = require('./profiles');
+
+test('reads one snippet or a list of files within the limits', () => {
+    assert.deepStrictEqual(readSnippets({ language: 'css', code: 'a {}' }),
+        [{ name: 'snippet-1.css', language: 'css', content: 'a {}', bytes: 4 }]);
+    assert.strictEqual(readSnippets({ files: [{ name: 'app.js', content: '' }] })[0].language, 'javascript');
+
+    const limits = { maxFiles: 2, maxFileBytes: 10, maxTotalBytes: 15 };
+    [
+        {},
+        { language: 'python', code: 'print()' },
+        { files: [] },
+        { files: [{ name: 'notes.txt', content: '' }] },
+        { files: [{ name: 'a.css', content: '' }, { name: 'a.css', content: '' }] },
+        { files: [{ name: 'a.css', content: '' }, { name: 'b.css', content: '' }, { name: 'c.css', content: '' }] },
+        { language: 'css', code: 'x'.repeat(11) },
+        { files: [{ name: 'a.css', content: 'x'.repeat(8) }, { name: 'b.css', content: 'x'.repeat(8) }] }
+    ].forEach(body => assert.strictEqual(readSnippets(body, limits), null, JSON.stringify(body)));
+});
+
+test('reports linter rule ids and positions per submitted file', async () => {
+    const result = await validateSnippets(readSnippets({
+        files: [
+            { name: 'index.html', content: '<main>\n<img src="me.png">\n<script>\nfoo();\n</script>\n</main>\n' },
+            { name: 'site.css', content: 'main { colr: red; }\n' }
+        ]
+    }), getProfile());
+
+    const [page, stylesheet] = result.files;
+    // A fragment isn't held to whole-page rules
+    assert.ok(!page.diagnostics.some(diagnostic => diagnostic.rule === 'semantic-header'));
+    assert.ok(page.diagnostics.some(diagnostic => diagnostic.rule === 'img-alt' && diagnostic.line === 2));
+
+    // Inline scripts report under their page, at page positions
+    const undefinedCall = page.diagnostics.find(diagnostic => diagnostic.linterRule === 'no-undef');
+    assert.deepStrictEqual([undefinedCall.rule, undefinedCall.line, undefinedCall.column], ['eslint-error', 4, 1]);
+
+    const unknownProperty = stylesheet.diagnostics.find(diagnostic => diagnostic.rule === 'css-unknown-property');
+    assert.strictEqual(unknownProperty.linterRule, 'property-no-unknown');
+    assert.deepStrictEqual([unknownProperty.line, unknownProperty.column, unknownProperty.endColumn], [1, 8, 12]);
+    assert.strictEqual(result.errors, page.errors + stylesheet.errors);
+});
+
+test('applies fixes front to back and skips overlapping ones', () => {
+    const fixes = [{ range: [6, 7], text: 'B' }, { range: [0, 3], text: 'one' }, { range: [2, 5], text: 'x' }];
+    assert.deepStrictEqual(applyFixes('1 2 3 4 5', fixes), { content: 'one 3 B 5', applied: 2 });
+});
+
+test('fixes inline blocks in place and diffs the fixed file', async () => {
+    const html = '<style>\nmain { -webkit-transition: none; }\n</style>\n<script>\nconst { a: a } = window;\nalert(a);\n</script>\n';
+    const result = await validateSnippets(readSnippets({ files: [{ name: 'index.html', content: html }] }), getProfile());
+
+    const [page] = result.files;
+    assert.deepStrictEqual(result.fixable, { html: 0, css: 1, javascript: 1, accessibility: 0 });
+    assert.strictEqual(page.applied, 2);
+    assert.strictEqual(page.fixed, html.replace('-webkit-transition', 'transition').replace('{ a: a }', '{ a }'));
+    assert.ok(page.diff.includes('-main { -webkit-transition: none; }\n+main { transition: none; }'));
+});
+
+test('parses TypeScript and TSX whatever directory the server runs from', async () => {
+    const cwd = process.cwd();
+    process.chdir(require('os').tmpdir());
+    try {
+        const result = await validateSnippets(readSnippets({
+            files: [
+                { name: 'util.ts', content: 'export const double = (value: number): number => value * 2;\nconst unused: string = "x";\n' },
+                { name: 'App.tsx', content: 'type Props = { name: string };\nexport const App = ({ name }: Props) => <h1>{name}</h1>;\n' }
+            ]
+        }), getProfile());
+
+        const [util, app] = result.files;
+        assert.ok(!result.files.some(file => file.diagnostics.some(diagnostic => diagnostic.rule === 'parse-error')));
+        assert.ok(util.diagnostics.some(diagnostic => diagnostic.linterRule === '@typescript-eslint/no-unused-vars'));
+        assert.strictEqual(app.errors, 0);
+    } finally {
+        process.chdir(cwd);
+    }
+});
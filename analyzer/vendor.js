@@ -0,0 +1,144 @@
+// Third-party library detection, so applicants aren't scored on code they didn't write.
+//
+// An asset counts as vendor code when it is served from a known CDN, carries a
+// known library banner or file name, or is minified and served from a library
+// directory (vendor/, lib/...). Minification alone isn't enough: applicants
+// minify their own bundles too, and those are still scored. Per-submission
+// overrides win over every heuristic.
+
+const CDN_HOSTS = [
+    'cdn.jsdelivr.net',
+    'cdnjs.cloudflare.com',
+    'unpkg.com',
+    'code.jquery.com',
+    'ajax.googleapis.com',
+    'ajax.aspnetcdn.com',
+    'stackpath.bootstrapcdn.com',
+    'maxcdn.bootstrapcdn.com',
+    'netdna.bootstrapcdn.com',
+    'fonts.googleapis.com',
+    'use.fontawesome.com',
+    'kit.fontawesome.com',
+    'cdn.tailwindcss.com',
+    'cdn.skypack.dev',
+    'esm.sh',
+    'www.googletagmanager.com',
+    'www.google-analytics.com',
+    'cdn.datatables.net',
+    'code.ionicframework.com'
+];
+
+// [library, pattern tested against the first couple of KB of the file]
+const SIGNATURES = [
+    ['jQuery', /jQuery (JavaScript Library )?v\d|jquery\.org\/license/i],
+    ['Bootstrap', /Bootstrap v\d|getbootstrap\.com/i],
+    ['Font Awesome', /Font Awesome/i],
+    ['normalize.css', /normalize\.css v\d/i],
+    ['Tailwind CSS', /tailwindcss v\d|tailwindcss\.com/i],
+    ['animate.css', /animate\.css/i],
+    ['React', /React v\d|@license React/i],
+    ['Vue', /Vue\.js v\d/i],
+    ['lodash', /lodash\.com|Lodash <https/i],
+    ['Swiper', /Swiper \d/i],
+    ['AOS', /Animate On Scroll/i],
+    ['GSAP', /GSAP \d|greensock\.com/i],
+    ['Popper', /@popperjs|Popper\.js/i]
+];
+
+// [library, pattern tested against the file name]
+const FILE_NAMES = [
+    ['jQuery', /^jquery([.-][\w.]+)?\.js$/i],
+    ['Bootstrap', /^bootstrap(\.bundle)?(\.min)?\.(js|css)$/i],
+    ['Font Awesome', /^(font-awesome|fontawesome)(\.min)?\.css$/i],
+    ['normalize.css', /^normalize(\.min)?\.css$/i],
+    ['animate.css', /^animate(\.min)?\.css$/i],
+    ['Popper', /^popper(\.min)?\.js$/i]
+];
+
+// Directories libraries are usually copied into, tested against the URL path
+const VENDOR_PATH = /\/(vendors?|libs?|third[-_]?party|external|node_modules|bower_components)\//i;
+
+const hostOf = (assetUrl) => {
+    try {
+        return new URL(assetUrl).hostname.toLowerCase();
+    } catch (e) {
+        return '';
+    }
+};
+
+const pathOf = (assetUrl) => {
+    try {
+        return decodeURIComponent(new URL(assetUrl).pathname);
+    } catch (e) {
+        return '';
+    }
+};
+
+const fileNameOf = (assetUrl) => pathOf(assetUrl).split('/').pop() || '';
+
+// Long average line length with very few lines is the tell-tale of minified output
+const looksMinified = (content) => {
+    const lines = content.split('\n');
+    return content.length > 2000 && content.length / lines.length > 300;
+};
+
+const matchesOverride = (assetUrl, patterns = []) => patterns.some(pattern => pattern && assetUrl.includes(pattern));
+
+// Returns { vendor, reason, library } for one fetched asset
+const classifyAsset = ({ url: assetUrl, content }, overrides = {}) => {
+    if (matchesOverride(assetUrl, overrides.firstParty)) {
+        return { vendor: false, reason: 'override', library: null };
+    }
+    if (matchesOverride(assetUrl, overrides.vendor)) {
+        return { vendor: true, reason: 'override', library: null };
+    }
+
+    const host = hostOf(assetUrl);
+    const fileName = fileNameOf(assetUrl);
+    const banner = (content || '').substring(0, 2048);
+
+    const signature = SIGNATURES.find(([, pattern]) => pattern.test(banner))
+        || FILE_NAMES.find(([, pattern]) => pattern.test(fileName));
+    const library = signature ? signature[0] : null;
+
+    if (CDN_HOSTS.includes(host)) return { vendor: true, reason: 'cdn', library };
+    if (library) return { vendor: true, reason: 'signature', library };
+    const minified = /\.min\.(js|css)$/i.test(fileName) || looksMinified(content || '');
+    if (minified && VENDOR_PATH.test(pathOf(assetUrl))) {
+        return { vendor: true, reason: 'minified', library: null };
+    }
+    return { vendor: false, reason: null, library: null };
+};
+
+// Split fetched files into those we score and those we list but ignore
+const partitionVendorFiles = (files, overrides) => {
+    const firstParty = [];
+    const vendor = [];
+    files.forEach(file => {
+        const classification = classifyAsset(file, overrides);
+        if (classification.vendor) {
+            vendor.push({ ...file, ...classification });
+        } else {
+            firstParty.push(file);
+        }
+    });
+    return { firstParty, vendor };
+};
+
+// Validate the optional { firstParty: [...], vendor: [...] } override list from a request
+const readVendorOverrides = (value) => {
+    if (value === undefined || value === null) return {};
+    const isList = list => list === undefined || (Array.isArray(list) && list.every(item => typeof item === 'string'));
+    if (typeof value !== 'object' || !isList(value.firstParty) || !isList(value.vendor)) {
+        return null;
+    }
+    return { firstParty: value.firstParty || [], vendor: value.vendor || [] };
+};
+
+module.exports = {
+    CDN_HOSTS,
+    looksMinified,
+    classifyAsset,
+    partitionVendorFiles,
+    readVendorOverrides
+};
@@ -0,0 +1,26 @@
+// Run with `npm run test:server`
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { classifyAsset } = require('./vendor');
+
+// One long line, the way bundlers emit it
+const minified = `!function(){${'var a=document.querySelector(".card");a&&a.classList.add("ready");'.repeat(60)}}();`;
+
+test('scores minified first-party bundles', () => {
+    assert.deepStrictEqual(classifyAsset({ url: 'https://demo.dev/js/app.min.js', content: minified }), { vendor: false, reason: null, library: null });
+    assert.deepStrictEqual(classifyAsset({ url: 'https://demo.dev/static/js/main.3f2a.js', content: minified }), { vendor: false, reason: null, library: null });
+});
+
+test('treats minified files in library directories as vendor code', () => {
+    ['https://demo.dev/vendor/slider.min.js', 'https://demo.dev/assets/libs/chart.js', 'https://demo.dev/third-party/map.js'].forEach(url => {
+        assert.deepStrictEqual(classifyAsset({ url, content: minified }), { vendor: true, reason: 'minified', library: null }, url);
+    });
+    // Readable code in vendor/ is still the applicant's to answer for
+    assert.strictEqual(classifyAsset({ url: 'https://demo.dev/vendor/helpers.js', content: 'const add = (a, b) => a + b;\n' }).vendor, false);
+});
+
+test('recognises libraries by CDN and banner wherever they are served from', () => {
+    assert.strictEqual(classifyAsset({ url: 'https://cdn.jsdelivr.net/npm/lib/app.js', content: minified }).reason, 'cdn');
+    assert.deepStrictEqual(classifyAsset({ url: 'https://demo.dev/js/app.min.js', content: `/*! jQuery v3.7.1 | (c) OpenJS Foundation */${minified}` }),
+        { vendor: true, reason: 'signature', library: 'jQuery' });
+});
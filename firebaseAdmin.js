@@ -0,0 +1,35 @@
+// Firebase Admin SDK for the server (the browser app uses src/firebase.js).
+//
+// Credentials come from FIREBASE_SERVICE_ACCOUNT (the service account JSON as a
+// string) or, failing that, Google application default credentials.
+const admin = require('firebase-admin');
+
+const PROJECT_ID = process.env.FIREBASE_PROJECT_ID || 'practiceapp-13602';
+
+let app;
+
+const getApp = () => {
+    if (app) return app;
+
+    const serviceAccount = process.env.FIREBASE_SERVICE_ACCOUNT;
+    app = admin.initializeApp({
+        credential: serviceAccount
+            ? admin.credential.cert(JSON.parse(serviceAccount))
+            : admin.credential.applicationDefault(),
+        projectId: PROJECT_ID,
+        storageBucket: process.env.FIREBASE_STORAGE_BUCKET || `${PROJECT_ID}.appspot.com`
+    });
+    return app;
+};
+
+const getAuth = () => admin.auth(getApp());
+const getFirestore = () => admin.firestore(getApp());
+const getStorage = () => admin.storage(getApp());
+
+module.exports = {
+    admin,
+    getApp,
+    getAuth,
+    getFirestore,
+    getStorage
+};
@@ -0,0 +1,75 @@
+// Firebase ID token verification for API routes.
+//
+// Clients send `Authorization: Bearer <idToken>` (from `auth.currentUser.getIdToken()`).
+// On success `req.user` is { uid, email, accountType }, where accountType is
+// 'applicant' or 'employer' depending on which collection holds the user's
+// profile, or 'unverified' when neither does yet.
+const { getAuth, getFirestore } = require('../firebaseAdmin');
+const { createLruCache } = require('../analyzer/cache');
+
+const ACCOUNT_TYPE_TTL_MS = 10 * 60 * 1000;
+
+const lookupAccountType = async (uid) => {
+    const db = getFirestore();
+    const [applicant, employer] = await Promise.all([
+        db.collection('applicants').doc(uid).get(),
+        db.collection('employers').doc(uid).get()
+    ]);
+    if (applicant.exists) return 'applicant';
+    if (employer.exists) return 'employer';
+    return 'unverified';
+};
+
+const readBearerToken = (req) => {
+    const header = req.get('Authorization') || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : null;
+};
+
+const createAuthMiddleware = ({
+    verifyIdToken = (token) => getAuth().verifyIdToken(token),
+    resolveAccountType = lookupAccountType
+} = {}) => {
+    // Account types rarely change; don't hit Firestore on every request
+    const accountTypes = createLruCache(5000);
+
+    const accountTypeFor = async (uid) => {
+        const cached = accountTypes.get(uid);
+        if (cached && cached.expires > Date.now()) return cached.value;
+        const value = await resolveAccountType(uid);
+        accountTypes.set(uid, { value, expires: Date.now() + ACCOUNT_TYPE_TTL_MS });
+        return value;
+    };
+
+    return async (req, res, next) => {
+        const token = readBearerToken(req);
+        if (!token) {
+            return res.status(401).json({ error: "Sign in to use the analyzer.", code: 'AUTH_REQUIRED' });
+        }
+
+        let decoded;
+        try {
+            decoded = await verifyIdToken(token);
+        } catch (error) {
+            console.warn(`Rejected ID token: ${error.code || error.message}`);
+            return res.status(401).json({ error: "Your session has expired. Please sign in again.", code: 'AUTH_INVALID' });
+        }
+
+        try {
+            req.user = {
+                uid: decoded.uid,
+                email: decoded.email || null,
+                accountType: await accountTypeFor(decoded.uid)
+            };
+        } catch (error) {
+            console.error("Failed to resolve account type:", error.message);
+            return res.status(503).json({ error: "Could not verify your account. Please try again." });
+        }
+        next();
+    };
+};
+
+module.exports = {
+    readBearerToken,
+    createAuthMiddleware
+};
@@ -0,0 +1,77 @@
+// Run with `npm run test:server`
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { readBearerToken, createAuthMiddleware } = require('./auth');
+
+const accountLookups = [];
+let server;
+let base;
+
+before(async () => {
+    const app = express();
+    app.get('/me', createAuthMiddleware({
+        verifyIdToken: async (token) => {
+            if (token !== 'valid-token') throw Object.assign(new Error('invalid'), { code: 'auth/argument-error' });
+            return { uid: 'user-1', email: 'dev@example.com' };
+        },
+        resolveAccountType: async (uid) => {
+            accountLookups.push(uid);
+            return 'applicant';
+        }
+    }), (req, res) => res.json(req.user));
+    server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    base = `http://127.0.0.1:${server.address().port}/me`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+const get = (authorization) => fetch(base, { headers: authorization ? { Authorization: authorization } : {} });
+
+test('reads the token from a Bearer Authorization header', () => {
+    const request = (value) => ({ get: () => value });
+    assert.strictEqual(readBearerToken(request('Bearer abc.def ')), 'abc.def');
+    assert.strictEqual(readBearerToken(request('bearer abc')), 'abc');
+    assert.strictEqual(readBearerToken(request('Basic abc')), null);
+    assert.strictEqual(readBearerToken(request(undefined)), null);
+});
+
+test('rejects requests without a Bearer token', async () => {
+    for (const authorization of [null, 'Basic dXNlcjpwYXNz', 'Bearer ']) {
+        const response = await get(authorization);
+        assert.strictEqual(response.status, 401, String(authorization));
+        assert.strictEqual((await response.json()).code, 'AUTH_REQUIRED');
+    }
+});
+
+test('rejects tokens Firebase does not accept', async () => {
+    const response = await get('Bearer expired-token');
+    assert.strictEqual(response.status, 401);
+    assert.strictEqual((await response.json()).code, 'AUTH_INVALID');
+});
+
+test('sets req.user and caches the account type', async () => {
+    const first = await get('Bearer valid-token');
+    assert.deepStrictEqual(await first.json(), { uid: 'user-1', email: 'dev@example.com', accountType: 'applicant' });
+    await get('Bearer valid-token');
+    assert.deepStrictEqual(accountLookups, ['user-1']);
+});
+
+test('answers 503 when the account type cannot be looked up', async () => {
+    const app = express();
+    app.get('/me', createAuthMiddleware({
+        verifyIdToken: async () => ({ uid: 'user-2' }),
+        resolveAccountType: async () => { throw new Error('Firestore unavailable'); }
+    }), (req, res) => res.json(req.user));
+    const other = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    try {
+        const response = await fetch(`http://127.0.0.1:${other.address().port}/me`, { headers: { Authorization: 'Bearer any' } });
+        assert.strictEqual(response.status, 503);
+    } finally {
+        await new Promise(resolve => other.close(resolve));
+    }
+});
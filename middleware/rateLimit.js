@@ -0,0 +1,194 @@
+// Rate limiting and daily quotas for the analyzer.
+//
+// Two sliding windows (per user and per client IP) smooth out bursts, and a
+// per-account daily quota caps how many sites one account can make us crawl.
+// Requests rejected as malformed (400) or that we couldn't serve (503: a full
+// queue, rendering or GitHub unavailable) give the user's window slot and quota
+// unit back; the per-IP window still counts them. Failures caused by the target
+// (unreachable, blocked, not found) cost as much as an analysis, so asking
+// again and again about a dead site is still throttled.
+// State is in memory, which is enough for the single server instance we run.
+
+const DEFAULT_LIMITS = {
+    perUser: { windowMs: 60 * 1000, max: 5 },
+    perIp: { windowMs: 60 * 1000, max: 20 },
+    // Analyses per UTC day, by req.user.accountType
+    dailyQuota: {
+        applicant: 20,
+        employer: 50,
+        unverified: 3
+    }
+};
+
+// Sliding-window log: remembers the timestamps of recent hits per key
+const createSlidingWindow = ({ windowMs, max }) => {
+    const hits = new Map();
+
+    const recent = (key, now) => {
+        const timestamps = (hits.get(key) || []).filter(time => time > now - windowMs);
+        if (timestamps.length) hits.set(key, timestamps);
+        else hits.delete(key);
+        return timestamps;
+    };
+
+    const consume = (key, now = Date.now()) => {
+        const timestamps = recent(key, now);
+        if (timestamps.length >= max) {
+            return { allowed: false, limit: max, remaining: 0, retryAfterMs: timestamps[0] + windowMs - now };
+        }
+        timestamps.push(now);
+        hits.set(key, timestamps);
+        return { allowed: true, limit: max, remaining: max - timestamps.length, retryAfterMs: 0, at: now };
+    };
+
+    // Forgets one hit recorded at `at` by consume()
+    const release = (key, at) => {
+        const timestamps = hits.get(key) || [];
+        const index = timestamps.indexOf(at);
+        if (index !== -1) timestamps.splice(index, 1);
+    };
+
+    // Drop keys whose window has fully elapsed
+    const prune = (now = Date.now()) => {
+        [...hits.keys()].forEach(key => recent(key, now));
+    };
+
+    return { consume, release, prune };
+};
+
+const startOfNextUtcDay = (now) => {
+    const date = new Date(now);
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+};
+
+// Per-account counters that reset at midnight UTC
+const createDailyQuota = (quotas) => {
+    const usage = new Map();
+
+    const limitFor = (accountType) => (quotas[accountType] !== undefined ? quotas[accountType] : quotas.unverified || 0);
+
+    const current = (uid, now) => {
+        const entry = usage.get(uid);
+        if (!entry || entry.resetAt <= now) return { used: 0, resetAt: startOfNextUtcDay(now) };
+        return entry;
+    };
+
+    const status = (uid, accountType, now = Date.now()) => {
+        const { used, resetAt } = current(uid, now);
+        const limit = limitFor(accountType);
+        return { limit, used, remaining: Math.max(limit - used, 0), resetAt: new Date(resetAt).toISOString() };
+    };
+
+    const consume = (uid, accountType, now = Date.now()) => {
+        const entry = current(uid, now);
+        const limit = limitFor(accountType);
+        if (entry.used >= limit) {
+            return { allowed: false, ...status(uid, accountType, now), retryAfterMs: entry.resetAt - now };
+        }
+        usage.set(uid, { used: entry.used + 1, resetAt: entry.resetAt });
+        return { allowed: true, ...status(uid, accountType, now), retryAfterMs: 0, at: now };
+    };
+
+    // Gives back a unit consumed at `at`, unless its day is already over
+    const refund = (uid, at) => {
+        const entry = usage.get(uid);
+        if (entry && entry.used > 0 && entry.resetAt === startOfNextUtcDay(at)) {
+            usage.set(uid, { used: entry.used - 1, resetAt: entry.resetAt });
+        }
+    };
+
+    const prune = (now = Date.now()) => {
+        usage.forEach((entry, uid) => {
+            if (entry.resetAt <= now) usage.delete(uid);
+        });
+    };
+
+    return { status, consume, refund, prune };
+};
+
+const REFUNDED_STATUSES = new Set([400, 503]);
+
+const setQuotaHeaders = (res, quota) => {
+    res.set('X-Quota-Limit', String(quota.limit));
+    res.set('X-Quota-Remaining', String(quota.remaining));
+    res.set('X-Quota-Reset', quota.resetAt);
+};
+
+const tooManyRequests = (res, retryAfterMs, message, code) => {
+    res.set('Retry-After', String(Math.max(Math.ceil(retryAfterMs / 1000), 1)));
+    return res.status(429).json({ error: message, code, retryAfterSeconds: Math.max(Math.ceil(retryAfterMs / 1000), 1) });
+};
+
+// Must run after the auth middleware (needs req.user)
+const createRateLimit = (overrides = {}) => {
+    const limits = {
+        ...DEFAULT_LIMITS,
+        ...overrides,
+        dailyQuota: { ...DEFAULT_LIMITS.dailyQuota, ...(overrides.dailyQuota || {}) }
+    };
+    const byIp = createSlidingWindow(limits.perIp);
+    const byUser = createSlidingWindow(limits.perUser);
+    const daily = createDailyQuota(limits.dailyQuota);
+
+    setInterval(() => {
+        byIp.prune();
+        byUser.prune();
+        daily.prune();
+    }, 60 * 1000).unref();
+
+    const middleware = (req, res, next) => {
+        const ipHit = byIp.consume(req.ip);
+        if (!ipHit.allowed) {
+            return tooManyRequests(res, ipHit.retryAfterMs, "Too many analysis requests from this network. Please slow down.", 'RATE_LIMITED_IP');
+        }
+
+        const userHit = byUser.consume(req.user.uid);
+        res.set('X-RateLimit-Limit', String(userHit.limit));
+        res.set('X-RateLimit-Remaining', String(userHit.remaining));
+        if (!userHit.allowed) {
+            return tooManyRequests(res, userHit.retryAfterMs, "You're submitting too quickly. Please wait a moment.", 'RATE_LIMITED_USER');
+        }
+
+        const quota = daily.consume(req.user.uid, req.user.accountType);
+        setQuotaHeaders(res, quota);
+        if (!quota.allowed) {
+            return tooManyRequests(res, quota.retryAfterMs, `You've used all ${quota.limit} analyses for today.`, 'DAILY_QUOTA_EXCEEDED');
+        }
+
+        res.on('finish', () => {
+            if (!REFUNDED_STATUSES.has(res.statusCode)) return;
+            byUser.release(req.user.uid, userHit.at);
+            daily.refund(req.user.uid, quota.at);
+        });
+
+        req.quota = quota;
+        next();
+    };
+
+    // Read-only view for GET /analyze/quota
+    middleware.quotaFor = (user) => daily.status(user.uid, user.accountType);
+
+    return middleware;
+};
+
+// Per-IP window alone, for public routes where there is no user to count
+const createIpRateLimit = ({ windowMs, max }, message = "Too many requests from this network. Please slow down.") => {
+    const byIp = createSlidingWindow({ windowMs, max });
+    setInterval(() => byIp.prune(), 60 * 1000).unref();
+
+    return (req, res, next) => {
+        const hit = byIp.consume(req.ip);
+        if (!hit.allowed) {
+            return tooManyRequests(res, hit.retryAfterMs, message, 'RATE_LIMITED_IP');
+        }
+        next();
+    };
+};
+
+module.exports = {
+    DEFAULT_LIMITS,
+    createSlidingWindow,
+    createDailyQuota,
+    createRateLimit,
+    createIpRateLimit
+};
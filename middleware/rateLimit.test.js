@@ -0,0 +1,111 @@
+// Run with `npm run test:server`
+const { test } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { createSlidingWindow, createDailyQuota, createRateLimit } = require('./rateLimit');
+
+// Serves `middleware` on 127.0.0.1; the route answers with ?status=
+const serve = async (middleware) => {
+    const app = express();
+    app.use((req, res, next) => {
+        req.user = { uid: req.get('X-Test-User') || 'user-1', accountType: req.get('X-Test-Account') || 'applicant' };
+        next();
+    });
+    app.get('/analyze', middleware, (req, res) => res.status(Number(req.query.status) || 200).json({}));
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const base = `http://127.0.0.1:${server.address().port}/analyze`;
+    return {
+        get: (query = '', headers = {}) => fetch(`${base}${query}`, { headers }),
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+};
+
+test('sliding window refuses hits over the limit until the oldest expires', () => {
+    const window = createSlidingWindow({ windowMs: 1000, max: 2 });
+    assert.strictEqual(window.consume('a', 0).allowed, true);
+    assert.strictEqual(window.consume('a', 400).remaining, 0);
+
+    const refused = window.consume('a', 500);
+    assert.deepStrictEqual([refused.allowed, refused.retryAfterMs], [false, 500]);
+    assert.strictEqual(window.consume('b', 500).allowed, true);
+    assert.strictEqual(window.consume('a', 1001).allowed, true);
+});
+
+test('daily quota depends on the account type and resets at midnight UTC', () => {
+    const quota = createDailyQuota({ applicant: 2, unverified: 1 });
+    const morning = Date.UTC(2026, 0, 1, 9);
+    assert.strictEqual(quota.consume('u', 'unverified', morning).allowed, true);
+
+    const refused = quota.consume('u', 'unverified', morning);
+    assert.strictEqual(refused.allowed, false);
+    assert.strictEqual(refused.retryAfterMs, 15 * 60 * 60 * 1000);
+    // Unknown account types get the unverified quota
+    assert.strictEqual(quota.status('v', 'admin', morning).limit, 1);
+    assert.strictEqual(quota.consume('u', 'unverified', Date.UTC(2026, 0, 2)).allowed, true);
+});
+
+test('answers 429 with Retry-After once the user window is used up', async () => {
+    const api = await serve(createRateLimit({ perUser: { windowMs: 60 * 1000, max: 2 } }));
+    try {
+        await api.get();
+        const second = await api.get();
+        assert.strictEqual(second.headers.get('X-RateLimit-Remaining'), '0');
+
+        const refused = await api.get();
+        assert.strictEqual(refused.status, 429);
+        assert.strictEqual((await refused.json()).code, 'RATE_LIMITED_USER');
+        assert.ok(Number(refused.headers.get('Retry-After')) > 0);
+        // Another user is not affected
+        assert.strictEqual((await api.get('', { 'X-Test-User': 'user-2' })).status, 200);
+    } finally {
+        await api.close();
+    }
+});
+
+test('counts every request against the client IP', async () => {
+    const api = await serve(createRateLimit({ perIp: { windowMs: 60 * 1000, max: 1 } }));
+    try {
+        await api.get();
+        const refused = await api.get('', { 'X-Test-User': 'user-2' });
+        assert.strictEqual(refused.status, 429);
+        assert.strictEqual((await refused.json()).code, 'RATE_LIMITED_IP');
+    } finally {
+        await api.close();
+    }
+});
+
+test('gives the quota back for malformed requests and when we are unavailable', async () => {
+    const api = await serve(createRateLimit({ dailyQuota: { unverified: 1 } }));
+    const unverified = { 'X-Test-Account': 'unverified' };
+    try {
+        assert.strictEqual((await api.get('?status=400', unverified)).status, 400);
+        assert.strictEqual((await api.get('?status=503', unverified)).status, 503);
+
+        const analysed = await api.get('', unverified);
+        assert.strictEqual(analysed.status, 200);
+        assert.strictEqual(analysed.headers.get('X-Quota-Remaining'), '0');
+
+        const refused = await api.get('', unverified);
+        assert.strictEqual(refused.status, 429);
+        assert.strictEqual((await refused.json()).code, 'DAILY_QUOTA_EXCEEDED');
+        assert.ok(Number(refused.headers.get('Retry-After')) > 0);
+    } finally {
+        await api.close();
+    }
+});
+
+test('charges for failures caused by the target site', async () => {
+    const api = await serve(createRateLimit({ dailyQuota: { unverified: 3 } }));
+    const unverified = { 'X-Test-Account': 'unverified' };
+    try {
+        // Blocked host, unreachable site, missing repository
+        for (const status of [403, 502, 404]) {
+            assert.strictEqual((await api.get(`?status=${status}`, unverified)).status, status);
+        }
+        assert.strictEqual((await api.get('', unverified)).status, 429);
+    } finally {
+        await api.close();
+    }
+});
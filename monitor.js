@@ -0,0 +1,25 @@
+// Uptime worker for submitted live demos (see uptime.js).
+//
+//   npm run monitor            check every UPTIME_INTERVAL_MINUTES (default 30)
+//   npm run monitor -- --once  one pass, then exit (for cron)
+//
+// Needs the same Firebase credentials as the server (FIREBASE_SERVICE_ACCOUNT).
+const { UPTIME_LIMITS, createUptimeMonitor } = require('./uptime');
+
+const monitor = createUptimeMonitor();
+
+if (process.argv.includes('--once')) {
+    monitor.checkAll()
+        .then(() => process.exit(0))
+        .catch(error => {
+            console.error("Uptime pass failed:", error.message);
+            process.exit(1);
+        });
+} else {
+    console.log(`Uptime monitor checking every ${UPTIME_LIMITS.intervalMs / 60000} minutes`);
+    monitor.start();
+
+    const shutdown = () => monitor.stop().then(() => process.exit(0));
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
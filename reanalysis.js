@@ -0,0 +1,111 @@
+// Background re-analysis of submitted demos that have changed since they
+// were scored, so each submission's score history follows the live site.
+//
+// A submission is due when the uptime monitor (uptime.js) has seen its page
+// change since the last analysis, or when that analysis is older than
+// `maxAgeMs` (deploys that only touch CSS or JS leave the page as it was).
+// The analysis itself decides whether anything changed: see
+// recordReanalysis in submissions.js.
+const { storedRequest, toIsoString, inputsChanged } = require('./submissions');
+
+const intervalMinutes = parseInt(process.env.REANALYSIS_INTERVAL_MINUTES, 10);
+
+const REANALYSIS_LIMITS = {
+    // REANALYSIS_INTERVAL_MINUTES=0 turns background re-analysis off
+    intervalMs: (Number.isNaN(intervalMinutes) ? 60 : intervalMinutes) * 60 * 1000,
+    maxAgeMs: (parseInt(process.env.REANALYSIS_MAX_AGE_DAYS, 10) || 7) * 24 * 60 * 60 * 1000,
+    // Analyses per pass, run one at a time next to the users' own
+    perPass: parseInt(process.env.REANALYSIS_PER_PASS, 10) || 5
+};
+
+const lastAnalyzedAt = (submission) => toIsoString(submission.lastAnalyzedAt || submission.timestamp);
+
+// Offline demos wait for the monitor to see them back up
+const isDue = (submission, limits = REANALYSIS_LIMITS, now = new Date()) => {
+    if (submission.offline) return false;
+    const analyzedAt = lastAnalyzedAt(submission);
+    if (!analyzedAt) return true;
+    const pageChanged = submission.uptime && submission.uptime.lastChangedAt && submission.uptime.lastChangedAt > analyzedAt;
+    return Boolean(pageChanged) || now.getTime() - new Date(analyzedAt).getTime() > limits.maxAgeMs;
+};
+
+// `parseRequest` validates a stored request like POST /analyze does;
+// `analyze(request)` runs the analysis and `store(report, owner)` keeps it
+// for export, which only happens when the site changed (an unchanged site
+// keeps pointing at its existing report). The optional
+// `capture(owner, submission)` retakes the thumbnails of a changed site.
+const createReanalysisScheduler = ({ submissions, parseRequest, analyze, store, capture = null, limits = REANALYSIS_LIMITS }) => {
+    const reanalyze = async ({ uid, submission }) => {
+        const { request, error } = parseRequest({
+            ...storedRequest(submission),
+            profile: submission.profile ? submission.profile.id : undefined
+        });
+        if (error) {
+            console.warn(`Cannot re-analyze submission ${submission.id}: ${error.body.error}`);
+            return submissions.recordReanalysis(uid, submission, null);
+        }
+
+        let report;
+        try {
+            report = await analyze(request);
+        } catch (analysisError) {
+            // Recorded as looked at, so a broken site waits for maxAgeMs
+            // instead of taking a slot in every pass
+            console.warn(`Re-analysis of submission ${submission.id} failed: ${analysisError.code || analysisError.message}`);
+            return submissions.recordReanalysis(uid, submission, null);
+        }
+        if (inputsChanged(submission, report)) report = await store(report, uid);
+        const result = await submissions.recordReanalysis(uid, submission, report);
+        if (result.changed && capture) {
+            // Thumbnails are a nice-to-have; the new scores are already stored
+            await capture(uid, submission).catch(error => {
+                console.warn(`Could not retake screenshots of submission ${submission.id}: ${error.code || error.message}`);
+            });
+        }
+        return result;
+    };
+
+    // Oldest analyses first, at most `perPass` of them
+    const runPass = async () => {
+        const due = (await submissions.listAll())
+            .filter(({ submission }) => isDue(submission, limits))
+            .sort((a, b) => (lastAnalyzedAt(a.submission) || '').localeCompare(lastAnalyzedAt(b.submission) || ''))
+            .slice(0, limits.perPass);
+
+        let changed = 0;
+        for (const entry of due) {
+            try {
+                const result = await reanalyze(entry);
+                if (result && result.changed) changed += 1;
+            } catch (error) {
+                console.error(`Failed to record re-analysis of ${entry.submission.id}:`, error.message);
+            }
+        }
+        if (due.length) console.log(`Re-analysis pass: ${due.length} due, ${changed} changed`);
+        return { due: due.length, changed };
+    };
+
+    let timer = null;
+    let running = null;
+
+    const start = () => {
+        if (!limits.intervalMs) return;
+        timer = setInterval(() => {
+            if (running) return;
+            running = runPass()
+                .catch(error => console.error("Re-analysis pass failed:", error.message))
+                .finally(() => { running = null; });
+        }, limits.intervalMs);
+        timer.unref();
+    };
+
+    const stop = () => clearInterval(timer);
+
+    return { runPass, start, stop };
+};
+
+module.exports = {
+    REANALYSIS_LIMITS,
+    isDue,
+    createReanalysisScheduler
+};
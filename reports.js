@@ -0,0 +1,109 @@
+// Full analysis reports, kept in Firebase Storage (reports/{id}.json.gz) so
+// they can be exported later through GET /reports/:id.(html|pdf). The PDF is
+// printed once and kept next to the JSON (reports/{id}.pdf).
+//
+// Firestore submissions only hold a summary; the report itself can run to
+// megabytes for a crawled site. Ids are random and unguessable: a report link
+// is meant to be shared with employers, so knowing the id is the permission.
+//
+// Retention: reports a stored submission points at (`reportId`) are kept for
+// as long as it does; every other report (one-off analyses, re-scores,
+// reports a newer analysis replaced) is deleted after REPORT_RETENTION_DAYS.
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { getStorage } = require('./firebaseAdmin');
+const { createLruCache } = require('./analyzer/cache');
+const { mapWithConcurrency } = require('./analyzer/fetch');
+
+const REPORT_ID_PATTERN = /^[0-9a-f]{32}$/;
+
+const REPORT_RETENTION_DAYS = parseInt(process.env.REPORT_RETENTION_DAYS, 10) || 90;
+
+// reports/{id}.json.gz (and anything else stored for the same id) -> id
+const reportIdOf = (name) => name.substring('reports/'.length).split('.')[0];
+
+const createReportStore = ({ bucket = null, cacheSize = 50 } = {}) => {
+    const storageBucket = () => bucket || getStorage().bucket();
+    const fileFor = (id) => storageBucket().file(`reports/${id}.json.gz`);
+    const pdfFileFor = (id) => storageBucket().file(`reports/${id}.pdf`);
+    // Exports tend to come in pairs (HTML then PDF) shortly after analysis
+    const recent = createLruCache(cacheSize);
+
+    // Returns the new report's id
+    const save = async (report, owner = null) => {
+        const id = crypto.randomBytes(16).toString('hex');
+        const createdAt = new Date().toISOString();
+        await fileFor(id).save(zlib.gzipSync(JSON.stringify(report)), {
+            resumable: false,
+            contentType: 'application/gzip',
+            metadata: { metadata: { owner: owner || '', createdAt } }
+        });
+        recent.set(id, { id, report, owner, createdAt });
+        return id;
+    };
+
+    // { id, report, owner, createdAt }, or null for unknown ids
+    const get = async (id) => {
+        if (!REPORT_ID_PATTERN.test(id)) return null;
+        const cached = recent.get(id);
+        if (cached) return cached;
+
+        const file = fileFor(id);
+        let buffer;
+        let metadata;
+        try {
+            [buffer] = await file.download();
+            [metadata] = await file.getMetadata();
+        } catch (error) {
+            if (error.code === 404) return null;
+            throw error;
+        }
+        const custom = metadata.metadata || {};
+        const stored = {
+            id,
+            report: JSON.parse(zlib.gunzipSync(buffer).toString('utf8')),
+            owner: custom.owner || null,
+            createdAt: custom.createdAt || metadata.timeCreated || null
+        };
+        recent.set(id, stored);
+        return stored;
+    };
+
+    // The stored PDF export, or null when it hasn't been printed yet
+    const getPdf = async (id) => {
+        if (!REPORT_ID_PATTERN.test(id)) return null;
+        try {
+            const [buffer] = await pdfFileFor(id).download();
+            return buffer;
+        } catch (error) {
+            if (error.code === 404) return null;
+            throw error;
+        }
+    };
+
+    const savePdf = async (id, pdf) => {
+        await pdfFileFor(id).save(pdf, { resumable: false, contentType: 'application/pdf' });
+    };
+
+    // Deletes the files of reports older than `retentionDays` whose id isn't
+    // in `keepIds`; returns how many files went
+    const prune = async (keepIds, { retentionDays = REPORT_RETENTION_DAYS, now = new Date() } = {}) => {
+        const cutoff = now.getTime() - retentionDays * 24 * 60 * 60 * 1000;
+        const [files] = await storageBucket().getFiles({ prefix: 'reports/' });
+        const expired = files.filter(file => !keepIds.has(reportIdOf(file.name))
+            && new Date(file.metadata.timeCreated).getTime() < cutoff);
+
+        await mapWithConcurrency(expired, 5, async file => {
+            recent.delete(reportIdOf(file.name));
+            await file.delete({ ignoreNotFound: true });
+        });
+        return expired.length;
+    };
+
+    return { save, get, getPdf, savePdf, prune };
+};
+
+module.exports = {
+    REPORT_RETENTION_DAYS,
+    createReportStore
+};
@@ -0,0 +1,44 @@
+// Submission thumbnails: desktop and mobile screenshots of a live demo, kept
+// in Firebase Storage next to the applicant's demo videos
+// (videos/{uid}/screenshots/{submissionId}-{viewport}.jpg).
+//
+// Files are written with the admin SDK, so each one gets a Firebase download
+// token here; the URL built from it is what the Portfolio page's own
+// getDownloadURL would return. A new capture overwrites the files and the
+// token, so cached thumbnails of the old page stop resolving.
+const crypto = require('crypto');
+const { getStorage } = require('./firebaseAdmin');
+
+const screenshotPath = (uid, submissionId, viewport) => `videos/${uid}/screenshots/${submissionId}-${viewport}.jpg`;
+
+const downloadUrl = (bucketName, path, token) => `https://firebasestorage.googleapis.com/v0/b/${bucketName}/o/${encodeURIComponent(path)}?alt=media&token=${token}`;
+
+const createScreenshotStore = ({ bucket = null } = {}) => {
+    const storageBucket = () => bucket || getStorage().bucket();
+
+    // `screenshots` as returned by captureScreenshots; returns
+    // { [viewport]: { url, path, width, height } }
+    const save = async (uid, submissionId, screenshots) => {
+        const target = storageBucket();
+        const saved = await Promise.all(screenshots.map(async ({ viewport, width, height, contentType, data }) => {
+            const path = screenshotPath(uid, submissionId, viewport);
+            const token = crypto.randomUUID();
+            await target.file(path).save(data, {
+                resumable: false,
+                contentType,
+                metadata: {
+                    cacheControl: 'public, max-age=3600',
+                    metadata: { firebaseStorageDownloadTokens: token, owner: uid, submissionId }
+                }
+            });
+            return [viewport, { url: downloadUrl(target.name, path, token), path, width, height }];
+        }));
+        return Object.fromEntries(saved);
+    };
+
+    return { save };
+};
+
+module.exports = {
+    createScreenshotStore
+};
@@ -1,354 +1,436 @@
 const express = require('express');
-const axios = require('axios');
-const { ESLint } = require('eslint');
-const csslint = require('csslint').CSSLint;
 const cors = require('cors');
-const cheerio = require('cheerio');
-const url = require('url');
+const { PHASES, ANALYSIS_MODES, analyzeUrl } = require('./analyzer/analyze');
+const { ProfileError, getProfile, listProfiles } = require('./analyzer/profiles');
+const { QueueFullError, createJobQueue } = require('./analyzer/jobs');
+const { readVendorOverrides } = require('./analyzer/vendor');
+const { UrlPolicyError, defaultUrlPolicy } = require('./analyzer/urlPolicy');
+const { RepositoryError, parseRepoReference } = require('./analyzer/github');
+const { readExcludePatterns, analyzeRepository } = require('./analyzer/repository');
+const { RenderError, renderPdf, captureScreenshots } = require('./analyzer/render');
+const { renderReportHtml } = require('./analyzer/exportReport');
+const { CRAWL_LIMITS, readCrawlOptions, analyzeSite } = require('./analyzer/crawl');
+const { VALIDATE_LIMITS, readSnippets, validateSnippets } = require('./analyzer/validate');
+const { createAuthMiddleware } = require('./middleware/auth');
+const { createRateLimit, createIpRateLimit } = require('./middleware/rateLimit');
+const { storedRequest, summarizeFiles, compareResults, createSubmissionStore } = require('./submissions');
+const { createReportStore } = require('./reports');
+const { createScreenshotStore } = require('./screenshots');
+const { createReanalysisScheduler } = require('./reanalysis');
 
 const app = express();
 const PORT = process.env.PORT || 4000;
 
+// Render puts one proxy in front of us; trust it so req.ip is the real client
+app.set('trust proxy', 1);
+
 app.use(cors({
     origin: ['https://skifolio.netlify.app', 'http://localhost:3000','https://ski-folio.netlify.app'], 
     methods: ['GET', 'POST'],
-    allowedHeaders: ['Content-Type'],
+    allowedHeaders: ['Content-Type', 'Authorization'],
+    exposedHeaders: ['Retry-After', 'X-Quota-Limit', 'X-Quota-Remaining', 'X-Quota-Reset', 'X-RateLimit-Limit', 'X-RateLimit-Remaining'],
 }));
 
+// Snippet payloads can be larger than the default 100kb body limit
+app.use('/validate', express.json({ limit: VALIDATE_LIMITS.maxTotalBytes * 2 }));
 app.use(express.json());
 
-// Improved function to fetch external files
-const fetchExternalFiles = async (links, baseURL) => {
-    const contents = [];
-    
-    for (const link of links) {
-        try {
-            // Handle both relative and absolute URLs
-            let fullUrl;
-            try {
-                fullUrl = new URL(link, baseURL).href;
-            } catch (e) {
-                // If URL parsing fails, try other approaches
-                if (link.startsWith('//')) {
-                    fullUrl = `https:${link}`;
-                } else if (link.startsWith('/')) {
-                    const parsedBase = new URL(baseURL);
-                    fullUrl = `${parsedBase.protocol}//${parsedBase.host}${link}`;
-                } else {
-                    fullUrl = link;
-                }
-            }
-            
-            // Handle GitHub specific URLs - convert to raw content if needed
-            if (fullUrl.includes('github.com') && !fullUrl.includes('raw.githubusercontent.com')) {
-                fullUrl = convertGithubToRawUrl(fullUrl);
-            }
-            
-            console.log(`Attempting to fetch: ${fullUrl}`);
-            
-            // Add appropriate headers for better compatibility
-            const response = await axios.get(fullUrl, {
-                timeout: 10000,
-                headers: {
-                    'Accept': 'text/css,application/javascript,text/html,*/*',
-                    'User-Agent': 'Mozilla/5.0 SkifolioAnalyzer'
-                },
-                validateStatus: status => status < 400 // Accept any success status
-            });
-            
-            // Check if content exists and is not empty
-            if (response.data && (typeof response.data === 'string' || response.data.length > 0)) {
-                contents.push(response.data);
-                console.log(`Fetched content from: ${fullUrl} (${response.data.length} bytes)`);
-            } else {
-                console.warn(`Empty content received from: ${fullUrl}`);
-            }
-        } catch (error) {
-            console.error(`Failed to fetch external file at ${link}:`, error.message);
-            // Additional error details for debugging
-            if (error.response) {
-                console.error(`Status: ${error.response.status}, Response: ${JSON.stringify(error.response.data).substring(0, 200)}`);
-            }
-        }
-    }
-    
-    return contents.join('\n'); // Join all fetched content
+// Analysis requests need a signed-in Firebase user and are rate limited
+// per user, per IP and by a daily quota for the account type
+const requireUser = createAuthMiddleware();
+const analyzeRateLimit = createRateLimit();
+// Validation is cheap next to an analysis (nothing is fetched), so it gets
+// its own, looser limits
+const validateRateLimit = createRateLimit({
+    perUser: { windowMs: 60 * 1000, max: 30 },
+    perIp: { windowMs: 60 * 1000, max: 60 },
+    dailyQuota: { applicant: 500, employer: 500, unverified: 30 }
+});
+// A capture loads the demo twice in Chrome: fewer of those than analyses
+const screenshotRateLimit = createRateLimit({
+    perUser: { windowMs: 60 * 1000, max: 3 },
+    perIp: { windowMs: 60 * 1000, max: 10 },
+    dailyQuota: { applicant: 30, employer: 0, unverified: 3 }
+});
+// Report exports are public (see GET /reports/:id), so only the client IP
+// can be counted; PDFs are printed once and then served from Storage
+const reportRateLimit = createIpRateLimit({ windowMs: 60 * 1000, max: 30 }, "Too many report downloads from this network. Please slow down.");
+const submissions = createSubmissionStore();
+const reports = createReportStore();
+const screenshots = createScreenshotStore();
+
+// A request names either a live demo `url` or a GitHub `repo` (owner/repo@ref);
+// a `url` can be crawled for linked pages
+const runAnalysis = ({ targetUrl, repo, exclude, mode, crawl, profile, vendorOverrides }, options = {}) => {
+    if (repo) return analyzeRepository(repo, profile, { ...options, vendorOverrides, exclude });
+    if (crawl) return analyzeSite(targetUrl, profile, { ...options, vendorOverrides, crawl });
+    return analyzeUrl(targetUrl, profile, { ...options, vendorOverrides, mode });
 };
 
-// Helper function to convert GitHub URLs to raw content URLs
-const convertGithubToRawUrl = (githubUrl) => {
-    // Check if already a raw URL
-    if (githubUrl.includes('raw.githubusercontent.com')) {
-        return githubUrl;
-    }
-    
-    // Convert normal GitHub URLs to raw content URLs
-    // Format: https://github.com/user/repo/blob/branch/path/to/file.css
-    // To: https://raw.githubusercontent.com/user/repo/branch/path/to/file.css
+// Keeps the full report for GET /reports/:id. A storage failure only costs
+// the export links, so the report is returned without an id.
+const storeReport = async (report, owner) => {
     try {
-        const parsedUrl = new URL(githubUrl);
-        const pathParts = parsedUrl.pathname.split('/');
-        
-        if (pathParts.length >= 5 && pathParts[3] === 'blob') {
-            const user = pathParts[1];
-            const repo = pathParts[2];
-            const branch = pathParts[4];
-            const filePath = pathParts.slice(5).join('/');
-            
-            return `https://raw.githubusercontent.com/${user}/${repo}/${branch}/${filePath}`;
-        }
-        
-        // Handle GitHub gist URLs
-        if (parsedUrl.hostname === 'gist.github.com') {
-            // We can't directly convert gist URLs, so we'll leave as-is for now
-            console.warn(`GitHub Gist URLs cannot be directly converted: ${githubUrl}`);
-        }
-    } catch (e) {
-        console.error(`Failed to convert GitHub URL ${githubUrl}:`, e.message);
+        return { ...report, reportId: await reports.save(report, owner) };
+    } catch (error) {
+        console.error("Failed to store report:", error.message);
+        return report;
     }
-    
-    return githubUrl;
 };
 
-// HTML evaluation with expanded checks
-const evaluateHTML = (htmlContent) => {
-    const feedback = [];
-    let score = 100;
-
-    // Semantic tags
-    const requiredTags = ['<header>', '<main>', '<footer>', '<title>', '<meta name="description">'];
-    requiredTags.forEach(tag => {
-        if (!new RegExp(tag).test(htmlContent)) {
-            score -= 10;
-            feedback.push(`Missing ${tag} for improved structure or SEO.`);
-        }
+// The response also carries the files as a submission stores them, so the
+// Portfolio page and background re-analysis save the same summary
+const analyzeAndStore = async (request, owner, options = {}) => {
+    const report = await storeReport(await runAnalysis(request, options), owner);
+    return { ...report, storedFiles: summarizeFiles(report.files) };
+};
+
+// Desktop and mobile thumbnails of a submission's live demo, stored and
+// recorded on the submission
+const captureSubmissionScreenshots = async (uid, submission) => {
+    const { finalUrl, screenshots: captured } = await captureScreenshots(submission.liveDemoLink);
+    const stored = await screenshots.save(uid, submission.id, captured);
+    return submissions.recordScreenshots(uid, submission.id, {
+        ...stored,
+        pageUrl: finalUrl,
+        capturedAt: new Date().toISOString()
     });
+};
 
-    // Accessibility and deprecated tags
-    if (!/<img[^>]+alt="[^"]*"/.test(htmlContent)) {
-        score -= 10;
-        feedback.push("Images are missing alt attributes for accessibility.");
-    }
-    if (/(<font>|<center>|<marquee>)/.test(htmlContent)) {
-        score -= 15;
-        feedback.push("Deprecated tags found (e.g., <font>, <center>); please remove.");
-    }
+// Errors whose message and code are meant for the client, with their own status
+const isRequestError = (error) => error instanceof UrlPolicyError
+    || error instanceof RepositoryError
+    || error instanceof RenderError;
+
+const describeTarget = ({ targetUrl, repo }) => (repo ? `${repo.owner}/${repo.repo}${repo.ref ? `@${repo.ref}` : ''}` : targetUrl);
+
+const analysisJobs = createJobQueue({
+    phases: PHASES,
+    concurrency: parseInt(process.env.ANALYZE_CONCURRENCY, 10) || 2,
+    run: ({ owner, ...request }, onPhase) => analyzeAndStore(request, owner, { onPhase })
+});
 
-    // HTML length and readability
-    const htmlLines = htmlContent.split('\n').length;
-    if (htmlLines > 200) {
-        score -= 5;
-        feedback.push("HTML file is large; consider splitting into partials.");
+// Shared validation for the analysis endpoints, re-scoring and background
+// re-analysis: { request } or { error: { status, body } }
+const parseAnalyzeRequest = (body) => {
+    const { url: targetUrl, repo: repoReference, profile: profileId, mode = 'static' } = body;
+
+    if (!targetUrl && !repoReference) {
+        return { error: { status: 400, body: { error: "URL or repository is required" } } };
     }
 
-    return { score, feedback };
-};
+    if (!ANALYSIS_MODES.includes(mode)) {
+        return { error: { status: 400, body: { error: `mode must be one of: ${ANALYSIS_MODES.join(', ')}` } } };
+    }
+    if (repoReference && mode !== 'static') {
+        return { error: { status: 400, body: { error: "Rendering mode only applies to live demo URLs" } } };
+    }
 
-// Enhanced CSS evaluation for modularity and best practices
-const evaluateCSS = (cssContent) => {
-    // Check if we actually got CSS content
-    if (!cssContent || cssContent.trim().length === 0) {
-        return { 
-            score: 0, 
-            feedback: ["No CSS content was found or could be analyzed."] 
-        };
+    const crawl = readCrawlOptions(body.crawl);
+    if (crawl === null) {
+        return { error: { status: 400, body: { error: `crawl must be true or { depth: 0-${CRAWL_LIMITS.maxDepth}, maxPages: 1-${CRAWL_LIMITS.maxPages} }` } } };
+    }
+    if (crawl && (repoReference || mode !== 'static')) {
+        return { error: { status: 400, body: { error: "Crawling only applies to live demo URLs in static mode" } } };
     }
 
+    let repo = null;
     try {
-        const results = csslint.verify(cssContent);
-        const feedback = [];
-        let score = 100;
-
-        results.messages.forEach(msg => {
-            const severity = msg.type === 'warning' ? 1 : 2;
-            score -= severity * 3;
-            feedback.push(`${msg.type.toUpperCase()}: ${msg.message} at line ${msg.line}`);
-        });
-
-        if (cssContent.includes('!important')) {
-            score -= 10;
-            feedback.push("Avoid using '!important' in CSS.");
+        if (repoReference) {
+            repo = parseRepoReference(repoReference);
+        } else {
+            // Reject bad schemes, ports and literal private IPs up front; hostnames
+            // are checked again after DNS resolution when the request is made
+            defaultUrlPolicy.check(targetUrl);
         }
-        if (cssContent.length > 5000) {
-            score -= 10;
-            feedback.push("CSS file is large; consider modularizing styles.");
+    } catch (error) {
+        if (isRequestError(error)) {
+            return { error: { status: error.status, body: { error: error.message, code: error.code } } };
         }
+        throw error;
+    }
+
+    const exclude = readExcludePatterns(body.exclude);
+    if (!exclude) {
+        return { error: { status: 400, body: { error: "exclude must be an array of .gitignore-style patterns" } } };
+    }
 
-        return { score: Math.max(score, 0), feedback };
+    const vendorOverrides = readVendorOverrides(body.vendorOverrides);
+    if (!vendorOverrides) {
+        return { error: { status: 400, body: { error: "vendorOverrides must be { firstParty: [...], vendor: [...] } with URL strings" } } };
+    }
+
+    try {
+        return { request: { targetUrl: repo ? null : targetUrl, repo, exclude, mode, crawl, profile: getProfile(profileId), vendorOverrides } };
     } catch (error) {
-        console.error("Error evaluating CSS:", error.message);
-        return { 
-            score: 50, 
-            feedback: [`Error evaluating CSS: ${error.message}. Some CSS rules might be invalid.`] 
-        };
+        if (error instanceof ProfileError) {
+            return { error: { status: 400, body: { error: error.message } } };
+        }
+        throw error;
     }
 };
 
-// Enhanced JavaScript evaluation
-const evaluateJavaScript = async (jsContent) => {
-    // Check if we actually got JS content
-    if (!jsContent || jsContent.trim().length === 0) {
-        return { 
-            score: 0, 
-            feedback: ["No JavaScript content was found or could be analyzed."] 
-        };
+// Submissions whose demo changed are re-analysed in the background, one at
+// a time, and their score history extended (see reanalysis.js)
+const reanalysis = createReanalysisScheduler({
+    submissions,
+    parseRequest: parseAnalyzeRequest,
+    analyze: runAnalysis,
+    store: storeReport,
+    capture: captureSubmissionScreenshots
+});
+
+// Express wrapper: sends the error itself and returns null
+const readAnalyzeRequest = (req, res) => {
+    const { request, error } = parseAnalyzeRequest(req.body);
+    if (error) {
+        res.status(error.status).json(error.body);
+        return null;
     }
+    return request;
+};
+
+app.get('/profiles', (req, res) => {
+    res.json({ profiles: listProfiles() });
+});
+
+app.get('/analyze/quota', requireUser, (req, res) => {
+    res.json({ accountType: req.user.accountType, ...analyzeRateLimit.quotaFor(req.user) });
+});
+
+app.post('/analyze', requireUser, analyzeRateLimit, async (req, res) => {
+    const request = readAnalyzeRequest(req, res);
+    if (!request) return;
+    const target = describeTarget(request);
+
+    console.log(`Analyzing ${request.repo ? 'repository' : `URL (${request.crawl ? 'crawl' : request.mode})`}: ${target} (profile: ${request.profile.id}@${request.profile.version})`);
 
     try {
-        const eslint = new ESLint();
-        const [result] = await eslint.lintText(jsContent);
-        const feedback = [];
-        let score = 100;
-
-        result.messages.forEach(msg => {
-            const severity = msg.severity;
-            score -= severity * 5;
-            feedback.push(`${severity === 1 ? 'Warning' : 'Error'}: ${msg.message} at line ${msg.line}`);
+        res.json(await analyzeAndStore(request, req.user.uid));
+    } catch (error) {
+        if (isRequestError(error)) {
+            console.warn(`Could not analyze ${target}: ${error.code}`);
+            return res.status(error.status).json({ error: error.message, code: error.code });
+        }
+        console.error("Error analyzing URL:", error.message);
+        if (error.response) {
+            console.error(`Status: ${error.response.status}`);
+        }
+        res.status(500).json({ 
+            error: "Failed to analyze the live demo link.",
+            details: error.message
         });
+    }
+});
+
+// Job-based variant of /analyze for large sites: returns immediately with an
+// id that the client polls for per-phase progress and the final report
+app.post('/analyze/jobs', requireUser, analyzeRateLimit, (req, res) => {
+    const request = readAnalyzeRequest(req, res);
+    if (!request) return;
 
-        if (jsContent.split('\n').length > 400) {
-            score -= 10;
-            feedback.push("JavaScript file is large; consider modularizing.");
+    try {
+        const job = analysisJobs.submit({ ...request, owner: req.user.uid }, req.user.uid);
+        console.log(`Queued analysis job ${job.id} for ${describeTarget(request)}`);
+        res.status(202).location(`/analyze/jobs/${job.id}`).json(job);
+    } catch (error) {
+        if (error instanceof QueueFullError) {
+            return res.status(503).json({ error: error.message });
         }
-        if ((jsContent.match(/console\./g) || []).length > 0) {
-            score -= 5;
-            feedback.push("Avoid using console logs in production code.");
+        throw error;
+    }
+});
+
+app.get('/analyze/jobs/:id', requireUser, (req, res) => {
+    const job = analysisJobs.get(req.params.id, req.user.uid);
+    if (!job) {
+        return res.status(404).json({ error: "Analysis job not found. It may have expired." });
+    }
+    res.json(job);
+});
+
+// Lint pasted snippets or a few files with the analyzer's rules, without
+// fetching or scoring anything: the in-browser "check before you submit"
+app.post('/validate', requireUser, validateRateLimit, async (req, res) => {
+    const snippets = readSnippets(req.body);
+    if (!snippets) {
+        return res.status(400).json({
+            error: `Send { language, code } or { files: [{ name, language?, content }] } with html, css or javascript; up to ${VALIDATE_LIMITS.maxFiles} files with unique names, ${VALIDATE_LIMITS.maxFileBytes / 1024} KB each`
+        });
+    }
+
+    let profile;
+    try {
+        profile = getProfile(req.body.profile);
+    } catch (error) {
+        if (error instanceof ProfileError) {
+            return res.status(400).json({ error: error.message });
         }
+        throw error;
+    }
+
+    try {
+        res.json(await validateSnippets(snippets, profile));
+    } catch (error) {
+        console.error("Error validating snippets:", error.message);
+        res.status(500).json({ error: "Failed to validate the code.", details: error.message });
+    }
+});
 
-        return { score: Math.max(score, 0), feedback };
+// Re-run a stored submission under the current engine. The stored scores are
+// kept; both results and their engine fingerprints are recorded side by side
+// so scores from different engines are never compared as if they were equal.
+app.post('/submissions/:id/rescore', requireUser, analyzeRateLimit, async (req, res) => {
+    let submission;
+    try {
+        submission = await submissions.get(req.user.uid, req.params.id);
     } catch (error) {
-        console.error("Error evaluating JavaScript:", error.message);
-        return { 
-            score: 50, 
-            feedback: [`Error evaluating JavaScript: ${error.message}. Check for syntax issues.`] 
-        };
+        console.error("Failed to load submission:", error.message);
+        return res.status(503).json({ error: "Could not load the submission. Please try again." });
     }
-};
+    if (!submission) {
+        return res.status(404).json({ error: "Submission not found." });
+    }
+
+    // Same request as the original, scored with the current version of its profile
+    const request = readAnalyzeRequest({
+        body: { ...storedRequest(submission), profile: submission.profile ? submission.profile.id : undefined }
+    }, res);
+    if (!request) return;
+    const target = describeTarget(request);
 
-app.post('/analyze', async (req, res) => {
-    const { url: targetUrl } = req.body;
+    console.log(`Re-scoring submission ${submission.id}: ${target} (profile: ${request.profile.id}@${request.profile.version})`);
 
-    if (!targetUrl) {
-        return res.status(400).json({ error: "URL is required" });
+    let report;
+    try {
+        report = await analyzeAndStore(request, req.user.uid);
+    } catch (error) {
+        if (isRequestError(error)) {
+            console.warn(`Could not re-score ${target}: ${error.code}`);
+            return res.status(error.status).json({ error: error.message, code: error.code });
+        }
+        console.error("Error re-scoring submission:", error.message);
+        return res.status(500).json({
+            error: "Failed to re-score the submission.",
+            details: error.message
+        });
+    }
+
+    const comparison = compareResults(submission, report);
+    let recorded = true;
+    try {
+        await submissions.recordRescore(req.user.uid, submission, comparison);
+    } catch (error) {
+        // The client still gets the comparison; it just isn't stored
+        console.error(`Failed to record re-score of ${submission.id}:`, error.message);
+        recorded = false;
     }
+    res.json({ submissionId: submission.id, recorded, ...comparison, report });
+});
 
-    console.log(`Analyzing URL: ${targetUrl}`);
+// (Re)capture a submission's thumbnails. The Portfolio page asks for this
+// right after storing a new submission; it can also be retried from the card.
+app.post('/submissions/:id/screenshots', requireUser, screenshotRateLimit, async (req, res) => {
+    let submission;
+    try {
+        submission = await submissions.get(req.user.uid, req.params.id);
+    } catch (error) {
+        console.error("Failed to load submission:", error.message);
+        return res.status(503).json({ error: "Could not load the submission. Please try again." });
+    }
+    if (!submission) {
+        return res.status(404).json({ error: "Submission not found." });
+    }
+    if (typeof submission.liveDemoLink !== 'string') {
+        return res.status(400).json({ error: "The submission has no live demo to capture." });
+    }
 
     try {
-        // First check if the URL is accessible
-        try {
-            await axios.head(targetUrl, { timeout: 8000 });
-        } catch (headError) {
-            // If HEAD request fails, try GET instead
-            console.log(`HEAD request failed, trying GET: ${headError.message}`);
-            await axios.get(targetUrl, { timeout: 8000 });
+        res.json({ submissionId: submission.id, screenshots: await captureSubmissionScreenshots(req.user.uid, submission) });
+    } catch (error) {
+        if (isRequestError(error)) {
+            console.warn(`Could not capture ${submission.liveDemoLink}: ${error.code}`);
+            return res.status(error.status).json({ error: error.message, code: error.code });
         }
+        console.error("Error capturing screenshots:", error.message);
+        res.status(500).json({ error: "Failed to capture screenshots.", details: error.message });
+    }
+});
 
-        // Fetch the HTML content
-        const { data: htmlData } = await axios.get(targetUrl, {
-            headers: {
-                'User-Agent': 'Mozilla/5.0 SkifolioAnalyzer',
-                'Accept': 'text/html,application/xhtml+xml'
-            }
-        });
-        
-        const $ = cheerio.load(htmlData);
-
-        // HTML Analysis
-        const { score: htmlScore, feedback: htmlFeedback } = evaluateHTML(htmlData);
-        
-        // CSS Analysis - Improved to handle more cases
-        // Get all stylesheet links
-        const cssLinks = [];
-        $('link[rel="stylesheet"]').each((_, el) => {
-            const href = $(el).attr('href');
-            if (href) cssLinks.push(href);
-        });
-        
-        // Handle additional CSS imports that might be in the HTML
-        $('style').each((_, el) => {
-            const styleContent = $(el).html();
-            if (styleContent) {
-                // Extract @import URLs from style tags
-                const importMatches = styleContent.match(/@import\s+(?:url\()?["']?([^"')]+)["']?\)?/g);
-                if (importMatches) {
-                    importMatches.forEach(match => {
-                        const importUrl = match.replace(/@import\s+(?:url\()?["']?([^"')]+)["']?\)?/, '$1');
-                        cssLinks.push(importUrl);
-                    });
-                }
-            }
-        });
-        
-        console.log(`Found ${cssLinks.length} CSS link(s)`);
-        cssLinks.forEach((link, i) => console.log(`CSS link ${i+1}: ${link}`));
-        
-        // Get inline CSS
-        const inlineCSS = $('style').text();
-        console.log(`Inline CSS length: ${inlineCSS.length} bytes`);
-        
-        // Fetch and combine all CSS
-        const externalCSS = await fetchExternalFiles(cssLinks, targetUrl);
-        const allCSS = inlineCSS + '\n' + externalCSS;
-        console.log(`Total CSS content length: ${allCSS.length} bytes`);
-        
-        // Evaluate CSS
-        const { score: cssScore, feedback: cssFeedback } = evaluateCSS(allCSS);
-
-        // JavaScript Analysis - Improved to handle more cases
-        // Get all script tags with src attributes
-        const jsLinks = [];
-        $('script[src]').each((_, el) => {
-            const src = $(el).attr('src');
-            if (src) jsLinks.push(src);
-        });
-        
-        console.log(`Found ${jsLinks.length} JavaScript link(s)`);
-        jsLinks.forEach((link, i) => console.log(`JS link ${i+1}: ${link}`));
-        
-        // Get inline JavaScript
-        const inlineJS = $('script:not([src])').map((_, el) => $(el).html()).get().join('\n');
-        console.log(`Inline JS length: ${inlineJS.length} bytes`);
-        
-        // Fetch and combine all JavaScript
-        const externalJS = await fetchExternalFiles(jsLinks, targetUrl);
-        const allJS = inlineJS + '\n' + externalJS;
-        console.log(`Total JavaScript content length: ${allJS.length} bytes`);
-        
-        // Evaluate JavaScript
-        const { score: jsScore, feedback: jsFeedback } = await evaluateJavaScript(allJS);
-
-        // Prepare response
-        res.json({
-            scores: {
-                html: Math.round(htmlScore),
-                css: Math.round(cssScore),
-                javascript: Math.round(jsScore),
-                overall: Math.round((htmlScore + cssScore + jsScore) / 3)
-            },
-            feedback: {
-                html: htmlFeedback,
-                css: cssFeedback,
-                javascript: jsFeedback
-            },
-            fileStats: {
-                htmlSize: htmlData.length,
-                cssSize: allCSS.length,
-                jsSize: allJS.length,
-                cssLinks: cssLinks.length,
-                jsLinks: jsLinks.length
-            }
-        });
+// The stored PDF of a report, printed (once, however many requests ask at
+// the same time) in the shared browser when there isn't one yet
+const pendingPdfs = new Map();
+const reportPdf = (stored) => {
+    if (!pendingPdfs.has(stored.id)) {
+        const pending = (async () => {
+            const cached = await reports.getPdf(stored.id).catch(error => {
+                console.error("Failed to load stored report PDF:", error.message);
+                return null;
+            });
+            if (cached) return cached;
+
+            const pdf = await renderPdf(renderReportHtml(stored.report, { createdAt: stored.createdAt }));
+            await reports.savePdf(stored.id, pdf).catch(error => {
+                console.error("Failed to store report PDF:", error.message);
+            });
+            return pdf;
+        })().finally(() => pendingPdfs.delete(stored.id));
+        pendingPdfs.set(stored.id, pending);
+    }
+    return pendingPdfs.get(stored.id);
+};
+
+// Printable export of a stored report. Public on purpose: the id is an
+// unguessable capability that applicants share with employers.
+app.get('/reports/:id.:format(html|pdf)', reportRateLimit, async (req, res) => {
+    let stored;
+    try {
+        stored = await reports.get(req.params.id);
     } catch (error) {
-        console.error("Error analyzing URL:", error.message);
-        if (error.response) {
-            console.error(`Status: ${error.response.status}`);
+        console.error("Failed to load report:", error.message);
+        return res.status(503).json({ error: "Could not load the report. Please try again." });
+    }
+    if (!stored) {
+        return res.status(404).json({ error: "Report not found." });
+    }
+
+    if (req.params.format === 'html') {
+        return res
+            .set('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'")
+            .type('html')
+            .send(renderReportHtml(stored.report, { createdAt: stored.createdAt }));
+    }
+
+    try {
+        const pdf = await reportPdf(stored);
+        res
+            .type('application/pdf')
+            .set('Content-Disposition', `inline; filename="skifolio-report-${stored.id}.pdf"`)
+            .send(pdf);
+    } catch (error) {
+        if (error instanceof RenderError) {
+            console.warn(`Could not render report ${stored.id} as PDF: ${error.code}`);
+            return res.status(error.status).json({ error: error.message, code: error.code });
         }
-        res.status(500).json({ 
-            error: "Failed to analyze the live demo link.",
-            details: error.message
-        });
+        console.error("Error rendering report PDF:", error.message);
+        res.status(500).json({ error: "Failed to render the report as PDF.", details: error.message });
     }
 });
 
-app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+// Once a day, expired reports that no submission points at are deleted
+// (see reports.js)
+const pruneReports = async () => {
+    const keep = new Set((await submissions.listAll())
+        .map(({ submission }) => submission.reportId)
+        .filter(Boolean));
+    const removed = await reports.prune(keep);
+    if (removed) console.log(`Deleted ${removed} expired report file(s)`);
+};
+
+app.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+    reanalysis.start();
+    setInterval(() => {
+        pruneReports().catch(error => console.error("Failed to prune reports:", error.message));
+    }, 24 * 60 * 60 * 1000).unref();
+});
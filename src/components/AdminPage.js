@@ -9,6 +9,7 @@ import {
 } from "firebase/firestore";
 import { writeBatch } from "firebase/firestore"; // Import writeBatch
 import { setDoc} from "firebase/firestore";
+import FileBreakdown from "./FileBreakdown";
 const AdminPage = () => {
   const [isAdmin, setIsAdmin] = useState(false);
   const [isApplicant, setIsApplicant] = useState(true);
@@ -905,6 +906,12 @@ const handleRejectUser = async (user) => {
           <a href={submission.demoVideoLink} target="_blank" rel="noopener noreferrer">
             Watch
           </a>
+          {submission.scores && (
+            <p>
+              <strong>Overall Score:</strong> {submission.scores.overall ?? "N/A"}
+            </p>
+          )}
+          <FileBreakdown files={submission.files} />
         </li>
       ))}
     </ul>
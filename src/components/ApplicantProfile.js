@@ -1,7 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import { db, storage, auth } from '../firebase';
 import { ref, uploadBytes, getDownloadURL, deleteObject } from 'firebase/storage';
-import { doc, getDoc, updateDoc, arrayRemove, setDoc, collection, addDoc } from 'firebase/firestore';
+import { doc, getDoc, updateDoc, arrayRemove, setDoc, collection, addDoc, getDocs } from 'firebase/firestore';
+import DemoThumbnail from './DemoThumbnail';
 
 
 
@@ -18,6 +19,7 @@ const ApplicantProfile = () => {
         Others:[],
     });
     const [selectedSkill, setSelectedSkill] = useState('HTML');
+    const [submissions, setSubmissions] = useState([]);
 
     useEffect(() => {
         const loadUserData = async () => {
@@ -44,6 +46,13 @@ const ApplicantProfile = () => {
             } catch (error) {
                 console.error("Error fetching user data:", error);
             }
+
+            try {
+                const snapshot = await getDocs(collection(db, 'applicants', auth.currentUser.uid, 'submissions'));
+                setSubmissions(snapshot.docs.map(submissionDoc => ({ id: submissionDoc.id, ...submissionDoc.data() })));
+            } catch (error) {
+                console.error("Error fetching submissions:", error);
+            }
         };
 
         loadUserData();
@@ -214,6 +223,28 @@ const ApplicantProfile = () => {
                 )}
                 </div>
 
+            {/* Project thumbnails (screenshots taken when the demo was submitted) */}
+            {submissions.some(submission => submission.screenshots) && (
+                <div style={{
+                    marginTop: '30px',
+                    padding: '20px',
+                    background: '#ffffff',
+                    borderRadius: '12px',
+                    boxShadow: '0 4px 10px rgba(0, 0, 0, 0.1)',
+                    width: '100%',
+                    textAlign: 'center',
+                }} id='projects'>
+                    <h4 style={{ marginBottom: '15px', fontWeight: 'bold' }}>
+                        <span style={{ marginRight: '10px' }}>🖥️</span> Projects
+                    </h4>
+                    <div className="demo-thumbnail-grid">
+                        {submissions.map((submission, index) => (
+                            <DemoThumbnail key={submission.id} submission={submission} label={`Project ${index + 1}`} />
+                        ))}
+                    </div>
+                </div>
+            )}
+
             {/*START CHANGED PROFILE* */}
                     {/* Resume Section */}
                     <div style={{
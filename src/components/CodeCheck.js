@@ -0,0 +1,131 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+
+const LANGUAGES = [
+    { value: 'html', label: 'HTML' },
+    { value: 'css', label: 'CSS' },
+    { value: 'javascript', label: 'JavaScript' }
+];
+
+const CATEGORY_LABELS = { html: 'HTML', css: 'CSS', javascript: 'JavaScript', accessibility: 'Accessibility' };
+
+const FILE_NAMES = { html: 'index.html', css: 'styles.css', javascript: 'script.js' };
+
+// "Check before you submit": lints pasted code with the analyzer's rules
+// (POST /validate) so applicants can fix issues before they cost points
+const CodeCheck = ({ analyzerUrl, authHeaders }) => {
+    const [open, setOpen] = useState(false);
+    const [language, setLanguage] = useState('html');
+    const [code, setCode] = useState('');
+    const [result, setResult] = useState(null);
+    const [checking, setChecking] = useState(false);
+    const [error, setError] = useState('');
+
+    const handleCheck = async () => {
+        setChecking(true);
+        setError('');
+        try {
+            const { data } = await axios.post(`${analyzerUrl}/validate`, { language, code }, {
+                headers: await authHeaders()
+            });
+            setResult(data);
+        } catch (err) {
+            console.error("Error checking code:", err);
+            setResult(null);
+            setError(err.response?.data?.error || "Could not check the code. Please try again.");
+        } finally {
+            setChecking(false);
+        }
+    };
+
+    if (!open) {
+        return (
+            <button type="button" className="secondary-btn code-check-toggle" onClick={() => setOpen(true)}>
+                Check your code before submitting
+            </button>
+        );
+    }
+
+    const diagnostics = result ? result.files.flatMap(file => file.diagnostics) : [];
+    const file = result ? result.files[0] : null;
+
+    // Replaces the pasted code with the fixed version, ready to check again
+    const handleApplyFixes = () => {
+        setCode(file.fixed);
+        setResult(null);
+    };
+
+    const handleDownload = () => {
+        const url = URL.createObjectURL(new Blob([file.fixed], { type: 'text/plain' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = FILE_NAMES[language];
+        link.click();
+        URL.revokeObjectURL(url);
+    };
+
+    const fixableSummary = result ? Object.entries(result.fixable)
+        .filter(([, count]) => count > 0)
+        .map(([category, count]) => `${CATEGORY_LABELS[category] || category}: ${count}`)
+        .join(', ') : '';
+
+    return (
+        <div className="code-check">
+            <div className="code-check-controls">
+                <select value={language} onChange={(e) => { setLanguage(e.target.value); setResult(null); }}>
+                    {LANGUAGES.map(option => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                </select>
+                <button className="primary-button" onClick={handleCheck} disabled={checking || !code.trim()}>
+                    {checking ? "Checking..." : "Check"}
+                </button>
+                <button type="button" className="secondary-btn" onClick={() => setOpen(false)}>Close</button>
+            </div>
+            <textarea
+                className="code-check-input"
+                placeholder="Paste a file from your project"
+                value={code}
+                onChange={(e) => { setCode(e.target.value); setResult(null); }}
+                spellCheck={false}
+                rows={10}
+            />
+            {error && <div className="error-message">{error}</div>}
+            {result && (
+                diagnostics.length === 0 ? (
+                    <p className="file-breakdown-empty">No issues found.</p>
+                ) : (
+                    <>
+                        <p className="code-check-summary">
+                            {result.errors} error(s), {result.warnings} warning(s), {result.info} note(s)
+                            {fixableSummary && <> · can be fixed automatically: {fixableSummary}</>}
+                        </p>
+                        {file && file.diff && (
+                            <div className="code-check-fixes">
+                                <pre className="code-check-diff">{file.diff}</pre>
+                                <button type="button" className="secondary-btn" onClick={handleApplyFixes}>Apply fixes</button>
+                                <button type="button" className="secondary-btn" onClick={handleDownload}>Download fixed file</button>
+                            </div>
+                        )}
+                        <ul className="file-findings">
+                            {diagnostics.map((diagnostic, index) => (
+                                <li key={index} className={`file-finding ${diagnostic.severity}`}>
+                                    {diagnostic.line && (
+                                        <span className="file-finding-location">
+                                            {diagnostic.line}{diagnostic.column ? `:${diagnostic.column}` : ''}
+                                        </span>
+                                    )}
+                                    {diagnostic.message}
+                                    <span className="code-check-rule"> ({diagnostic.linterRule || diagnostic.rule}, −{diagnostic.points}{diagnostic.fix ? ', fixable' : ''})</span>
+                                    {diagnostic.suggestion && <div className="code-check-suggestion">{diagnostic.suggestion}</div>}
+                                </li>
+                            ))}
+                        </ul>
+                    </>
+                )
+            )}
+        </div>
+    );
+};
+
+export default CodeCheck;
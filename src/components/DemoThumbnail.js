@@ -0,0 +1,36 @@
+import React from 'react';
+
+// Desktop screenshot of a submission's live demo with the mobile one inset,
+// linking to the demo. Submissions whose screenshots were never captured (or
+// failed to be) render nothing.
+const DemoThumbnail = ({ submission, label }) => {
+    const { screenshots } = submission;
+    if (!screenshots || !screenshots.desktop) return null;
+
+    return (
+        <a
+            className="demo-thumbnail"
+            href={submission.liveDemoLink}
+            target="_blank"
+            rel="noopener noreferrer"
+            title={screenshots.capturedAt ? `Captured ${new Date(screenshots.capturedAt).toLocaleString()}` : undefined}
+        >
+            <img
+                className="demo-thumbnail-desktop"
+                src={screenshots.desktop.url}
+                alt={`${label || 'Live demo'} on a desktop screen`}
+                loading="lazy"
+            />
+            {screenshots.mobile && (
+                <img
+                    className="demo-thumbnail-mobile"
+                    src={screenshots.mobile.url}
+                    alt={`${label || 'Live demo'} on a phone`}
+                    loading="lazy"
+                />
+            )}
+        </a>
+    );
+};
+
+export default DemoThumbnail;
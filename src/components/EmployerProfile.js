@@ -3,8 +3,11 @@ import { db, auth, storage } from "../firebase";
 import { doc, getDoc, updateDoc, collection, query, where, getDocs, deleteDoc,addDoc } from "firebase/firestore";
 import { ref, uploadBytes, getDownloadURL } from "firebase/storage";
 import { onSnapshot } from "firebase/firestore";
+import DemoThumbnail from "./DemoThumbnail";
 import "../styles.css";
 
+const ANALYZER_URL = 'https://skifolio-main.onrender.com';
+
 const EmployerProfile = () => {
     const [employer, setEmployer] = useState(null);
     const [jobPosts, setJobPosts] = useState([]);
@@ -304,8 +307,9 @@ const EmployerProfile = () => {
                                                 borderRadius: '5px',
                                             }}
                                         >
+                                            <DemoThumbnail submission={submission} label={`Demo ${index + 1}`} />
                                             <div>
-                                                <video width="100%" controls style={{ margin: '10px 0' }}>
+                                                <video width="100%" controls poster={submission.screenshots?.desktop?.url} style={{ margin: '10px 0' }}>
                                                     <source src={submission.demoVideoLink} type="video/mp4" />
                                                     Your browser does not support the video tag.
                                                 </video>
@@ -318,10 +322,27 @@ const EmployerProfile = () => {
                                             >
                                                 Live Demo Link: Demo {index + 1}
                                             </a>
+                                            {submission.offline && (
+                                                <p className="uptime-warning">
+                                                    Currently offline (since {new Date(submission.uptime.since).toLocaleDateString()})
+                                                </p>
+                                            )}
 
                                             <p>CSS Score: {submission.scores?.css || 'N/A'}</p>
                                             <p>HTML Score: {submission.scores?.html || 'N/A'}</p>
                                             <p>JavaScript Score: {submission.scores?.javascript || 'N/A'}</p>
+                                            <p>Accessibility Score: {submission.scores?.accessibility ?? 'N/A'}</p>
+                                            <p>Performance Score: {submission.scores?.performance ?? 'N/A'}</p>
+                                            <p>SEO Score: {submission.scores?.seo ?? 'N/A'}</p>
+                                            <p>Security Score: {submission.scores?.security ?? 'N/A'}</p>
+                                            {submission.reportId && (
+                                                <p className="report-links">
+                                                    Full report:{' '}
+                                                    <a href={`${ANALYZER_URL}/reports/${submission.reportId}.html`} target="_blank" rel="noopener noreferrer">HTML</a>
+                                                    {' · '}
+                                                    <a href={`${ANALYZER_URL}/reports/${submission.reportId}.pdf`} target="_blank" rel="noopener noreferrer">PDF</a>
+                                                </p>
+                                            )}
                                         </div>
                                     ))
                                 ) : (
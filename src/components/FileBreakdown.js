@@ -0,0 +1,57 @@
+import React, { useState } from 'react';
+
+const CATEGORY_LABELS = { html: 'HTML', css: 'CSS', javascript: 'JS' };
+
+// Per-file scores from an analysis report; click a file to see its findings
+const FileBreakdown = ({ files }) => {
+    const [openFileId, setOpenFileId] = useState(null);
+
+    if (!files || files.length === 0) return null;
+
+    const toggleFile = (fileId) => {
+        setOpenFileId(openFileId === fileId ? null : fileId);
+    };
+
+    return (
+        <div className="file-breakdown">
+            <p>Files:</p>
+            <ul>
+                {files.map(file => (
+                    <li key={file.id}>
+                        <button
+                            type="button"
+                            className="file-breakdown-toggle"
+                            onClick={() => toggleFile(file.id)}
+                            aria-expanded={openFileId === file.id}
+                        >
+                            <span className="file-breakdown-label" title={file.url}>
+                                {CATEGORY_LABELS[file.category] || file.category} · {file.label}
+                            </span>
+                            <span className="score">{Math.round(file.score)}</span>
+                        </button>
+                        {openFileId === file.id && (
+                            file.findings.length === 0 ? (
+                                <p className="file-breakdown-empty">No issues found.</p>
+                            ) : (
+                                <ul className="file-findings">
+                                    {file.findings.map((finding, index) => (
+                                        <li key={index} className={`file-finding ${finding.severity}`}>
+                                            {finding.line && (
+                                                <span className="file-finding-location">
+                                                    {finding.line}{finding.column ? `:${finding.column}` : ''}
+                                                </span>
+                                            )}
+                                            {finding.message}
+                                        </li>
+                                    ))}
+                                </ul>
+                            )
+                        )}
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+};
+
+export default FileBreakdown;
@@ -1,26 +1,151 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { db, auth, storage } from '../firebase'; // Include storage in your Firebase import
 import { doc, getDoc, collection, addDoc, getDocs, deleteDoc } from 'firebase/firestore';
 import { ref, uploadBytes, getDownloadURL } from 'firebase/storage';
 import axios from 'axios';
+import FileBreakdown from './FileBreakdown';
+import CodeCheck from './CodeCheck';
+import ScoreSparkline from './ScoreSparkline';
+import DemoThumbnail from './DemoThumbnail';
+
+const ANALYZER_URL = 'https://skifolio-main.onrender.com';
+const POLL_INTERVAL_MS = 2000;
+const ANALYSIS_TIMEOUT_MS = 10 * 60 * 1000;
+
+const PHASE_LABELS = {
+    fetch: 'Fetching page',
+    html: 'HTML',
+    css: 'CSS',
+    javascript: 'JavaScript',
+    accessibility: 'Accessibility',
+    performance: 'Performance',
+    seo: 'SEO',
+    security: 'Security'
+};
+
+// The analyzer only accepts signed-in users
+const authHeaders = async () => ({
+    Authorization: `Bearer ${await auth.currentUser.getIdToken()}`
+});
+
+// Rejects with the signal's reason if it is aborted while waiting
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+    }, { once: true });
+});
+
+// Rendered-mode reports carry runtime details; keep only what the card shows
+const summarizeRuntime = (runtime) => (runtime ? {
+    renderTimeMs: runtime.renderTimeMs,
+    consoleErrors: runtime.consoleErrors.length,
+    exceptions: runtime.exceptions.length
+} : null);
+
+// Unused-CSS totals only; the offender list stays in the full report
+// App shells come back as { skipped: 'app-shell' }: nothing was measured
+const summarizeCssCoverage = (coverage) => {
+    if (!coverage) return null;
+    if (coverage.skipped) return { skipped: coverage.skipped };
+    return {
+        unusedPercent: coverage.unusedPercent,
+        unusedBytes: coverage.unusedBytes,
+        unusedRules: coverage.unusedRules,
+        rules: coverage.rules
+    };
+};
+
+// Crawled sites: how many pages were scored and which one scored lowest
+const summarizeCrawl = (report) => (report.crawl ? {
+    pages: report.crawl.pages,
+    worstPage: report.worstPage || null
+} : null);
+
+// Latest re-score next to the original, with why the numbers may differ
+const RescoreSummary = ({ rescore }) => {
+    const reasons = [];
+    if (!rescore.sameEngine) reasons.push(`analyzer changed (${rescore.previous.engine?.version || 'unversioned'} → ${rescore.current.engine.version})`);
+    if (!rescore.sameInputs) reasons.push('site content changed');
+    return (
+        <p className="rescore-info">
+            Re-scored {new Date(rescore.rescoredAt).toLocaleDateString()}: overall {rescore.current.scores.overall}
+            {' '}(originally {rescore.previous.scores.overall})
+            {reasons.length > 0 && ` · ${reasons.join(', ')}`}
+        </p>
+    );
+};
 
 const Portfolio = () => {
     const [userData, setUserData] = useState(null);
     const [submissions, setSubmissions] = useState([]);
     const [liveDemoLink, setLiveDemoLink] = useState('');
+    const [renderPage, setRenderPage] = useState(false);
+    const [crawlSite, setCrawlSite] = useState(false);
+    const [rescoringId, setRescoringId] = useState(null);
+    const [capturingId, setCapturingId] = useState(null);
     const [demoVideoFile, setDemoVideoFile] = useState(null);
     const [showModal, setShowModal] = useState(false);
     const [isVideoValid, setIsVideoValid] = useState(false);
     const [submissionLoading, setSubmissionLoading] = useState(false);
+    const [analysisProgress, setAnalysisProgress] = useState(null);
+    const [quota, setQuota] = useState(null);
     const [userRepos, setUserRepos] = useState([]);
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState("");
 
+    // Aborted on unmount, which stops any analysis job still being polled
+    const mounted = useRef(null);
+
+    const fetchQuota = useCallback(async () => {
+        if (!auth.currentUser) return;
+        try {
+            const { data } = await axios.get(`${ANALYZER_URL}/analyze/quota`, {
+                headers: await authHeaders(),
+                timeout: 15000
+            });
+            setQuota(data);
+        } catch (error) {
+            console.error("Error fetching analysis quota:", error);
+        }
+    }, []);
+
     useEffect(() => {
         fetchUserData();
         fetchSubmissions();
+        fetchQuota();
+    }, [fetchQuota]);
+
+    useEffect(() => {
+        const controller = new AbortController();
+        mounted.current = controller;
+        return () => controller.abort();
     }, []);
 
+
+    const updateQuotaFromHeaders = (headers) => {
+        if (headers['x-quota-remaining'] === undefined) return;
+        setQuota(previous => ({
+            ...previous,
+            limit: Number(headers['x-quota-limit']),
+            remaining: Number(headers['x-quota-remaining']),
+            resetAt: headers['x-quota-reset']
+        }));
+    };
+
+    // Prefer the server's explanation (rate limits, blocked URLs) over axios' generic message
+    const describeAnalysisError = (error) => {
+        const data = error.response?.data;
+        if (error.response?.status === 429) {
+            const retryAfter = Number(error.response.headers['retry-after']);
+            const wait = retryAfter >= 3600 ? `${Math.ceil(retryAfter / 3600)} hour(s)`
+                : retryAfter >= 60 ? `${Math.ceil(retryAfter / 60)} minute(s)` : `${retryAfter} second(s)`;
+            return `${data?.error || "Too many requests."} Try again in ${wait}.`;
+        }
+        return data?.error || error.message;
+    };
+
     const fetchUserData = async () => {
         if (auth.currentUser) {
             const userRef = doc(db, 'applicants', auth.currentUser.uid);
@@ -106,6 +231,45 @@ const Portfolio = () => {
         setShowModal(false);
         setDemoVideoFile(null);
         setIsVideoValid(false);
+        setAnalysisProgress(null);
+    };
+
+    // Queue an analysis job and poll it until the report is ready
+    const runAnalysis = async (payload, signal) => {
+        const response = await axios.post(`${ANALYZER_URL}/analyze/jobs`, payload, {
+            headers: { 'Content-Type': 'application/json', ...(await authHeaders()) },
+            timeout: 15000,
+            signal
+        });
+        updateQuotaFromHeaders(response.headers);
+        const job = response.data;
+        setAnalysisProgress(job);
+
+        const deadline = Date.now() + ANALYSIS_TIMEOUT_MS;
+        while (Date.now() < deadline) {
+            await sleep(POLL_INTERVAL_MS, signal);
+            const { data: status } = await axios.get(`${ANALYZER_URL}/analyze/jobs/${job.id}`, {
+                headers: await authHeaders(),
+                timeout: 15000,
+                signal
+            });
+            setAnalysisProgress(status);
+
+            if (status.status === 'completed') return status.report;
+            if (status.status === 'failed') {
+                throw new Error(status.error?.message || "Analysis failed.");
+            }
+        }
+        throw new Error("Analysis is taking too long. Please try again later.");
+    };
+
+    const progressLabel = () => {
+        if (!analysisProgress) return "Submitting...";
+        if (analysisProgress.status === 'queued') {
+            return `Queued (#${analysisProgress.position})...`;
+        }
+        const current = analysisProgress.phases.find(phase => phase.status === 'running');
+        return current ? `Analyzing: ${PHASE_LABELS[current.name] || current.name}...` : "Analyzing...";
     };
 
     const handleSubmission = async () => {
@@ -154,7 +318,13 @@ const Portfolio = () => {
             }
         }
 
+        if (quota && quota.remaining === 0) {
+            alert(`You've used all ${quota.limit} analyses for today. Please try again tomorrow.`);
+            return;
+        }
+
         setSubmissionLoading(true);
+        const { signal } = mounted.current;
 
         try {
             // Upload video to Firebase Storage
@@ -163,44 +333,120 @@ const Portfolio = () => {
             const videoURL = await getDownloadURL(uploadTask.ref);
 
             // Analyze live demo link
-            const newPayload = { url: liveDemoLink };
+            const newPayload = { url: liveDemoLink, mode: renderPage ? 'rendered' : 'static', ...(crawlSite ? { crawl: true } : {}) };
             
             // Log request before sending
             console.log("Sending analysis request for:", liveDemoLink);
             
-            const response = await axios.post('https://skifolio-main.onrender.com/analyze', newPayload, {
-                headers: { 'Content-Type': 'application/json' },
-                timeout: 60000 // Increase timeout to 60 seconds for large sites
-            });
+            const report = await runAnalysis(newPayload, signal);
 
             // Check if scores exist in the response
-            if (response?.data?.scores) {
-                console.log("Analysis results received:", response.data);
+            if (report?.scores) {
+                console.log("Analysis results received:", report);
+                const analyzedAt = new Date();
                 
                 const newSubmission = {
                     liveDemoLink,
                     demoVideoLink: videoURL,
-                    timestamp: new Date(),
-                    scores: response.data.scores,
-                    feedback: response.data.feedback || {}
+                    timestamp: analyzedAt,
+                    scores: report.scores,
+                    feedback: report.feedback || {},
+                    // Bounded by the server (see summarizeFiles in submissions.js)
+                    files: report.storedFiles || [],
+                    // Which scoring profile/version produced these numbers
+                    profile: report.profile || null,
+                    // Which engine and inputs produced them, and how to ask again
+                    engine: report.engine || null,
+                    inputsHash: report.inputsHash || null,
+                    inputHashes: report.inputHashes || null,
+                    // First point of the score history; the server adds one
+                    // each time it re-analyses the site after a change
+                    scoreHistory: [{
+                        analyzedAt: analyzedAt.toISOString(),
+                        overall: report.scores.overall,
+                        scores: report.scores,
+                        inputsHash: report.inputsHash || null,
+                        engine: report.engine ? { version: report.engine.version, rulesHash: report.engine.rulesHash } : null,
+                        trigger: 'submitted'
+                    }],
+                    lastAnalyzedAt: analyzedAt.toISOString(),
+                    // Full report for export; absent if the server couldn't store it
+                    reportId: report.reportId || null,
+                    analysisRequest: newPayload,
+                    analysisMode: report.source?.mode || 'static',
+                    runtime: summarizeRuntime(report.runtime),
+                    cssCoverage: summarizeCssCoverage(report.cssCoverage),
+                    crawl: summarizeCrawl(report)
                 };
 
                 const submissionsRef = collection(doc(db, 'applicants', auth.currentUser.uid), 'submissions');
-                await addDoc(submissionsRef, newSubmission);
+                const submissionRef = await addDoc(submissionsRef, newSubmission);
 
                 fetchSubmissions();
+                // Thumbnails follow once the server has captured them
+                handleCaptureScreenshots(submissionRef.id, { quiet: true });
                 setLiveDemoLink('');
+                setRenderPage(false);
+                setCrawlSite(false);
                 handleCloseModal();
                 alert("Your project has been successfully submitted and analyzed!");
             } else {
                 throw new Error("Invalid response from analysis server. Missing scores data.");
             }
         } catch (error) {
+            // Left the page while the job was running; nothing to report
+            if (signal.aborted) return;
             console.error("Error submitting the demo link:", error);
-            setError(`Submission failed: ${error.message || "Unknown error occurred"}`);
-            alert(`Failed to analyze your project. ${error.message || "Please try again later."}`);
+            const message = describeAnalysisError(error);
+            setError(`Submission failed: ${message || "Unknown error occurred"}`);
+            alert(`Failed to analyze your project. ${message || "Please try again later."}`);
         } finally {
-            setSubmissionLoading(false);
+            if (!signal.aborted) {
+                setSubmissionLoading(false);
+                setAnalysisProgress(null);
+            }
+        }
+    };
+
+    // Recompute a submission under the current engine; the server keeps the
+    // original scores and records both results on the submission
+    const handleRescore = async (submissionId) => {
+        setRescoringId(submissionId);
+        try {
+            const { data, headers } = await axios.post(`${ANALYZER_URL}/submissions/${submissionId}/rescore`, {}, {
+                headers: await authHeaders(),
+                timeout: ANALYSIS_TIMEOUT_MS
+            });
+            updateQuotaFromHeaders(headers);
+            if (!data.recorded) {
+                alert("The submission was re-scored but the result could not be saved.");
+            }
+            fetchSubmissions();
+        } catch (error) {
+            console.error("Error re-scoring submission:", error);
+            alert(error.response?.data?.error || "Failed to re-score submission. Please try again.");
+        } finally {
+            setRescoringId(null);
+        }
+    };
+
+    // Desktop and mobile screenshots of the demo for the card's thumbnail.
+    // `quiet` leaves failures to the console: the submission itself is saved.
+    const handleCaptureScreenshots = async (submissionId, { quiet = false } = {}) => {
+        setCapturingId(submissionId);
+        try {
+            await axios.post(`${ANALYZER_URL}/submissions/${submissionId}/screenshots`, {}, {
+                headers: await authHeaders(),
+                timeout: ANALYSIS_TIMEOUT_MS
+            });
+            fetchSubmissions();
+        } catch (error) {
+            console.error("Error capturing screenshots:", error);
+            if (!quiet) {
+                alert(describeAnalysisError(error) || "Failed to capture screenshots. Please try again.");
+            }
+        } finally {
+            setCapturingId(null);
         }
     };
 
@@ -238,6 +484,14 @@ const Portfolio = () => {
                 <button className="primary-button" onClick={handleOpenModal}>Submit</button>
             </div>
 
+            {quota && (
+                <p className="quota-info">
+                    Analyses left today: <strong>{quota.remaining}</strong> of {quota.limit}
+                </p>
+            )}
+
+            <CodeCheck analyzerUrl={ANALYZER_URL} authHeaders={authHeaders} />
+
             {error && <div className="error-message">{error}</div>}
 
             {showModal && (
@@ -246,6 +500,33 @@ const Portfolio = () => {
                         <h4>Upload Demo Video</h4>
                         <p className="modal-instruction">Please upload a short video demonstrating your projects.</p>
                         <input type="file" accept="video/*" onChange={handleFileChange} />
+                        <label className="render-option">
+                            <input
+                                type="checkbox"
+                                checked={renderPage}
+                                onChange={(e) => setRenderPage(e.target.checked)}
+                                disabled={submissionLoading || crawlSite}
+                            />
+                            Render JavaScript before scoring (for React, Vue or Angular apps)
+                        </label>
+                        <label className="render-option">
+                            <input
+                                type="checkbox"
+                                checked={crawlSite}
+                                onChange={(e) => setCrawlSite(e.target.checked)}
+                                disabled={submissionLoading || renderPage}
+                            />
+                            Also score the pages this one links to (about, projects...)
+                        </label>
+                        {analysisProgress && (
+                            <ul className="analysis-progress">
+                                {analysisProgress.phases.map(phase => (
+                                    <li key={phase.name} className={`analysis-phase ${phase.status}`}>
+                                        {PHASE_LABELS[phase.name] || phase.name}: {phase.status}
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
                         <div className="portfolio-modal-actions">
                             <button className="secondary-btn" onClick={handleCloseModal}>Cancel</button>
                             <button
@@ -253,7 +534,7 @@ const Portfolio = () => {
                                 onClick={handleSubmission}
                                 className="primary-button"
                             >
-                                {submissionLoading ? "Submitting..." : "Submit"}
+                                {submissionLoading ? progressLabel() : "Submit"}
                             </button>
                         </div>
                     </div>
@@ -279,7 +560,8 @@ const Portfolio = () => {
                                         Live Demo [{index + 1}]
                                     </a>
                                 </h4>
-                                <video width="320" height="240" controls>
+                                <DemoThumbnail submission={submission} label={`Live demo ${index + 1}`} />
+                                <video width="320" height="240" controls poster={submission.screenshots?.desktop?.url}>
                                     <source src={submission.demoVideoLink} type="video/mp4" />
                                     Your browser does not support the video tag.
                                 </video>
@@ -289,8 +571,90 @@ const Portfolio = () => {
                                         <li>HTML: <span className="score">{submission.scores.html}</span></li>
                                         <li>CSS: <span className="score">{submission.scores.css}</span></li>
                                         <li>JavaScript: <span className="score">{submission.scores.javascript}</span></li>
+                                        {submission.scores.accessibility !== undefined && (
+                                            <li>Accessibility: <span className="score">{submission.scores.accessibility}</span></li>
+                                        )}
+                                        {submission.scores.performance !== undefined && (
+                                            <li>Performance: <span className="score">{submission.scores.performance}</span></li>
+                                        )}
+                                        {submission.scores.seo !== undefined && (
+                                            <li>SEO: <span className="score">{submission.scores.seo}</span></li>
+                                        )}
+                                        {submission.scores.security !== undefined && (
+                                            <li>Security: <span className="score">{submission.scores.security}</span></li>
+                                        )}
                                     </ul>
+                                    {submission.analysisMode === 'rendered' && submission.runtime && (
+                                        <p className="runtime-info">
+                                            Rendered in {(submission.runtime.renderTimeMs / 1000).toFixed(1)}s
+                                            {' · '}{submission.runtime.consoleErrors} console error(s)
+                                            {' · '}{submission.runtime.exceptions} uncaught exception(s)
+                                        </p>
+                                    )}
+                                    {submission.crawl && (
+                                        <p className="crawl-info">
+                                            {submission.crawl.pages} page(s) scored
+                                            {submission.crawl.worstPage && submission.crawl.pages > 1 && (
+                                                <>
+                                                    {' · '}lowest: <a href={submission.crawl.worstPage.url} target="_blank" rel="noopener noreferrer">
+                                                        {new URL(submission.crawl.worstPage.url).pathname}
+                                                    </a> ({submission.crawl.worstPage.overall})
+                                                </>
+                                            )}
+                                        </p>
+                                    )}
+                                    {submission.cssCoverage && submission.cssCoverage.rules > 0 && (
+                                        <p className="coverage-info">
+                                            Unused CSS: {submission.cssCoverage.unusedPercent}%
+                                            {' '}({submission.cssCoverage.unusedRules} of {submission.cssCoverage.rules} rules,
+                                            {' '}{(submission.cssCoverage.unusedBytes / 1024).toFixed(1)} KB)
+                                        </p>
+                                    )}
+                                    {submission.cssCoverage?.skipped === 'app-shell' && (
+                                        <p className="coverage-info">
+                                            Unused CSS not checked: the page is rendered by JavaScript. Analyze it in rendered mode to include it.
+                                        </p>
+                                    )}
+                                    {submission.offline ? (
+                                        <p className="uptime-warning">
+                                            Demo offline since {new Date(submission.uptime.since).toLocaleString()}
+                                            {submission.uptime.error && <> ({submission.uptime.error})</>}
+                                        </p>
+                                    ) : submission.uptime && (
+                                        <p className="uptime-info">
+                                            Demo online · checked {new Date(submission.uptime.checkedAt).toLocaleString()}
+                                            {' · '}{submission.uptime.latencyMs} ms
+                                        </p>
+                                    )}
+                                    {submission.reportId && (
+                                        <p className="report-links">
+                                            Full report:{' '}
+                                            <a href={`${ANALYZER_URL}/reports/${submission.reportId}.html`} target="_blank" rel="noopener noreferrer">HTML</a>
+                                            {' · '}
+                                            <a href={`${ANALYZER_URL}/reports/${submission.reportId}.pdf`} target="_blank" rel="noopener noreferrer">PDF</a>
+                                        </p>
+                                    )}
                                 </div>
+                                <ScoreSparkline history={submission.scoreHistory} />
+                                {submission.rescores && submission.rescores.length > 0 && (
+                                    <RescoreSummary rescore={submission.rescores[submission.rescores.length - 1]} />
+                                )}
+                                <FileBreakdown files={submission.files} />
+                                <button
+                                    className="secondary-btn"
+                                    onClick={() => handleRescore(submission.id)}
+                                    disabled={rescoringId !== null}
+                                >
+                                    {rescoringId === submission.id ? "Re-scoring..." : "Re-score"}
+                                </button>
+                                <button
+                                    className="secondary-btn"
+                                    onClick={() => handleCaptureScreenshots(submission.id)}
+                                    disabled={capturingId !== null}
+                                >
+                                    {capturingId === submission.id ? "Capturing..."
+                                        : submission.screenshots ? "Retake screenshots" : "Capture screenshots"}
+                                </button>
                                 <button className="delete-btn" onClick={() => handleDeleteSubmission(submission.id)}>Delete</button>
                         
                             </div>
@@ -0,0 +1,92 @@
+import React from 'react';
+
+const WIDTH = 120;
+const HEIGHT = 28;
+const PADDING = 3;
+
+// Entries scored by the same analyzer rules can be compared; an upgrade in
+// between can move the score on its own
+const engineKey = (entry) => (entry.engine ? entry.engine.rulesHash : null);
+
+// Consecutive runs of entries from the same engine, with their positions
+const engineSegments = (history) => history.reduce((segments, entry, index) => {
+    const last = segments[segments.length - 1];
+    if (last && engineKey(last[0].entry) === engineKey(entry)) last.push({ entry, index });
+    else segments.push([{ entry, index }]);
+    return segments;
+}, []);
+
+// Overall score over time from a submission's `scoreHistory` (one point per
+// analysis of a changed site). Hidden until there are two points. The line
+// breaks where the analyzer's rules changed, and the change shown is only
+// measured since then, so an analyzer upgrade doesn't pass for progress.
+const ScoreSparkline = ({ history }) => {
+    if (!history || history.length < 2) return null;
+
+    const scores = history.map(entry => entry.overall);
+    const min = Math.min(...scores);
+    const max = Math.max(...scores);
+    const range = max - min || 1;
+    const x = (index) => PADDING + (index / (history.length - 1)) * (WIDTH - 2 * PADDING);
+    const y = (score) => HEIGHT - PADDING - ((score - min) / range) * (HEIGHT - 2 * PADDING);
+
+    const segments = engineSegments(history);
+    const current = segments[segments.length - 1];
+    const first = current[0].entry.overall;
+    const last = current[current.length - 1].entry.overall;
+    const change = last - first;
+    const upgraded = segments.length > 1;
+
+    return (
+        <div className="score-history">
+            <svg
+                className="score-sparkline"
+                width={WIDTH}
+                height={HEIGHT}
+                viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+                role="img"
+                aria-label={`Overall score over ${history.length} analyses, from ${scores[0]} to ${last}${upgraded ? `; the analyzer changed ${segments.length - 1} time(s) in between` : ''}`}
+            >
+                {segments.map(segment => (
+                    <polyline
+                        key={segment[0].index}
+                        points={segment.map(({ entry, index }) => `${x(index).toFixed(1)},${y(entry.overall).toFixed(1)}`).join(' ')}
+                        fill="none"
+                        stroke="currentColor"
+                        strokeWidth="1.5"
+                    />
+                ))}
+                {segments.slice(1).map(segment => (
+                    <line
+                        key={`engine-${segment[0].index}`}
+                        className="score-sparkline-engine"
+                        x1={(x(segment[0].index) + x(segment[0].index - 1)) / 2}
+                        x2={(x(segment[0].index) + x(segment[0].index - 1)) / 2}
+                        y1={0}
+                        y2={HEIGHT}
+                        stroke="#adb5bd"
+                        strokeDasharray="2 2"
+                    >
+                        <title>{`Analyzer updated${segment[0].entry.engine ? ` to ${segment[0].entry.engine.version}` : ''}`}</title>
+                    </line>
+                ))}
+                {history.map((entry, index) => (
+                    <circle key={entry.analyzedAt || index} cx={x(index)} cy={y(entry.overall)} r="2" fill="currentColor">
+                        <title>{`${entry.overall} · ${new Date(entry.analyzedAt).toLocaleDateString()}`}</title>
+                    </circle>
+                ))}
+            </svg>
+            {current.length > 1 ? (
+                <span className={`score-history-change ${change > 0 ? 'up' : change < 0 ? 'down' : ''}`}>
+                    {first} → {last} ({change > 0 ? '+' : ''}{change}){upgraded && ' since the analyzer update'}
+                </span>
+            ) : (
+                <span className="score-history-change">
+                    {last} · analyzer updated, not comparable with earlier points
+                </span>
+            )}
+        </div>
+    );
+};
+
+export default ScoreSparkline;
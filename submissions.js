@@ -0,0 +1,150 @@
+// Server-side access to stored portfolio submissions
+// (applicants/{uid}/submissions/{id}, written by the Portfolio page).
+const { admin, getFirestore } = require('./firebaseAdmin');
+const { sameEngine } = require('./analyzer/engine');
+
+// Re-scores kept per submission; older ones are dropped
+const MAX_RESCORES = 10;
+
+// Points in a submission's score history (the card's sparkline)
+const MAX_SCORE_HISTORY = 50;
+
+// Keeps stored per-file findings bounded so submissions stay well under
+// Firestore's document limit
+const MAX_STORED_FINDINGS_PER_FILE = 50;
+
+// What /analyze was asked for. Submissions from before `analysisRequest`
+// was stored only have the link and mode.
+const storedRequest = (submission) => submission.analysisRequest || {
+    url: submission.liveDemoLink,
+    mode: submission.analysisMode || 'static'
+};
+
+// The parts of a result that say what was scored and by which engine
+const scoreRecord = (result) => ({
+    scores: result.scores,
+    profile: result.profile || null,
+    engine: result.engine || null,
+    inputsHash: result.inputsHash || null
+});
+
+// `previous` is the stored submission, `report` the fresh analysis
+const compareResults = (previous, report) => {
+    const before = scoreRecord(previous);
+    const after = scoreRecord(report);
+    return {
+        previous: before,
+        current: after,
+        // Different engines: scores differ because the analyzer changed.
+        // Different inputs: because the site did.
+        sameEngine: sameEngine(before.engine, after.engine),
+        sameInputs: Boolean(before.inputsHash) && before.inputsHash === after.inputsHash
+    };
+};
+
+const toIsoString = (value) => {
+    if (!value) return null;
+    if (typeof value.toDate === 'function') return value.toDate().toISOString();
+    return new Date(value).toISOString();
+};
+
+// Whether a fresh analysis saw different inputs from the stored one
+const inputsChanged = (submission, report) => !submission.inputsHash || submission.inputsHash !== report.inputsHash;
+
+// One point of the score history; `trigger` says why the site was analysed
+const historyEntry = (result, analyzedAt, trigger) => ({
+    analyzedAt,
+    overall: result.scores.overall,
+    scores: result.scores,
+    inputsHash: result.inputsHash || null,
+    engine: result.engine ? { version: result.engine.version, rulesHash: result.engine.rulesHash } : null,
+    trigger
+});
+
+// Submissions from before the history was kept start it with their
+// original scores
+const scoreHistoryOf = (submission) => submission.scoreHistory
+    || (submission.scores ? [historyEntry(submission, toIsoString(submission.timestamp), 'submitted')] : []);
+
+// What a submission stores of a report's files. The Portfolio page stores
+// this too, as returned by the analysis endpoints (`storedFiles`); code
+// excerpts and fixes stay in the full report (see the HTML/PDF export).
+const summarizeFiles = (files = []) => files.map(file => ({
+    ...file,
+    findings: file.findings.slice(0, MAX_STORED_FINDINGS_PER_FILE).map(({ excerpt, fix, ...finding }) => finding)
+}));
+
+const createSubmissionStore = ({ db = null } = {}) => {
+    const submissionRef = (uid, id) => (db || getFirestore())
+        .collection('applicants').doc(uid)
+        .collection('submissions').doc(id);
+
+    const get = async (uid, id) => {
+        const snapshot = await submissionRef(uid, id).get();
+        return snapshot.exists ? { id: snapshot.id, ...snapshot.data() } : null;
+    };
+
+    // Appends to `rescores` and leaves the original scores untouched
+    const recordRescore = async (uid, submission, comparison) => {
+        const entry = { ...comparison, rescoredAt: new Date().toISOString() };
+        const rescores = [...(submission.rescores || []), entry].slice(-MAX_RESCORES);
+        await submissionRef(uid, submission.id).update({
+            rescores,
+            lastRescoredAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        return entry;
+    };
+
+    // Background re-analysis of a submission whose site may have changed.
+    // Only different inputs replace the stored results and add a history
+    // point; an unchanged site (or a null `report`, when it couldn't be
+    // analysed) just records when it was last looked at.
+    const recordReanalysis = async (uid, submission, report) => {
+        const analyzedAt = new Date().toISOString();
+        if (!report || !inputsChanged(submission, report)) {
+            await submissionRef(uid, submission.id).update({ lastAnalyzedAt: analyzedAt });
+            return { changed: false };
+        }
+
+        const entry = historyEntry(report, analyzedAt, 'site-changed');
+        await submissionRef(uid, submission.id).update({
+            scores: report.scores,
+            feedback: report.feedback || {},
+            files: summarizeFiles(report.files),
+            profile: report.profile || null,
+            engine: report.engine || null,
+            inputsHash: report.inputsHash || null,
+            inputHashes: report.inputHashes || null,
+            reportId: report.reportId || null,
+            scoreHistory: [...scoreHistoryOf(submission), entry].slice(-MAX_SCORE_HISTORY),
+            lastAnalyzedAt: analyzedAt
+        });
+        return { changed: true, entry };
+    };
+
+    // Latest thumbnails of the demo; older captures were overwritten in Storage
+    const recordScreenshots = async (uid, submissionId, screenshots) => {
+        await submissionRef(uid, submissionId).update({ screenshots });
+        return screenshots;
+    };
+
+    // Every applicant submission with a demo link
+    const listAll = async () => {
+        const snapshot = await (db || getFirestore()).collectionGroup('submissions').get();
+        return snapshot.docs
+            .filter(doc => doc.ref.parent.parent && doc.ref.parent.parent.parent.id === 'applicants'
+                && typeof doc.get('liveDemoLink') === 'string')
+            .map(doc => ({ uid: doc.ref.parent.parent.id, submission: { id: doc.id, ...doc.data() } }));
+    };
+
+    return { get, listAll, recordRescore, recordReanalysis, recordScreenshots };
+};
+
+module.exports = {
+    storedRequest,
+    toIsoString,
+    inputsChanged,
+    summarizeFiles,
+    compareResults,
+    createSubmissionStore
+};
@@ -0,0 +1,258 @@
+// Live-demo uptime checks for stored submissions (applicants/{uid}/submissions).
+//
+// Each check fetches the demo page once and records whether it answered, how
+// fast, and whether it changed since the last check. The result goes to the
+// submission's `uptimeHistory` subcollection; the submission itself keeps the
+// latest state in `uptime` and an `offline` flag the cards can show. The
+// applicant gets a notification when a demo goes offline or changes a lot.
+const crypto = require('crypto');
+const cheerio = require('cheerio');
+const { getFirestore } = require('./firebaseAdmin');
+const { UrlPolicyError, defaultUrlPolicy } = require('./analyzer/urlPolicy');
+const { contentHash } = require('./analyzer/cache');
+const { mapWithConcurrency } = require('./analyzer/fetch');
+
+const UPTIME_LIMITS = {
+    intervalMs: (parseInt(process.env.UPTIME_INTERVAL_MINUTES, 10) || 30) * 60 * 1000,
+    timeoutMs: parseInt(process.env.UPTIME_TIMEOUT_MS, 10) || 15000,
+    concurrency: parseInt(process.env.UPTIME_CONCURRENCY, 10) || 4,
+    // One failed check can be a blip; this many in a row means offline
+    failuresBeforeOffline: parseInt(process.env.UPTIME_FAILURES_BEFORE_OFFLINE, 10) || 2,
+    // How many of the 64 bits of the page-text fingerprint must differ
+    // before a change counts as substantial (typo fixes stay well below)
+    changeDistance: parseInt(process.env.UPTIME_CHANGE_DISTANCE, 10) || 12,
+    historyDays: parseInt(process.env.UPTIME_HISTORY_DAYS, 10) || 30
+};
+
+// History entries deleted per check; old entries go a few at a time
+const HISTORY_PRUNE_BATCH = 20;
+
+// Visible text of a page, normalised, for the change fingerprint
+const pageText = (html) => {
+    const $ = cheerio.load(html);
+    $('script, style, noscript, template').remove();
+    return $('body').text().replace(/\s+/g, ' ').trim().toLowerCase();
+};
+
+// 64-bit simhash of the text's three-word shingles: similar texts get
+// fingerprints that differ in few bits, unrelated ones in about half
+const textFingerprint = (text) => {
+    const words = text.split(' ').filter(Boolean);
+    const shingles = words.length < 3 ? [words.join(' ')] : words.slice(2).map((word, index) => `${words[index]} ${words[index + 1]} ${word}`);
+    const weights = new Array(64).fill(0);
+    shingles.forEach(shingle => {
+        const hash = crypto.createHash('md5').update(shingle).digest();
+        for (let bit = 0; bit < 64; bit++) {
+            weights[bit] += (hash[bit >> 3] >> (bit & 7)) & 1 ? 1 : -1;
+        }
+    });
+    const fingerprint = Buffer.alloc(8);
+    weights.forEach((weight, bit) => {
+        if (weight > 0) fingerprint[bit >> 3] |= 1 << (bit & 7);
+    });
+    return fingerprint.toString('hex');
+};
+
+const fingerprintDistance = (a, b) => {
+    const left = Buffer.from(a, 'hex');
+    const right = Buffer.from(b, 'hex');
+    let distance = 0;
+    left.forEach((byte, index) => {
+        for (let value = byte ^ right[index]; value; value >>= 1) distance += value & 1;
+    });
+    return distance;
+};
+
+// One request to the demo. Never throws: failures are a result too.
+const probeDemo = async (url, { policy = defaultUrlPolicy, timeoutMs = UPTIME_LIMITS.timeoutMs } = {}) => {
+    const started = Date.now();
+    try {
+        const response = await policy.get(url, {
+            timeout: timeoutMs,
+            headers: {
+                'User-Agent': 'Mozilla/5.0 SkifolioAnalyzer',
+                'Accept': 'text/html,application/xhtml+xml'
+            },
+            responseType: 'text',
+            transformResponse: [data => data],
+            validateStatus: () => true
+        });
+        const latencyMs = Date.now() - started;
+        if (response.status >= 400) {
+            return { ok: false, statusCode: response.status, latencyMs, error: `HTTP ${response.status}` };
+        }
+        const html = typeof response.data === 'string' ? response.data : '';
+        return {
+            ok: true,
+            statusCode: response.status,
+            latencyMs,
+            error: null,
+            contentHash: contentHash(html),
+            textFingerprint: textFingerprint(pageText(html))
+        };
+    } catch (error) {
+        return {
+            ok: false,
+            statusCode: null,
+            latencyMs: Date.now() - started,
+            error: error instanceof UrlPolicyError ? error.code : error.code || error.message
+        };
+    }
+};
+
+// The submission's new `uptime` state after a probe, and what happened
+const assessProbe = (previous, probe, limits = UPTIME_LIMITS, now = new Date()) => {
+    const before = previous || {};
+    const failures = probe.ok ? 0 : (before.consecutiveFailures || 0) + 1;
+    const status = probe.ok ? 'online'
+        : failures >= limits.failuresBeforeOffline ? 'offline'
+            : before.status || 'online';
+
+    // The first check only sets the baseline
+    const contentChanged = probe.ok && Boolean(before.contentHash) && before.contentHash !== probe.contentHash;
+    const distance = contentChanged && before.textFingerprint
+        ? fingerprintDistance(before.textFingerprint, probe.textFingerprint)
+        : 0;
+
+    return {
+        uptime: {
+            status,
+            since: status !== before.status ? now.toISOString() : before.since || now.toISOString(),
+            checkedAt: now.toISOString(),
+            statusCode: probe.statusCode,
+            latencyMs: probe.latencyMs,
+            error: probe.error,
+            consecutiveFailures: failures,
+            // An outage doesn't reset the baseline the next change is measured from
+            contentHash: probe.ok ? probe.contentHash : before.contentHash || null,
+            textFingerprint: probe.ok ? probe.textFingerprint : before.textFingerprint || null,
+            lastChangedAt: contentChanged ? now.toISOString() : before.lastChangedAt || null
+        },
+        wentOffline: status === 'offline' && before.status !== 'offline',
+        contentChanged,
+        changeDistance: distance,
+        substantialChange: distance >= limits.changeDistance
+    };
+};
+
+const createUptimeMonitor = ({ db = null, policy = defaultUrlPolicy, limits = UPTIME_LIMITS } = {}) => {
+    const firestore = () => db || getFirestore();
+
+    // Same shape as the notifications employers send (see EmployerProfile)
+    const notify = (uid, notification) => firestore()
+        .collection('applicants').doc(uid)
+        .collection('notifications')
+        .add({ ...notification, timestamp: new Date(), status: 'unread' });
+
+    const pruneHistory = async (submissionRef, now) => {
+        const cutoff = new Date(now.getTime() - limits.historyDays * 24 * 60 * 60 * 1000);
+        const expired = await submissionRef.collection('uptimeHistory')
+            .where('checkedAt', '<', cutoff)
+            .limit(HISTORY_PRUNE_BATCH)
+            .get();
+        if (expired.empty) return;
+        const batch = firestore().batch();
+        expired.docs.forEach(entry => batch.delete(entry.ref));
+        await batch.commit();
+    };
+
+    // `snapshot` is a submission document
+    const checkSubmission = async (snapshot) => {
+        const submission = snapshot.data();
+        const uid = snapshot.ref.parent.parent.id;
+        const now = new Date();
+        const probe = await probeDemo(submission.liveDemoLink, { policy, timeoutMs: limits.timeoutMs });
+        const result = assessProbe(submission.uptime, probe, limits, now);
+
+        await snapshot.ref.collection('uptimeHistory').add({
+            checkedAt: now,
+            ok: probe.ok,
+            status: result.uptime.status,
+            statusCode: probe.statusCode,
+            latencyMs: probe.latencyMs,
+            error: probe.error,
+            contentHash: probe.ok ? probe.contentHash : null,
+            contentChanged: result.contentChanged,
+            changeDistance: result.changeDistance
+        });
+        await snapshot.ref.update({ uptime: result.uptime, offline: result.uptime.status === 'offline' });
+
+        if (result.wentOffline) {
+            await notify(uid, {
+                type: 'demo-offline',
+                submissionId: snapshot.id,
+                subject: 'Your live demo is offline',
+                message: `${submission.liveDemoLink} stopped responding (${probe.error}). Employers who open it from your portfolio will see an error until it's back.`
+            });
+        }
+        if (result.substantialChange) {
+            await notify(uid, {
+                type: 'demo-changed',
+                submissionId: snapshot.id,
+                subject: 'Your live demo has changed',
+                message: `${submission.liveDemoLink} looks substantially different from when it was last checked. If that's intended, re-score the submission so its scores match the current site.`
+            });
+        }
+
+        await pruneHistory(snapshot.ref, now).catch(error => {
+            console.error(`Failed to prune uptime history of ${snapshot.id}:`, error.message);
+        });
+        return result;
+    };
+
+    // One pass over every submission with a demo link
+    const checkAll = async () => {
+        const snapshot = await firestore().collectionGroup('submissions').get();
+        const submissions = snapshot.docs.filter(doc => doc.ref.parent.parent
+            && doc.ref.parent.parent.parent.id === 'applicants'
+            && typeof doc.get('liveDemoLink') === 'string');
+
+        const results = await mapWithConcurrency(submissions, limits.concurrency, doc => checkSubmission(doc).catch(error => {
+            console.error(`Uptime check of submission ${doc.id} failed:`, error.message);
+            return null;
+        }));
+
+        const summary = {
+            checked: results.filter(Boolean).length,
+            failed: results.filter(result => result === null).length,
+            offline: results.filter(result => result && result.uptime.status === 'offline').length,
+            changed: results.filter(result => result && result.substantialChange).length
+        };
+        console.log(`Uptime pass: ${summary.checked} checked, ${summary.offline} offline, ${summary.changed} changed substantially, ${summary.failed} errors`);
+        return summary;
+    };
+
+    let timer = null;
+    let running = null;
+
+    // Checks now and then every `intervalMs`; a pass still running when the
+    // next one is due is not started twice
+    const start = () => {
+        const run = () => {
+            if (running) return running;
+            running = checkAll()
+                .catch(error => console.error("Uptime pass failed:", error.message))
+                .finally(() => { running = null; });
+            return running;
+        };
+        run();
+        timer = setInterval(run, limits.intervalMs);
+    };
+
+    const stop = async () => {
+        clearInterval(timer);
+        timer = null;
+        await running;
+    };
+
+    return { checkSubmission, checkAll, start, stop };
+};
+
+module.exports = {
+    UPTIME_LIMITS,
+    textFingerprint,
+    fingerprintDistance,
+    probeDemo,
+    assessProbe,
+    createUptimeMonitor
+};
@@ -0,0 +1,95 @@
+// Run with `npm run test:server`
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { UPTIME_LIMITS, textFingerprint, fingerprintDistance, assessProbe } = require('./uptime');
+const { contentHash } = require('./analyzer/cache');
+
+const PORTFOLIO = [
+    'hi i am sam a front end developer based in leeds',
+    'i build accessible web apps with react node and a lot of plain css',
+    'my recent projects include a recipe finder that works offline a budgeting dashboard with charts',
+    'and a small design system used by three teams at my last job',
+    'i care about performance testing and writing code that the next person can read',
+    'when i am not coding i run a weekly meetup for people learning javascript',
+    'get in touch if you are hiring for a junior or mid level role'
+].join(' ');
+
+const REWRITE = [
+    'welcome to the online shop for handmade ceramics and kitchen goods',
+    'every mug bowl and plate is thrown by hand in our studio and fired twice',
+    'orders over fifty pounds ship free within the uk and arrive in three to five days',
+    'sign up for the newsletter to hear about seconds sales and studio open days',
+    'read our care guide before putting glazed pieces in the dishwasher or microwave'
+].join(' ');
+
+const NOW = new Date('2026-03-01T12:00:00Z');
+const LATER = new Date('2026-03-01T12:30:00Z');
+
+const online = (text) => ({
+    ok: true,
+    statusCode: 200,
+    latencyMs: 120,
+    error: null,
+    contentHash: contentHash(text),
+    textFingerprint: textFingerprint(text)
+});
+const failed = { ok: false, statusCode: 503, latencyMs: 40, error: 'HTTP 503' };
+
+test('the first check only sets the baseline', () => {
+    const result = assessProbe(undefined, online(PORTFOLIO), UPTIME_LIMITS, NOW);
+    assert.strictEqual(result.uptime.status, 'online');
+    assert.strictEqual(result.uptime.since, NOW.toISOString());
+    assert.strictEqual(result.uptime.lastChangedAt, null);
+    assert.strictEqual(result.uptime.contentHash, online(PORTFOLIO).contentHash);
+    assert.deepStrictEqual([result.wentOffline, result.contentChanged, result.substantialChange], [false, false, false]);
+});
+
+test('goes offline after failuresBeforeOffline failures in a row, and says so once', () => {
+    const limits = { ...UPTIME_LIMITS, failuresBeforeOffline: 2 };
+    const baseline = assessProbe(undefined, online(PORTFOLIO), limits, NOW).uptime;
+
+    const blip = assessProbe(baseline, failed, limits, LATER);
+    assert.deepStrictEqual([blip.uptime.status, blip.uptime.consecutiveFailures, blip.wentOffline], ['online', 1, false]);
+    assert.strictEqual(blip.uptime.since, NOW.toISOString());
+
+    const down = assessProbe(blip.uptime, failed, limits, LATER);
+    assert.deepStrictEqual([down.uptime.status, down.wentOffline], ['offline', true]);
+    assert.strictEqual(down.uptime.since, LATER.toISOString());
+
+    const stillDown = assessProbe(down.uptime, failed, limits, LATER);
+    assert.deepStrictEqual([stillDown.uptime.status, stillDown.wentOffline], ['offline', false]);
+
+    const back = assessProbe(stillDown.uptime, online(PORTFOLIO), limits, LATER);
+    assert.deepStrictEqual([back.uptime.status, back.uptime.consecutiveFailures, back.contentChanged], ['online', 0, false]);
+});
+
+test('an outage keeps the baseline the next change is measured from', () => {
+    const baseline = assessProbe(undefined, online(PORTFOLIO), UPTIME_LIMITS, NOW).uptime;
+    const down = assessProbe(baseline, failed, UPTIME_LIMITS, LATER).uptime;
+    assert.strictEqual(down.contentHash, baseline.contentHash);
+    assert.strictEqual(down.textFingerprint, baseline.textFingerprint);
+    assert.strictEqual(down.lastChangedAt, null);
+});
+
+test('a typo fix is a change but not a substantial one; a rewrite is', () => {
+    const baseline = assessProbe(undefined, online(PORTFOLIO), UPTIME_LIMITS, NOW).uptime;
+
+    const typo = assessProbe(baseline, online(PORTFOLIO.replace('budgeting', 'budgetting')), UPTIME_LIMITS, LATER);
+    assert.strictEqual(typo.contentChanged, true);
+    assert.strictEqual(typo.uptime.lastChangedAt, LATER.toISOString());
+    assert.ok(typo.changeDistance < UPTIME_LIMITS.changeDistance, `typo distance ${typo.changeDistance}`);
+    assert.strictEqual(typo.substantialChange, false);
+
+    const rewrite = assessProbe(baseline, online(REWRITE), UPTIME_LIMITS, LATER);
+    assert.ok(rewrite.changeDistance >= UPTIME_LIMITS.changeDistance, `rewrite distance ${rewrite.changeDistance}`);
+    assert.strictEqual(rewrite.substantialChange, true);
+});
+
+test('fingerprints of the same text match and distances are symmetric', () => {
+    const a = textFingerprint(PORTFOLIO);
+    const b = textFingerprint(REWRITE);
+    assert.strictEqual(a, textFingerprint(PORTFOLIO));
+    assert.match(a, /^[0-9a-f]{16}$/);
+    assert.strictEqual(fingerprintDistance(a, a), 0);
+    assert.strictEqual(fingerprintDistance(a, b), fingerprintDistance(b, a));
+});